@@ -1,11 +1,17 @@
 #!/usr/bin/env node
 require('dotenv').config();
+const fs = require('node:fs/promises');
 const path = require('node:path');
 const { Command, InvalidArgumentError } = require('commander');
 const pkg = require('../package.json');
 const { loadConfig } = require('../src/config');
-const { startServer, stopServer } = require('../src/server');
+const { startServer, stopServer, reloadServer } = require('../src/server');
+const { watchConfig } = require('../src/watcher');
+const { generateOpenApiDocument } = require('../src/openapi');
 const { createLogger } = require('../src/logger');
+const { setRecorder } = require('../src/engine');
+const { createRecorder } = require('../src/recorder');
+const { startMcpServer } = require('../src/mcp-server');
 
 const program = new Command();
 
@@ -27,15 +33,33 @@ function parseVerbosity(value) {
   return level;
 }
 
+// --record captures outbound LLM/WorkIQ calls to a directory, --replay serves them back
+function configureRecorder(options, logger) {
+  if (options.record && options.replay) {
+    throw new Error('--record and --replay cannot be used together.');
+  }
+  const mode = options.record ? 'record' : options.replay ? 'replay' : null;
+  if (!mode) return;
+
+  const recorder = createRecorder({ mode, dir: path.resolve(process.cwd(), options[mode]), logger });
+  setRecorder(recorder);
+  logger.info(`${mode === 'record' ? 'Recording' : 'Replaying'} provider calls in ${recorder.dir}`);
+}
+
 async function handleCommand(command, options) {
-  const logger = createLogger(options.verbose || 'info');
+  // Over stdio, stdout carries MCP messages so logs go to stderr
+  const logger = createLogger(options.verbose || 'info', { stderr: command === 'mcp' && !options.http });
+  const configPath = options.config ? path.resolve(process.cwd(), options.config) : path.resolve(process.cwd(), 'config.json');
 
   if (command === 'start') {
-    const configPath = options.config ? path.resolve(process.cwd(), options.config) : path.resolve(process.cwd(), 'config.json');
     try {
+      configureRecorder(options, logger);
       const config = await loadConfig(configPath, logger);
       const port = options.port || config.port || 3000;
       await startServer({ config, port, logger });
+      if (options.watch) {
+        watchConfig({ configPath, config, logger, onReload: (next) => reloadServer(next, logger) });
+      }
     } catch (err) {
       logger.error(`Failed to start: ${err.message}`);
       if (logger.isDebugEnabled()) {
@@ -46,6 +70,41 @@ async function handleCommand(command, options) {
     return;
   }
 
+  if (command === 'mcp') {
+    try {
+      configureRecorder(options, logger);
+      const config = await loadConfig(configPath, logger);
+      const port = options.http ? options.port || config.port || 3000 : undefined;
+      await startMcpServer({ config, logger, port });
+      if (!port) {
+        // stdin closed: the client is gone, and startMcpServer has saved the counters
+        process.exit(0);
+      }
+    } catch (err) {
+      logger.error(`Failed to start MCP server: ${err.message}`);
+      if (logger.isDebugEnabled()) {
+        logger.error(err.stack);
+      }
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'openapi') {
+    const outputPath = path.resolve(process.cwd(), options.output || 'openapi.json');
+    try {
+      const config = await loadConfig(configPath, logger);
+      const port = options.port || config.port || 3000;
+      const document = generateOpenApiDocument(config, { serverUrl: `http://localhost:${port}` });
+      await fs.writeFile(outputPath, `${JSON.stringify(document, null, 2)}\n`);
+      logger.info(`Wrote OpenAPI document to ${outputPath}`);
+    } catch (err) {
+      logger.error(`Failed to generate OpenAPI document: ${err.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
   if (command === 'stop') {
     const stopped = await stopServer();
     if (!stopped) {
@@ -62,9 +121,14 @@ program
   .name('ai-lambda-service')
   .description('Run a local REST server from a declarative JSON config with AI or JS handlers.')
   .version(pkg.version)
-  .argument('<command>', 'start | stop')
+  .argument('<command>', 'start | stop | openapi | mcp')
   .option('-c, --config <path>', 'Path to JSON configuration file (defaults to ./config.json)')
   .option('-p, --port <port>', 'Port to bind the server on', parsePort)
+  .option('-o, --output <path>', 'File to write the OpenAPI document to (openapi command, defaults to ./openapi.json)')
+  .option('--http', 'Serve the mcp command over Streamable HTTP at /mcp on the port instead of stdio')
+  .option('-w, --watch', 'Reload the config and JS handlers when they change')
+  .option('--record <dir>', 'Record outbound LLM and WorkIQ calls to fixture files in <dir>')
+  .option('--replay <dir>', 'Serve LLM and WorkIQ calls from fixtures in <dir>, failing on a miss')
   .option('-v, --verbose <level>', 'Log level: debug | info | warn | error', parseVerbosity, 'info')
   .action((command, options) => {
     handleCommand(command, options);
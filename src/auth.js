@@ -0,0 +1,288 @@
+/**
+ * Request authentication for endpoint and built-in routes. Strategies are declared in the
+ * top-level `auth.strategies` map: static API keys (header or query), static bearer tokens,
+ * and HS256/RS256 JWTs verified against a local key file.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const STRATEGY_TYPES = ['apiKey', 'bearer', 'jwt'];
+const JWT_ALGORITHMS = ['HS256', 'RS256'];
+const DEFAULT_API_KEY_HEADER = 'x-api-key';
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Compare digests so neither the length nor the content of a secret leaks through timing
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Subject -> secret, from the config map plus an optional comma-separated env variable
+function secretsFrom(map = {}, envName) {
+  const secrets = Object.entries(map);
+  const fromEnv = envName ? process.env[envName] : undefined;
+  if (fromEnv) {
+    fromEnv.split(',').map(s => s.trim()).filter(Boolean).forEach((secret, i) => secrets.push([`${envName}[${i}]`, secret]));
+  }
+  return secrets;
+}
+
+function matchSecret(secrets, presented) {
+  // Check every entry so the match position doesn't show in timing
+  let subject = null;
+  for (const [name, secret] of secrets) {
+    if (safeEqual(secret, presented) && subject === null) subject = name;
+  }
+  return subject;
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * OpenAPI security scheme for a strategy config; also tells the dashboard where credentials go.
+ *
+ * @param {object} options - Entry of `auth.strategies`
+ * @returns {object}
+ */
+function securityScheme(options) {
+  if (options.type === 'apiKey') {
+    return options.query
+      ? { type: 'apiKey', in: 'query', name: options.query }
+      : { type: 'apiKey', in: 'header', name: options.header || DEFAULT_API_KEY_HEADER };
+  }
+  return options.type === 'jwt' ? { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } : { type: 'http', scheme: 'bearer' };
+}
+
+function createApiKeyStrategy(name, options) {
+  const secrets = secretsFrom(options.keys, options.keysEnv);
+  const header = options.query ? null : (options.header || DEFAULT_API_KEY_HEADER);
+
+  return {
+    scheme: securityScheme(options),
+    queryParam: options.query || null,
+    authenticate(req) {
+      const presented = header ? req.get(header) : req.query[options.query];
+      if (typeof presented !== 'string' || !presented) return null;
+      const subject = matchSecret(secrets, presented);
+      if (subject === null) throw new AuthError('Invalid API key');
+      return { strategy: name, type: 'apiKey', subject };
+    }
+  };
+}
+
+function createBearerStrategy(name, options) {
+  const secrets = secretsFrom(options.tokens, options.tokensEnv);
+
+  return {
+    scheme: securityScheme(options),
+    authenticate(req) {
+      const presented = bearerToken(req);
+      if (!presented) return null;
+      const subject = matchSecret(secrets, presented);
+      if (subject === null) throw new AuthError('Invalid bearer token');
+      return { strategy: name, type: 'bearer', subject };
+    }
+  };
+}
+
+function decodeSegment(segment, label) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new AuthError(`Malformed JWT ${label}`);
+  }
+}
+
+/**
+ * Verifies a compact JWT and returns its claims.
+ *
+ * @param {string} token - `header.payload.signature`
+ * @param {object} options
+ * @param {string} options.algorithm - `HS256` or `RS256`; tokens signed with anything else are rejected
+ * @param {Buffer|crypto.KeyObject} options.key - HMAC secret or RSA public key
+ * @param {string} [options.issuer] - Required `iss`
+ * @param {string} [options.audience] - Required `aud` (or one of them)
+ * @param {number} [options.clockToleranceSec] - Leeway for `exp` and `nbf`
+ * @param {number} [options.now] - Current time in seconds, for tests
+ * @returns {object}
+ */
+function verifyJwt(token, { algorithm, key, issuer, audience, clockToleranceSec = 0, now = Date.now() / 1000 }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed JWT');
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  const header = decodeSegment(encodedHeader, 'header');
+  // Pinning the algorithm stops tokens signed with "none" or an HMAC of the public key
+  if (header.alg !== algorithm) throw new AuthError(`Unexpected JWT algorithm ${header.alg}`);
+
+  const signed = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  let valid = false;
+  try {
+    valid = algorithm === 'HS256'
+      ? safeEqual(crypto.createHmac('sha256', key).update(signed).digest(), signature)
+      : crypto.verify('RSA-SHA256', Buffer.from(signed), key, signature);
+  } catch {
+    // A signature of the wrong size for the key is just invalid
+  }
+  if (!valid) throw new AuthError('Invalid JWT signature');
+
+  const claims = decodeSegment(encodedPayload, 'payload');
+  if (typeof claims.exp === 'number' && now > claims.exp + clockToleranceSec) {
+    throw new AuthError('JWT has expired');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - clockToleranceSec) {
+    throw new AuthError('JWT is not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError('Unexpected JWT issuer');
+  }
+  if (audience && ![].concat(claims.aud ?? []).includes(audience)) {
+    throw new AuthError('Unexpected JWT audience');
+  }
+  return claims;
+}
+
+async function loadJwtKey(name, options, baseDir) {
+  let material;
+  if (options.keyFile) {
+    const file = path.resolve(baseDir, options.keyFile);
+    try {
+      material = await fs.readFile(file);
+    } catch (err) {
+      throw new Error(`Cannot read key file for auth strategy "${name}": ${err.message}`);
+    }
+  } else {
+    material = process.env[options.secretEnv];
+    if (!material) {
+      throw new Error(`${options.secretEnv} is required for auth strategy "${name}".`);
+    }
+  }
+
+  if (options.algorithm === 'HS256') {
+    return typeof material === 'string' ? Buffer.from(material) : material;
+  }
+  try {
+    return crypto.createPublicKey(material);
+  } catch (err) {
+    throw new Error(`Invalid RS256 public key for auth strategy "${name}": ${err.message}`);
+  }
+}
+
+async function createJwtStrategy(name, options, baseDir) {
+  const key = await loadJwtKey(name, options, baseDir);
+
+  return {
+    scheme: securityScheme(options),
+    authenticate(req) {
+      const token = bearerToken(req);
+      if (!token) return null;
+      const claims = verifyJwt(token, { ...options, key });
+      return { strategy: name, type: 'jwt', subject: claims.sub ?? null, claims };
+    }
+  };
+}
+
+/**
+ * Strategy names guarding an endpoint: its own `auth` list, else `auth.default`. Public
+ * endpoints and configs without an `auth` block need none.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @param {object} [auth] - Top-level `auth` block
+ * @returns {string[]}
+ */
+function endpointStrategies(endpoint, auth) {
+  if (!auth || endpoint.public) return [];
+  return endpoint.auth || auth.default || [];
+}
+
+/**
+ * Loads the configured strategies (reading key files) and returns middleware factories.
+ *
+ * @param {object} config - Loaded config
+ * @returns {Promise<{ strategies: Map, require: (names: string[]) => Function|null, authenticate: Function }>} -
+ *   `require` returns null when `names` is empty
+ */
+async function createAuthenticator(config) {
+  const strategies = new Map();
+  for (const [name, options] of Object.entries(config.auth?.strategies || {})) {
+    if (options.type === 'apiKey') strategies.set(name, createApiKeyStrategy(name, options));
+    else if (options.type === 'bearer') strategies.set(name, createBearerStrategy(name, options));
+    else strategies.set(name, await createJwtStrategy(name, options, config.baseDir));
+  }
+
+  /**
+   * Any one of the named strategies may accept the request.
+   *
+   * @param {string[]} names - Strategy names
+   * @param {object} req - Express request
+   * @returns {object|null} - The principal, or null when no credentials were presented
+   * @throws {AuthError} - The first rejection, when credentials were presented and none was accepted
+   */
+  function authenticate(names, req) {
+    let failure = null;
+    for (const name of names) {
+      try {
+        const principal = strategies.get(name).authenticate(req);
+        if (principal) return principal;
+      } catch (err) {
+        if (!(err instanceof AuthError)) throw err;
+        failure = failure || err;
+      }
+    }
+    if (failure) throw failure;
+    return null;
+  }
+
+  function requireAuth(names) {
+    if (names.length === 0) return null;
+    const challenge = names.some(name => strategies.get(name).scheme.scheme === 'bearer') ? 'Bearer' : null;
+
+    return (req, res, next) => {
+      let failure = null;
+      try {
+        const principal = authenticate(names, req);
+        if (principal) {
+          req.auth = principal;
+          // Query-string keys are credentials, not handler input
+          for (const name of names) {
+            const param = strategies.get(name).queryParam;
+            if (param) delete req.query[param];
+          }
+          return next();
+        }
+      } catch (err) {
+        if (!(err instanceof AuthError)) return next(err);
+        failure = err;
+      }
+
+      if (challenge) res.set('WWW-Authenticate', failure ? `${challenge} error="invalid_token"` : challenge);
+      return failure
+        ? res.status(401).json({ error: 'Invalid credentials', detail: failure.message })
+        : res.status(401).json({ error: 'Authentication required' });
+    };
+  }
+
+  return { strategies, require: requireAuth, authenticate };
+}
+
+module.exports = {
+  STRATEGY_TYPES,
+  JWT_ALGORITHMS,
+  AuthError,
+  createAuthenticator,
+  endpointStrategies,
+  securityScheme,
+  verifyJwt
+};
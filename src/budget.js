@@ -0,0 +1,231 @@
+/**
+ * Token and cost budgets for LLM calls, set globally (`budget`) and per endpoint. Spending is
+ * counted per UTC hour and day from the usage entries in usage.js and persisted under the
+ * config directory, so restarting the service doesn't reset it. An endpoint's budget covers
+ * its own prompt and every LLM call made while serving its route, e.g. by chain steps.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { USAGE_DIR } = require('./usage');
+
+const WINDOWS = {
+  hour: { label: 'Hourly', key: (iso) => iso.slice(0, 13), lengthMs: 3600000 },
+  day: { label: 'Daily', key: (iso) => iso.slice(0, 10), lengthMs: 86400000 }
+};
+const DEFAULT_WARN_AT = [0.8];
+// Scope name for the top-level budget; endpoint budgets use the endpoint name
+const GLOBAL_SCOPE = '*';
+
+function scopesOf(endpointNames) {
+  return [...new Set([GLOBAL_SCOPE, ...endpointNames.filter(Boolean)])];
+}
+
+// A budget ran out. Cost budgets map to 402, token budgets to 429; both clear when the window ends.
+class BudgetExceededError extends Error {
+  constructor(message, { scope, window, limit, retryAfterSeconds }) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    // Not `status`, so retry policies don't treat it as a retryable 429
+    this.httpStatus = limit === 'cost' ? 402 : 429;
+    this.scope = scope;
+    this.window = window;
+    this.limit = limit;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+function describeScope(scope) {
+  return scope === GLOBAL_SCOPE ? 'the service' : `endpoint ${scope}`;
+}
+
+class BudgetTracker {
+  /**
+   * @param {object} [options]
+   * @param {() => number} [options.now] - Clock in milliseconds, for tests
+   */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.budgets = new Map();
+    this.file = null;
+    this.logger = console;
+    // scope -> window key (e.g. "2026-03-01T12") -> { tokens, cost }
+    this.counters = {};
+    this.warned = new Set();
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Applies the budgets of a config, loading persisted counters when the config directory changes.
+   *
+   * @param {object} config - Loaded config
+   * @param {object} logger - Logger instance
+   */
+  configure(config, logger) {
+    this.logger = logger;
+    this.budgets = new Map();
+    if (config.budget) this.budgets.set(GLOBAL_SCOPE, config.budget);
+    for (const endpoint of config.endpoints || []) {
+      if (endpoint.budget) this.budgets.set(endpoint.name, endpoint.budget);
+    }
+
+    const file = this.budgets.size > 0 && config.baseDir ? path.join(config.baseDir, USAGE_DIR, 'budget.json') : null;
+    if (file && file !== this.file) {
+      this.file = file;
+      this.load();
+    }
+    this.file = file;
+  }
+
+  load() {
+    this.counters = {};
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.warn(`Ignoring unreadable budget file ${this.file}: ${err.message}`);
+      }
+      return;
+    }
+
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+      this.logger.warn(`Ignoring budget file ${this.file}: expected an object of counters`);
+      return;
+    }
+    this.counters = stored;
+  }
+
+  /**
+   * Largest `max_tokens` allowed for one completion by the endpoint's or the global budget.
+   *
+   * @param {string} endpointName
+   * @returns {number|undefined}
+   */
+  maxTokensPerRequest(endpointName) {
+    return this.budgets.get(endpointName)?.maxTokensPerRequest ?? this.budgets.get(GLOBAL_SCOPE)?.maxTokensPerRequest;
+  }
+
+  /**
+   * Throws when the global budget or the budget of any of the endpoints has run out.
+   *
+   * @param {...string} endpointNames - The prompt endpoint and the route it runs for
+   * @throws {BudgetExceededError}
+   */
+  check(...endpointNames) {
+    const nowMs = this.now();
+    const iso = new Date(nowMs).toISOString();
+
+    for (const scope of scopesOf(endpointNames)) {
+      const budget = this.budgets.get(scope);
+      if (!budget) continue;
+
+      for (const [window, { label, key, lengthMs }] of Object.entries(WINDOWS)) {
+        const spent = this.counters[scope]?.[key(iso)] || { tokens: 0, cost: 0 };
+        for (const limit of ['tokens', 'cost']) {
+          const max = budget[window]?.[limit];
+          if (max === undefined || spent[limit] < max) continue;
+
+          const retryAfterSeconds = Math.ceil((lengthMs - (nowMs % lengthMs)) / 1000);
+          throw new BudgetExceededError(
+            `${label} ${limit === 'cost' ? 'cost' : 'token'} budget of ${max} for ${describeScope(scope)} is used up`,
+            { scope, window, limit, retryAfterSeconds }
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Counts a usage entry against the global budget and the budgets of its endpoint and route.
+   *
+   * @param {object} entry - From UsageTracker.record
+   */
+  add(entry) {
+    if (this.budgets.size === 0) return;
+    const iso = entry.timestamp;
+
+    for (const scope of scopesOf([entry.endpoint, entry.route])) {
+      const budget = this.budgets.get(scope);
+      if (!budget) continue;
+
+      const counters = this.counters[scope] ||= {};
+      for (const [window, { label, key }] of Object.entries(WINDOWS)) {
+        const windowKey = key(iso);
+        const spent = counters[windowKey] ||= { tokens: 0, cost: 0 };
+        spent.tokens += entry.totalTokens;
+        spent.cost = Math.round((spent.cost + (entry.cost ?? 0)) * 1e9) / 1e9;
+        this.warnIfCrossed(scope, budget, window, label, windowKey, spent);
+      }
+      this.prune(counters, iso);
+    }
+    this.save();
+  }
+
+  // Log once per window each time spending passes one of the warnAt fractions of a limit
+  warnIfCrossed(scope, budget, window, label, windowKey, spent) {
+    for (const limit of ['tokens', 'cost']) {
+      const max = budget[window]?.[limit];
+      if (max === undefined) continue;
+
+      const crossed = (budget.warnAt || DEFAULT_WARN_AT).filter(fraction => spent[limit] >= max * fraction);
+      if (crossed.length === 0) continue;
+      const fraction = Math.max(...crossed);
+      const id = `${scope}|${windowKey}|${limit}|${fraction}`;
+      if (this.warned.has(id)) continue;
+
+      this.warned.add(id);
+      this.logger.warn(
+        `${label} ${limit === 'cost' ? 'cost' : 'token'} budget for ${describeScope(scope)} at ` +
+        `${Math.round((spent[limit] / max) * 100)}% (${spent[limit]} of ${max})`
+      );
+    }
+  }
+
+  // Only the current hour and day matter; older windows are dropped
+  prune(counters, iso) {
+    const current = new Set(Object.values(WINDOWS).map(({ key }) => key(iso)));
+    for (const windowKey of Object.keys(counters)) {
+      if (!current.has(windowKey)) delete counters[windowKey];
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    const { file } = this;
+    const data = JSON.stringify(this.counters);
+    // Writes are chained so an older snapshot never lands after a newer one
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, data);
+      })
+      .catch((err) => {
+        this.logger.warn(`Failed to write budget file ${file}: ${err.message}`);
+      });
+  }
+
+  // Resolves once pending writes are on disk
+  flush() {
+    return this.writing;
+  }
+}
+
+// One tracker per process, like the usage tracker it counts from
+let tracker = new BudgetTracker();
+
+function getBudgetTracker() {
+  return tracker;
+}
+
+// Forgets the in-memory state; persisted counters are read back on the next configure
+function resetBudgetTracker() {
+  tracker = new BudgetTracker();
+}
+
+module.exports = {
+  BudgetTracker,
+  BudgetExceededError,
+  getBudgetTracker,
+  resetBudgetTracker
+};
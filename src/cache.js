@@ -0,0 +1,177 @@
+/**
+ * Response caching for endpoints with a `cache` config: an in-memory LRU with TTL,
+ * optionally persisted to a JSON file per endpoint under the config directory.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { resolveProvider } = require('./providers');
+
+// Directory (relative to the config file) holding persisted caches
+const CACHE_DIR = '.ai-lambda-cache';
+
+// JSON with object keys sorted, so equivalent inputs produce the same cache key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Cache key for a request: endpoint name, normalized (validated) input, and the provider and
+ * model the prompt resolves to.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @param {object} input - Validated request input
+ * @param {object} [config] - Loaded config, for the providers and default model
+ * @param {string} [scope] - Keeps entries apart per caller, e.g. the authenticated principal
+ * @returns {string} - Hex digest
+ */
+function cacheKey(endpoint, input, config = {}, scope) {
+  const spec = endpoint.aiPrompt ? resolveProvider(endpoint, config) : null;
+  const provider = spec && { name: spec.name, model: spec.model ?? null };
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ endpoint: endpoint.name, input, provider, ...(scope ? { scope } : {}) }))
+    .digest('hex');
+}
+
+class ResponseCache {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlSeconds - How long entries stay fresh
+   * @param {number} [options.maxEntries] - Least recently used entries are evicted beyond this
+   * @param {string} [options.file] - Persist entries to this JSON file
+   * @param {object} [options.logger] - Logger instance
+   */
+  constructor({ ttlSeconds, maxEntries = 100, file = null, logger = console }) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    this.file = file;
+    this.logger = logger;
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+    this.writing = Promise.resolve();
+
+    if (file) {
+      this.load();
+    }
+  }
+
+  load() {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.warn(`Ignoring unreadable cache file ${this.file}: ${err.message}`);
+      }
+      return;
+    }
+
+    if (!Array.isArray(stored)) {
+      this.logger.warn(`Ignoring cache file ${this.file}: expected an array of entries`);
+      return;
+    }
+
+    const now = Date.now();
+    for (const item of stored) {
+      // Each item is a [key, entry] pair as written by persist(); anything else is skipped
+      if (!Array.isArray(item) || typeof item[0] !== 'string' || !item[1] || typeof item[1] !== 'object') continue;
+      const [key, entry] = item;
+      if (entry.expiresAt > now) {
+        this.entries.set(key, entry);
+      }
+    }
+    this.evict();
+  }
+
+  // Write the current entries; writes are serialized so the file always holds a full snapshot
+  persist() {
+    if (!this.file) return this.writing;
+
+    const snapshot = JSON.stringify(Array.from(this.entries));
+    this.writing = this.writing.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(this.file, snapshot);
+      } catch (err) {
+        this.logger.warn(`Failed to persist cache file ${this.file}: ${err.message}`);
+      }
+    });
+    return this.writing;
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {{ value: any, expiresAt: number } | undefined} - Fresh entry, if any
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+    this.evict();
+    this.persist();
+  }
+
+  /**
+   * @returns {number} - Number of entries removed
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.persist();
+    return count;
+  }
+
+  // Resolves once pending writes to the cache file have finished
+  flush() {
+    return this.writing;
+  }
+}
+
+/**
+ * Creates the cache for an endpoint, or null when it has no `cache` config.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @param {object} config - Loaded config (baseDir locates persisted caches)
+ * @param {object} logger - Logger instance
+ * @returns {ResponseCache|null}
+ */
+function createEndpointCache(endpoint, config, logger) {
+  if (!endpoint.cache) return null;
+
+  const { ttlSeconds, maxEntries, persist } = endpoint.cache;
+  const file = persist
+    ? path.join(config.baseDir, CACHE_DIR, `${encodeURIComponent(endpoint.name)}.json`)
+    : null;
+  return new ResponseCache({ ttlSeconds, maxEntries, file, logger });
+}
+
+module.exports = { ResponseCache, createEndpointCache, cacheKey, stableStringify, CACHE_DIR };
@@ -1,10 +1,218 @@
 const fs = require('node:fs/promises');
 const path = require('node:path');
 const Ajv = require('ajv');
-const { detectCircularDependencies } = require('./engine');
+const { detectCircularDependencies, endpointDependencies } = require('./engine');
+const { PROVIDER_TYPES } = require('./providers');
+const { STRATEGY_TYPES, JWT_ALGORITHMS, endpointStrategies } = require('./auth');
 
 const ajv = new Ajv({ allErrors: true, strict: false });
 
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// WorkIQ settings: the top-level `workiq` block, overridable per endpoint in `workiqQuery`
+const workiqSettings = {
+  binary: { type: 'string', minLength: 1 },
+  transport: { enum: ['mcp', 'cli', 'auto'] },
+  cliTimeoutMs: { type: 'integer', minimum: 1 },
+  mcpTimeoutMs: { type: 'integer', minimum: 1 },
+  eulaAutoAccept: { type: 'boolean' },
+  askArgs: { type: 'array', items: { type: 'string' } },
+  mcpArgs: { type: 'array', items: { type: 'string' } }
+};
+
+const secretMap = { type: 'object', additionalProperties: { type: 'string', minLength: 1 } };
+const hasType = (type) => ({ properties: { type: { const: type } } });
+
+// Entries of `auth.strategies` (see auth.js); the fields each type needs are checked below
+const authStrategy = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['type'],
+  properties: {
+    type: { enum: STRATEGY_TYPES },
+    header: { type: 'string', minLength: 1 },
+    query: { type: 'string', minLength: 1 },
+    keys: secretMap,
+    keysEnv: { type: 'string', minLength: 1 },
+    tokens: secretMap,
+    tokensEnv: { type: 'string', minLength: 1 },
+    algorithm: { enum: JWT_ALGORITHMS },
+    keyFile: { type: 'string', minLength: 1 },
+    secretEnv: { type: 'string', minLength: 1 },
+    issuer: { type: 'string', minLength: 1 },
+    audience: { type: 'string', minLength: 1 },
+    clockToleranceSec: { type: 'integer', minimum: 0 }
+  },
+  allOf: [
+    {
+      if: hasType('apiKey'),
+      then: { anyOf: [{ required: ['keys'] }, { required: ['keysEnv'] }], not: { required: ['header', 'query'] } }
+    },
+    { if: hasType('bearer'), then: { anyOf: [{ required: ['tokens'] }, { required: ['tokensEnv'] }] } },
+    { if: hasType('jwt'), then: { required: ['algorithm'], anyOf: [{ required: ['keyFile'] }, { required: ['secretEnv'] }] } }
+  ]
+};
+
+// Token bucket settings, shared by the top-level default and endpoint overrides (see rate-limit.js)
+const rateLimitPolicy = {
+  requests: { type: 'integer', minimum: 1 },
+  windowMs: { type: 'integer', minimum: 1 },
+  burst: { type: 'integer', minimum: 1 },
+  keyBy: { enum: ['ip', 'auth', 'header'] },
+  header: { type: 'string', minLength: 1 }
+};
+const keyByHeader = { if: { properties: { keyBy: { const: 'header' } }, required: ['keyBy'] }, then: { required: ['header'] } };
+
+// Token and cost limits per UTC hour and day, for the whole service or one endpoint (see budget.js)
+const budgetWindow = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: {
+    tokens: { type: 'integer', minimum: 1 },
+    cost: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+const budgetSchema = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: {
+    hour: budgetWindow,
+    day: budgetWindow,
+    maxTokensPerRequest: { type: 'integer', minimum: 1 },
+    warnAt: { type: 'array', items: { type: 'number', exclusiveMinimum: 0, maximum: 1 } }
+  }
+};
+
+// Shared definitions referenced with $ref so steps can nest (switch branches contain steps)
+const definitions = {
+  condition: {
+    type: 'object',
+    additionalProperties: false,
+    minProperties: 1,
+    properties: {
+      // Operators match evaluateCondition in template.js
+      value: {},
+      exists: { type: 'boolean' },
+      equals: {},
+      notEquals: {},
+      gt: {},
+      gte: {},
+      lt: {},
+      lte: {},
+      in: {},
+      notIn: {},
+      matches: { type: 'string' },
+      all: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } },
+      any: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } },
+      not: { $ref: '#/definitions/condition' }
+    }
+  },
+  endpointStep: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['endpoint', 'input'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      when: { $ref: '#/definitions/condition' },
+      endpoint: { type: 'string', minLength: 1 },
+      input: { type: 'object' },
+      timeoutMs: { type: 'integer', minimum: 1 },
+      retry: { $ref: '#/definitions/retryPolicy' }
+    }
+  },
+  // Members of a parallel group must be named so their outputs are addressable in later steps
+  parallelStep: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['parallel'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      when: { $ref: '#/definitions/condition' },
+      parallel: {
+        type: 'array',
+        minItems: 1,
+        items: { allOf: [{ $ref: '#/definitions/endpointStep' }, { required: ['name'] }] }
+      },
+      onError: { type: 'string', enum: ['failFast', 'collectAll'] }
+    }
+  },
+  switchStep: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['switch'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      when: { $ref: '#/definitions/condition' },
+      switch: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['cases'],
+        properties: {
+          cases: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['when', 'steps'],
+              properties: {
+                when: { $ref: '#/definitions/condition' },
+                steps: { $ref: '#/definitions/steps' }
+              }
+            }
+          },
+          default: { $ref: '#/definitions/steps' }
+        }
+      }
+    }
+  },
+  // Retry policy for endpoints and chain steps (see runWithRetry in retry.js)
+  retryPolicy: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['maxAttempts'],
+    properties: {
+      maxAttempts: { type: 'integer', minimum: 1 },
+      initialDelayMs: { type: 'integer', minimum: 0 },
+      maxDelayMs: { type: 'integer', minimum: 0 },
+      factor: { type: 'number', minimum: 1 },
+      jitter: { type: 'boolean' },
+      retryOn: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          errors: { type: 'array', items: { type: 'string', minLength: 1 } },
+          statuses: { type: 'array', items: { type: 'integer', minimum: 100, maximum: 599 } }
+        }
+      },
+      retryOnOutputValidation: { type: 'boolean' }
+    }
+  },
+  returnStep: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['return'],
+    properties: {
+      when: { $ref: '#/definitions/condition' },
+      return: {}
+    }
+  },
+  steps: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      oneOf: [
+        { $ref: '#/definitions/endpointStep' },
+        { $ref: '#/definitions/parallelStep' },
+        { $ref: '#/definitions/switchStep' },
+        { $ref: '#/definitions/returnStep' }
+      ]
+    }
+  }
+};
+
 const endpointSchema = {
   type: 'object',
   additionalProperties: false,
@@ -13,19 +221,78 @@ const endpointSchema = {
     name: { type: 'string', minLength: 1 },
     description: { type: 'string', minLength: 1 },
     path: { type: 'string', minLength: 1 },
-    method: { type: 'string', enum: ['GET', 'POST', 'get', 'post'] },
+    method: { type: 'string', enum: [...HTTP_METHODS, ...HTTP_METHODS.map(m => m.toLowerCase())] },
     inputSchema: { type: 'object' },
+    // Input field -> request value, e.g. "tenant": "headers.x-tenant-id"
+    inputMapping: {
+      type: 'object',
+      additionalProperties: { type: 'string', pattern: '^(headers|query|body|params)\\.[^.]' }
+    },
     outputSchema: { type: 'object' },
+    // Strategies from auth.strategies that may authenticate this endpoint, replacing auth.default
+    auth: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    public: { type: 'boolean' },
+    // Replaces the top-level rateLimit policy; false turns it off for this endpoint
+    rateLimit: {
+      oneOf: [
+        { const: false },
+        { type: 'object', additionalProperties: false, required: ['requests', 'windowMs'], properties: rateLimitPolicy, ...keyByHeader }
+      ]
+    },
+    concurrency: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['max'],
+      properties: {
+        max: { type: 'integer', minimum: 1 },
+        queue: { type: 'integer', minimum: 0 }
+      }
+    },
+    budget: budgetSchema,
+    timeoutMs: { type: 'integer', minimum: 1 },
+    retry: { $ref: '#/definitions/retryPolicy' },
+    // Response caching (see cache.js)
+    cache: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['ttlSeconds'],
+      properties: {
+        ttlSeconds: { type: 'integer', minimum: 1 },
+        maxEntries: { type: 'integer', minimum: 1 },
+        persist: { type: 'boolean' }
+      }
+    },
     aiPrompt: {
       type: 'object',
       additionalProperties: false,
-      required: ['prompt'],
+      // Prompt text is given inline or loaded from a file, not both
+      oneOf: [{ required: ['prompt'] }, { required: ['promptFile'] }],
       properties: {
         prompt: { type: 'string', minLength: 1 },
+        promptFile: { type: 'string', minLength: 1 },
+        includeInput: { type: 'boolean' },
         model: { type: 'string', minLength: 1 },
         temperature: { type: 'number', minimum: 0, maximum: 2 },
         baseUrl: { type: 'string', minLength: 1 },
-        apiKey: { type: 'string', minLength: 1 }
+        apiKey: { type: 'string', minLength: 1 },
+        stream: { type: 'boolean' },
+        // Other endpoints the model may call as tools
+        tools: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', minLength: 1 } },
+        maxToolIterations: { type: 'integer', minimum: 1 },
+        // Name from the top-level providers map, or the built-in "mock"
+        provider: { type: 'string', minLength: 1 },
+        mockResponses: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['output'],
+            properties: {
+              when: { $ref: '#/definitions/condition' },
+              output: {}
+            }
+          }
+        }
       }
     },
     jsHandler: {
@@ -42,7 +309,50 @@ const endpointSchema = {
       additionalProperties: false,
       required: ['query'],
       properties: {
-        query: { type: 'string', minLength: 1 }
+        query: { type: 'string', minLength: 1 },
+        ...workiqSettings
+      }
+    },
+    mcpTool: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['server', 'tool'],
+      properties: {
+        server: { type: 'string', minLength: 1 },
+        tool: { type: 'string', minLength: 1 },
+        // Templates rendered against the input; the input itself is sent when omitted
+        arguments: { type: 'object' }
+      }
+    },
+    httpHandler: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['url'],
+      properties: {
+        // url, headers, query and body are templates rendered against the input and env
+        url: { type: 'string', minLength: 1 },
+        method: { enum: HTTP_METHODS },
+        headers: { type: 'object', additionalProperties: { type: 'string' } },
+        query: { type: 'object' },
+        body: {},
+        timeoutMs: { type: 'integer', minimum: 1 },
+        responsePath: { type: 'string', minLength: 1 }
+      }
+    },
+    commandHandler: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['command'],
+      properties: {
+        command: { type: 'string', minLength: 1 },
+        // args, stdin and env values are templates rendered against the input and env
+        args: { type: 'array' },
+        stdin: {},
+        cwd: { type: 'string', minLength: 1 },
+        env: { type: 'object', additionalProperties: { type: 'string' } },
+        envAllowlist: { type: 'array', items: { type: 'string' } },
+        timeoutMs: { type: 'integer', minimum: 1 },
+        maxOutputBytes: { type: 'integer', minimum: 1 }
       }
     },
     chainHandler: {
@@ -50,20 +360,7 @@ const endpointSchema = {
       additionalProperties: false,
       required: ['steps'],
       properties: {
-        steps: {
-          type: 'array',
-          minItems: 1,
-          items: {
-            type: 'object',
-            additionalProperties: false,
-            required: ['endpoint', 'input'],
-            properties: {
-              name: { type: 'string', minLength: 1 },
-              endpoint: { type: 'string', minLength: 1 },
-              input: { type: 'object' }
-            }
-          }
-        },
+        steps: { $ref: '#/definitions/steps' },
         output: { type: 'object' }
       }
     }
@@ -74,11 +371,101 @@ const configSchema = {
   type: 'object',
   additionalProperties: false,
   required: ['endpoints'],
+  definitions,
   properties: {
     port: { type: 'integer', minimum: 1 },
     defaultModel: { type: 'string', minLength: 1 },
     defaultBaseUrl: { type: 'string', minLength: 1 },
     defaultApiKey: { type: 'string', minLength: 1 },
+    // Named LLM providers referenced by aiPrompt.provider (see providers.js)
+    providers: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type'],
+        properties: {
+          type: { type: 'string', enum: PROVIDER_TYPES },
+          baseUrl: { type: 'string', minLength: 1 },
+          apiKeyEnv: { type: 'string', minLength: 1 },
+          model: { type: 'string', minLength: 1 },
+          headers: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      }
+    },
+    workiq: {
+      type: 'object',
+      additionalProperties: false,
+      properties: workiqSettings
+    },
+    // Token accounting (see usage.js): a JSONL ledger and per-model prices per million tokens
+    usage: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ledger: { type: 'boolean' },
+        prices: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              prompt: { type: 'number', minimum: 0 },
+              completion: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    budget: budgetSchema,
+    // Default rate limit for every endpoint, and the store holding the buckets
+    rateLimit: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ...rateLimitPolicy,
+        store: {
+          type: 'object',
+          required: ['file'],
+          properties: {
+            file: { type: 'string', minLength: 1 },
+            export: { type: 'string', minLength: 1 }
+          }
+        }
+      },
+      dependencies: { requests: ['windowMs'], windowMs: ['requests'] },
+      ...keyByHeader
+    },
+    auth: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['strategies'],
+      properties: {
+        strategies: { type: 'object', minProperties: 1, additionalProperties: authStrategy },
+        // Strategies guarding every endpoint and the built-in routes except /__health
+        default: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+      }
+    },
+    // MCP servers used by mcpTool endpoints (see mcp-client.js): a command for stdio or a url for HTTP
+    mcpServers: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        oneOf: [{ required: ['command'] }, { required: ['url'] }],
+        properties: {
+          command: { type: 'string', minLength: 1 },
+          args: { type: 'array', items: { type: 'string' } },
+          env: { type: 'object', additionalProperties: { type: 'string' } },
+          cwd: { type: 'string', minLength: 1 },
+          url: { type: 'string', minLength: 1 },
+          headers: { type: 'object', additionalProperties: { type: 'string' } },
+          timeoutMs: { type: 'integer', minimum: 1 },
+          restartDelayMs: { type: 'integer', minimum: 1 },
+          maxRestartDelayMs: { type: 'integer', minimum: 1 }
+        }
+      }
+    },
     endpoints: {
       type: 'array',
       minItems: 1,
@@ -111,14 +498,40 @@ async function loadConfig(configPath, logger = console) {
     throw new Error(`Config validation failed: ${message}`);
   }
 
+  // WorkIQ's MCP servers share the client pool under these names
+  const reserved = Object.keys(parsed.mcpServers || {}).find(name => /^workiq(:|$)/.test(name));
+  if (reserved) {
+    throw new Error(`MCP server name "${reserved}" is reserved for WorkIQ.`);
+  }
+
+  const unknownStrategy = (names = []) => names.find(name => !parsed.auth?.strategies[name]);
+  const badDefault = unknownStrategy(parsed.auth?.default);
+  if (badDefault) {
+    throw new Error(`auth.default references unknown auth strategy "${badDefault}".`);
+  }
+
   parsed.endpoints.forEach((ep, index) => {
     const hasPrompt = Boolean(ep.aiPrompt);
     const hasJs = Boolean(ep.jsHandler);
     const hasWorkiq = Boolean(ep.workiqQuery);
     const hasChain = Boolean(ep.chainHandler);
-    const handlerCount = [hasPrompt, hasJs, hasWorkiq, hasChain].filter(Boolean).length;
+    const hasMcp = Boolean(ep.mcpTool);
+    const hasHttp = Boolean(ep.httpHandler);
+    const hasCommand = Boolean(ep.commandHandler);
+    const handlerCount = [hasPrompt, hasJs, hasWorkiq, hasChain, hasMcp, hasHttp, hasCommand].filter(Boolean).length;
     if (handlerCount !== 1) {
-      throw new Error(`Endpoint at index ${index} must specify exactly one of aiPrompt, jsHandler, workiqQuery, or chainHandler.`);
+      throw new Error(`Endpoint at index ${index} must specify exactly one of aiPrompt, jsHandler, workiqQuery, chainHandler, mcpTool, httpHandler, or commandHandler.`);
+    }
+    if (hasMcp && !parsed.mcpServers?.[ep.mcpTool.server]) {
+      throw new Error(`Endpoint ${ep.name} references unknown MCP server "${ep.mcpTool.server}".`);
+    }
+    const badStrategy = unknownStrategy(ep.auth);
+    if (badStrategy) {
+      throw new Error(`Endpoint ${ep.name} references unknown auth strategy "${badStrategy}".`);
+    }
+    const provider = ep.aiPrompt?.provider;
+    if (provider && provider !== 'mock' && !parsed.providers?.[provider]) {
+      throw new Error(`Endpoint ${ep.name} references unknown provider "${provider}".`);
     }
     ep.method = ep.method.toUpperCase();
   });
@@ -126,6 +539,22 @@ async function loadConfig(configPath, logger = console) {
   // Detect circular dependencies in chain handlers
   detectCircularDependencies(parsed);
 
+  // Chain steps and prompt tools call their targets directly, without the targets' own auth
+  // check, so every caller admitted by an endpoint must also be admitted by what it calls
+  const byName = new Map(parsed.endpoints.map(ep => [ep.name, ep]));
+  for (const ep of parsed.endpoints) {
+    const strategies = endpointStrategies(ep, parsed.auth);
+    for (const dep of endpointDependencies(ep)) {
+      const required = endpointStrategies(byName.get(dep), parsed.auth);
+      if (required.length > 0 && (strategies.length === 0 || strategies.some(name => !required.includes(name)))) {
+        throw new Error(
+          `Endpoint ${ep.name} calls ${dep}, which requires auth (${required.join(', ')}), ` +
+          `but accepts ${strategies.length > 0 ? `callers authenticated by ${strategies.join(', ')}` : 'unauthenticated callers'}.`
+        );
+      }
+    }
+  }
+
   const config = { ...parsed, baseDir: path.dirname(fullPath) };
   logger.info(`Loaded config from ${fullPath} with ${config.endpoints.length} endpoints.`);
   return config;
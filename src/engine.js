@@ -1,290 +1,177 @@
+const fs = require('node:fs/promises');
 const path = require('node:path');
-const { exec, spawn, execSync } = require('node:child_process');
-const { promisify } = require('node:util');
-const readline = require('node:readline');
-const { compileTemplate } = require('./template');
-
-const execAsync = promisify(exec);
-
-// Helper to run workiq CLI command with proper shell environment
-async function runWorkiqCli(query, logger) {
-  const workiqPath = `${process.env.HOME}/.nvm/versions/node/v24.6.0/bin/workiq`;
-  
-  // Escape single quotes in the query
-  const escapedQuery = query.replace(/'/g, "'\"'\"'");
-  
-  // Run via login shell to get full environment including auth tokens
-  const command = `${workiqPath} ask -q '${escapedQuery}'`;
-  
-  logger.info(`Running workiq CLI: ${command}`);
-  
+const { execFile } = require('node:child_process');
+const { compileTemplate, evaluateCondition, renderTemplate, resolvePath } = require('./template');
+const { runWithRetry, withTimeout, OutputValidationError, TimeoutError } = require('./retry');
+const { createProvider } = require('./providers');
+const { getMcpClient, closeMcpClients } = require('./mcp-client');
+const { getUsageTracker } = require('./usage');
+const { getBudgetTracker } = require('./budget');
+const { getMetrics } = require('./metrics');
+
+// Defaults for the top-level `workiq` block, which endpoints can override in `workiqQuery`
+const WORKIQ_DEFAULTS = {
+  binary: 'workiq',
+  transport: 'auto',
+  cliTimeoutMs: 180000,
+  mcpTimeoutMs: 120000,
+  eulaAutoAccept: true,
+  askArgs: [],
+  mcpArgs: []
+};
+
+// Merge defaults, config.workiq and the endpoint's overrides. A binary containing a path
+// separator is resolved against the config directory; a bare name is looked up on PATH.
+function resolveWorkiqSettings(endpoint, config, baseDir) {
+  const { query, ...overrides } = endpoint.workiqQuery;
+  const settings = { ...WORKIQ_DEFAULTS, ...config.workiq, ...overrides };
+  if (/[\\/]/.test(settings.binary)) {
+    settings.binary = path.resolve(baseDir || process.cwd(), settings.binary);
+  }
+  return settings;
+}
+
+/**
+ * Runs an executable without a shell, so arguments need no escaping.
+ *
+ * @param {string} command - Executable path or name looked up on PATH
+ * @param {string[]} args - Arguments
+ * @param {object} options
+ * @param {number} options.timeoutMs - Kill the process after this long
+ * @param {number} options.maxOutputBytes - Kill the process when stdout or stderr grows past this
+ * @param {string} [options.stdin] - Written to stdin, which is closed either way
+ * @param {string} [options.cwd] - Working directory
+ * @param {object} [options.env] - Environment (defaults to the service's)
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ * @throws {Error} - With stderr attached when the process fails, times out or exits non-zero
+ */
+function runCommand(command, args, { timeoutMs, maxOutputBytes, stdin, cwd, env }) {
   return new Promise((resolve, reject) => {
-    exec(command, {
-      timeout: 180000, // 3 minute timeout
-      maxBuffer: 1024 * 1024,
-      env: {
-        ...process.env,
-        PATH: `${process.env.HOME}/.nvm/versions/node/v24.6.0/bin:${process.env.PATH}`
-      }
-    }, (error, stdout, stderr) => {
-      if (stderr) {
-        logger.warn(`workiq stderr: ${stderr}`);
-      }
-      
-      if (error) {
-        logger.error(`workiq CLI error: ${error.message}`);
-        reject(new Error(`workiq CLI failed: ${error.message}${stderr ? `\nStderr: ${stderr}` : ''}`));
+    const child = execFile(command, args, { timeout: timeoutMs, maxBuffer: maxOutputBytes, cwd, env }, (error, stdout, stderr) => {
+      if (!error) {
+        resolve({ stdout, stderr });
         return;
       }
-      
-      resolve(stdout.trim());
-    });
-  });
-}
 
-// MCP Client for communicating with workiq MCP server
-class WorkiqMcpClient {
-  constructor(logger) {
-    this.logger = logger;
-    this.process = null;
-    this.requestId = 0;
-    this.pendingRequests = new Map();
-    this.initialized = false;
-    this.tools = [];
-    this.buffer = '';
-  }
-
-  async connect() {
-    if (this.process) return;
-
-    const workiqPath = `${process.env.HOME}/.nvm/versions/node/v24.6.0/bin/workiq`;
-    
-    this.logger.info('Starting workiq MCP server...');
-    
-    this.process = spawn(workiqPath, ['mcp'], {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: {
-        ...process.env,
-        PATH: `${process.env.HOME}/.nvm/versions/node/v24.6.0/bin:${process.env.PATH || '/usr/local/bin:/usr/bin:/bin'}`
+      let reason;
+      if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+        reason = `output exceeded ${maxOutputBytes} bytes`;
+      } else if (error.killed && error.signal) {
+        reason = `timed out after ${timeoutMs}ms`;
+      } else if (typeof error.code === 'number') {
+        reason = `exited with code ${error.code}`;
+      } else {
+        reason = `failed: ${error.message}`;
       }
+      const err = new Error(`${command} ${reason}${stderr ? `\nStderr: ${stderr.trim().slice(0, 1000)}` : ''}`);
+      err.stderr = stderr;
+      reject(err);
     });
 
-    // Handle stderr for debugging
-    this.process.stderr.on('data', (data) => {
-      this.logger.warn(`workiq MCP stderr: ${data.toString()}`);
-    });
-
-    // Handle stdout - MCP uses newline-delimited JSON
-    this.process.stdout.on('data', (data) => {
-      this.buffer += data.toString();
-      this.processBuffer();
-    });
+    // Closing stdin keeps programs that read it from waiting forever; EPIPE just means
+    // the program exited without reading it
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+  });
+}
 
-    this.process.on('error', (err) => {
-      this.logger.error(`workiq MCP process error: ${err.message}`);
-    });
+// Run `workiq ask -q <query>` without a shell, so the query needs no escaping
+async function runWorkiqCli(query, settings, logger) {
+  const args = ['ask', '-q', query, ...settings.askArgs];
+  logger.info(`Running workiq CLI: ${settings.binary} ${args.map(a => JSON.stringify(a)).join(' ')}`);
 
-    this.process.on('close', (code) => {
-      this.logger.info(`workiq MCP server exited with code ${code}`);
-      this.process = null;
-      this.initialized = false;
+  try {
+    const { stdout, stderr } = await runCommand(settings.binary, args, {
+      timeoutMs: settings.cliTimeoutMs,
+      maxOutputBytes: 1024 * 1024
     });
-
-    // Initialize MCP connection
-    await this.initialize();
+    if (stderr) {
+      logger.warn(`workiq stderr: ${stderr}`);
+    }
+    return stdout.trim();
+  } catch (err) {
+    logger.error(`workiq CLI error: ${err.message}`);
+    throw new Error(`workiq CLI failed: ${err.message}`);
   }
+}
 
-  processBuffer() {
-    // MCP messages are newline-delimited JSON
-    const lines = this.buffer.split('\n');
-    this.buffer = lines.pop() || ''; // Keep incomplete line in buffer
+const WORKIQ_EULA_URL = 'https://github.com/microsoft/work-iq-mcp';
+// Settings that change how the workiq MCP server is started
+const WORKIQ_MCP_SETTINGS = ['binary', 'mcpArgs', 'mcpTimeoutMs', 'eulaAutoAccept'];
 
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      try {
-        const message = JSON.parse(line);
-        this.handleMessage(message);
-      } catch (err) {
-        this.logger.warn(`Failed to parse MCP message: ${line}`);
-      }
-    }
+// Accept the EULA after every (re)initialize when the server offers the tool
+async function acceptWorkiqEula(client) {
+  if (!client.tools.some(t => t.name === 'accept_eula')) {
+    return; // No EULA tool, assume already accepted
   }
 
-  handleMessage(message) {
-    this.logger.info(`MCP received: ${JSON.stringify(message).substring(0, 200)}`);
-    
-    if (message.id !== undefined && this.pendingRequests.has(message.id)) {
-      const { resolve, reject } = this.pendingRequests.get(message.id);
-      this.pendingRequests.delete(message.id);
-      
-      if (message.error) {
-        reject(new Error(message.error.message || JSON.stringify(message.error)));
-      } else {
-        resolve(message.result);
-      }
-    }
+  try {
+    client.logger.info('Accepting WorkIQ EULA...');
+    // Still initializing, so send the call directly rather than through callTool
+    const result = await client.send('tools/call', { name: 'accept_eula', arguments: { eulaUrl: WORKIQ_EULA_URL } });
+    client.logger.info(`EULA acceptance result: ${JSON.stringify(result)}`);
+  } catch (err) {
+    client.logger.warn(`EULA acceptance failed: ${err.message} - ask_work_iq might fail`);
   }
+}
 
-  sendRequest(method, params = {}) {
-    return new Promise((resolve, reject) => {
-      const id = ++this.requestId;
-      const request = {
-        jsonrpc: '2.0',
-        id,
-        method,
-        params
-      };
-
-      this.pendingRequests.set(id, { resolve, reject });
-      
-      const timeout = setTimeout(() => {
-        this.pendingRequests.delete(id);
-        reject(new Error(`MCP request timed out: ${method}`));
-      }, 120000);
-
-      // Store timeout ref to clear on response
-      const pending = this.pendingRequests.get(id);
-      if (pending) {
-        const originalResolve = pending.resolve;
-        const originalReject = pending.reject;
-        pending.resolve = (result) => {
-          clearTimeout(timeout);
-          originalResolve(result);
-        };
-        pending.reject = (err) => {
-          clearTimeout(timeout);
-          originalReject(err);
-        };
-      }
+// The workiq MCP server runs in the shared MCP client pool (see mcp-client.js), so it is
+// supervised and reported in /__health like any other. Endpoints that override how it is
+// started get their own server, named after the endpoint.
+function getWorkiqMcpClient(endpoint, settings, logger) {
+  const overridden = WORKIQ_MCP_SETTINGS.some(key => key in endpoint.workiqQuery);
+  const name = overridden ? `workiq:${endpoint.name}` : 'workiq';
+  const server = { command: settings.binary, args: ['mcp', ...settings.mcpArgs], timeoutMs: settings.mcpTimeoutMs };
+  return getMcpClient(name, server, { logger, onInitialize: settings.eulaAutoAccept ? acceptWorkiqEula : undefined });
+}
 
-      this.logger.info(`MCP sending: ${JSON.stringify(request)}`);
-      this.process.stdin.write(JSON.stringify(request) + '\n');
-    });
-  }
+async function askWorkiqMcp(client, query) {
+  await client.connect();
 
-  async initialize() {
-    // Send MCP initialize request
-    const initResult = await this.sendRequest('initialize', {
-      protocolVersion: '2024-11-05',
-      capabilities: {},
-      clientInfo: {
-        name: 'ai-lambda-service',
-        version: '1.0.0'
-      }
-    });
-    
-    this.logger.info(`MCP initialized: ${JSON.stringify(initResult)}`);
-    
-    // Send initialized notification
-    this.process.stdin.write(JSON.stringify({
-      jsonrpc: '2.0',
-      method: 'notifications/initialized'
-    }) + '\n');
-    
-    // List available tools
-    const toolsResult = await this.sendRequest('tools/list', {});
-    this.tools = toolsResult.tools || [];
-    this.logger.info(`MCP tools available: ${this.tools.map(t => t.name).join(', ')}`);
-    
-    // Accept EULA if needed
-    const eulaAccepted = await this.acceptEulaIfNeeded();
-    if (!eulaAccepted) {
-      this.logger.warn('EULA may not have been accepted - ask_work_iq might fail');
-    }
-    
-    this.initialized = true;
-  }
-
-  async acceptEulaIfNeeded() {
-    const eulaTool = this.tools.find(t => t.name === 'accept_eula');
-    if (!eulaTool) {
-      return true; // No EULA tool, assume already accepted
-    }
-    
-    try {
-      this.logger.info('Accepting WorkIQ EULA...');
-      const result = await this.sendRequest('tools/call', {
-        name: 'accept_eula',
-        arguments: { eulaUrl: 'https://github.com/microsoft/work-iq-mcp' }
-      });
-      this.logger.info(`EULA acceptance result: ${JSON.stringify(result)}`);
-      return true;
-    } catch (err) {
-      this.logger.warn(`EULA acceptance failed: ${err.message}`);
-      return false;
-    }
+  const askTool = client.tools.find(t => t.name === 'ask_work_iq');
+  if (!askTool) {
+    throw new Error('ask_work_iq tool not found in workiq MCP server. Available tools: ' + client.tools.map(t => t.name).join(', '));
   }
 
-  async ask(query) {
-    if (!this.initialized) {
-      await this.connect();
-    }
-
-    // Use the ask_work_iq tool
-    const askTool = this.tools.find(t => t.name === 'ask_work_iq');
+  // The parameter might be 'question' or 'query' - check the tool schema
+  const paramName = Object.keys(askTool.inputSchema?.properties || {})[0] || 'question';
+  const result = await client.callTool(askTool.name, { [paramName]: query });
 
-    if (!askTool) {
-      throw new Error('ask_work_iq tool not found in workiq MCP server. Available tools: ' + this.tools.map(t => t.name).join(', '));
-    }
-
-    this.logger.info(`Using MCP tool: ${askTool.name}`);
+  const textContent = result.content?.find(c => c.type === 'text');
+  if (result.isError) {
+    throw new Error(`workiq MCP tool error: ${textContent?.text || 'Unknown MCP tool error'}`);
+  }
+  return textContent ? textContent.text : JSON.stringify(result);
+}
 
-    // Call the tool - the parameter might be 'question' or 'query' - check the tool schema
-    const toolArgs = {};
-    if (askTool.inputSchema && askTool.inputSchema.properties) {
-      const paramName = Object.keys(askTool.inputSchema.properties)[0] || 'question';
-      toolArgs[paramName] = query;
-    } else {
-      toolArgs.question = query;
-    }
-    
-    this.logger.info(`MCP tool args: ${JSON.stringify(toolArgs)}`);
+// Record/replay of outbound provider calls (see recorder.js); null makes live calls
+let recorder = null;
 
-    // Call the tool
-    const result = await this.sendRequest('tools/call', {
-      name: askTool.name,
-      arguments: toolArgs
-    });
+function setRecorder(next) {
+  recorder = next;
+}
 
-    // Check for MCP tool error
-    if (result.isError) {
-      const errorText = result.content?.find(c => c.type === 'text')?.text || 'Unknown MCP tool error';
-      throw new Error(`workiq MCP tool error: ${errorText}`);
-    }
+// Route an outbound call through the active recorder, if any. Streamed responses (async
+// iterables) are recorded as the list of items received and replayed from that list.
+// `request` is written to the fixture file, so callers leave credentials out of it (HTTP
+// headers, a command's environment).
+function recordCall(kind, request, perform) {
+  if (!recorder) return perform();
 
-    // Extract text content from result
-    if (result.content && Array.isArray(result.content)) {
-      const textContent = result.content.find(c => c.type === 'text');
-      if (textContent) {
-        return textContent.text;
-      }
-    }
-    
-    return JSON.stringify(result);
-  }
+  return recorder.call(kind, request, async () => {
+    const response = await perform();
+    if (!response?.[Symbol.asyncIterator]) return response;
 
-  close() {
-    if (this.process) {
-      this.process.kill();
-      this.process = null;
+    const items = [];
+    for await (const item of response) {
+      items.push(item);
     }
-    this.initialized = false;
-  }
-}
-
-// Singleton MCP client instance
-let mcpClient = null;
-
-async function getWorkiqMcpClient(logger) {
-  if (!mcpClient) {
-    mcpClient = new WorkiqMcpClient(logger);
-    await mcpClient.connect();
-  }
-  return mcpClient;
+    return items;
+  });
 }
 
 // Handler registry for chain handler support
-const handlerRegistry = new Map();
+let handlerRegistry = new Map();
 
 function registerHandler(name, handler, validateInput, validateOutput) {
   handlerRegistry.set(name, { handler, validateInput, validateOutput });
@@ -298,72 +185,92 @@ function clearHandlerRegistry() {
   handlerRegistry.clear();
 }
 
+// Replace every registered handler at once (used when a config is hot reloaded)
+function replaceHandlerRegistry(entries) {
+  const next = new Map();
+  for (const [name, { handler, validateInput, validateOutput }] of entries) {
+    next.set(name, { handler, validateInput, validateOutput });
+  }
+  handlerRegistry = next;
+}
+
 async function createHandler(endpoint, baseDir, logger = console, config = {}) {
   if (endpoint.aiPrompt) {
-    return createPromptHandler(endpoint, logger, config);
+    return createPromptHandler(endpoint, baseDir, logger, config);
   }
   if (endpoint.workiqQuery) {
-    return createWorkiqHandler(endpoint, logger);
+    return createWorkiqHandler(endpoint, baseDir, logger, config);
   }
   if (endpoint.chainHandler) {
     return createChainHandler(endpoint, logger);
   }
+  if (endpoint.mcpTool) {
+    return createMcpToolHandler(endpoint, baseDir, logger, config);
+  }
+  if (endpoint.httpHandler) {
+    return createHttpHandler(endpoint, logger);
+  }
+  if (endpoint.commandHandler) {
+    return createCommandHandler(endpoint, baseDir, logger);
+  }
   return createJsHandler(endpoint, baseDir);
 }
 
-async function createPromptHandler(endpoint, logger, config = {}) {
-  // Resolve API key: endpoint > config > environment
-  const apiKey = endpoint.aiPrompt.apiKey || config.defaultApiKey || process.env.OPENAI_API_KEY;
-  
-  // Resolve base URL: endpoint > config > default (OpenAI)
-  const baseUrl = endpoint.aiPrompt.baseUrl || config.defaultBaseUrl;
-  
-  // API key is only required when using OpenAI (no custom baseUrl) or if explicitly set
-  // Local LLM servers like LM Studio often don't require auth
-  if (!apiKey && !baseUrl) {
-    throw new Error('OPENAI_API_KEY is required for aiPrompt handlers, or specify a baseUrl for local LLM servers.');
+// Prompt text comes inline from aiPrompt.prompt or from aiPrompt.promptFile relative to the config directory
+async function loadPromptText(endpoint, baseDir) {
+  if (!endpoint.aiPrompt.promptFile) {
+    return endpoint.aiPrompt.prompt;
   }
 
-  let OpenAI;
+  const promptPath = path.resolve(baseDir, endpoint.aiPrompt.promptFile);
   try {
-    OpenAI = (await import('openai')).default;
+    return await fs.readFile(promptPath, 'utf8');
   } catch (err) {
-    throw new Error(`Failed to load OpenAI SDK: ${err.message}`);
-  }
-
-  const clientOptions = {};
-  if (apiKey) {
-    clientOptions.apiKey = apiKey;
-  } else {
-    // For local servers without auth, use a dummy key (SDK requires something)
-    clientOptions.apiKey = 'not-required';
-  }
-  if (baseUrl) {
-    clientOptions.baseURL = baseUrl;
+    throw new Error(`Failed to load prompt file at ${promptPath}: ${err.message}`);
   }
+}
 
-  const client = new OpenAI(clientOptions);
-  const model = endpoint.aiPrompt.model || config.defaultModel || 'gpt-4o-mini';
+async function createPromptHandler(endpoint, baseDir, logger, config = {}) {
+  // Provider, model and credentials come from the endpoint, a named provider or the top-level
+  // defaults (see providers.js). Replayed calls never reach the provider, so no credentials are needed.
+  const provider = await createProvider(endpoint, config, {
+    record: recordCall,
+    requireCredentials: recorder?.mode !== 'replay'
+  });
+  const { model } = provider.spec;
   const temperature = endpoint.aiPrompt.temperature ?? 1;
+  const promptText = await loadPromptText(endpoint, baseDir);
+  const includeInput = endpoint.aiPrompt.includeInput ?? true;
+  const tools = buildToolDefinitions(endpoint, config);
+
+  // Render {{...}} placeholders with input fields available both directly ({{name}}) and as {{input.name}}.
+  // Optional fields left out of the input render as empty text.
+  const renderPrompt = (input) => {
+    let prompt;
+    try {
+      prompt = renderTemplate(promptText, { ...input, input }, { lenient: true });
+    } catch (err) {
+      throw new Error(`Failed to render prompt for ${endpoint.name}: ${err.message}`);
+    }
+    return includeInput ? `${prompt}\n\nInput JSON:\n${JSON.stringify(input)}` : prompt;
+  };
 
-  return async (input, req) => {
-    const messages = [
-      { role: 'system', content: endpoint.description },
-      {
-        role: 'user',
-        content: `${endpoint.aiPrompt.prompt}\n\nInput JSON:\n${JSON.stringify(input)}`
-      }
-    ];
-
-    const response = await client.chat.completions.create({
+  const buildRequest = (input) => {
+    const maxTokens = getBudgetTracker().maxTokensPerRequest(endpoint.name);
+    return {
       model,
-      messages,
+      messages: [
+        { role: 'system', content: endpoint.description },
+        { role: 'user', content: renderPrompt(input) }
+      ],
       temperature,
-      // Only include response_format if using OpenAI (some local servers don't support it)
-      ...(endpoint.outputSchema && !baseUrl ? { response_format: { type: 'json_object' } } : {})
-    });
+      json: Boolean(endpoint.outputSchema),
+      ...(maxTokens !== undefined ? { maxTokens } : {}),
+      ...(tools.length > 0 ? { tools } : {})
+    };
+  };
 
-    const content = response.choices?.[0]?.message?.content?.trim();
+  const parseContent = (content) => {
     if (!content) {
       throw new Error('No content returned from LLM.');
     }
@@ -381,6 +288,145 @@ async function createPromptHandler(endpoint, logger, config = {}) {
       return { result: content };
     }
   };
+
+  // Every provider reply is counted, including each round of a tool loop, and each call first
+  // checks that the global, endpoint and route budgets have room left
+  const checkBudget = (req) => getBudgetTracker().check(endpoint.name, req?.tokenUsage?.endpoint);
+  const trackUsage = (reply, req) => {
+    const entry = getUsageTracker().record({ endpoint: endpoint.name, provider: provider.spec.name, model, usage: reply.usage }, req);
+    getBudgetTracker().add(entry);
+    return reply;
+  };
+
+  const handler = async (input, req) => {
+    const request = buildRequest(input);
+    if (tools.length > 0) {
+      const { content } = await runToolLoop({ endpoint, provider, request, tools, input, req, logger, checkBudget, trackUsage });
+      return parseContent(content?.trim());
+    }
+    checkBudget(req);
+    const { content } = trackUsage(await provider.complete(request, input), req);
+    return parseContent(content?.trim());
+  };
+
+  // Streaming variant used for Server-Sent Events responses. Each content delta is
+  // passed to onDelta as it arrives; the resolved value matches the non-streaming handler.
+  // With tools, the tool-call loop runs first and the final answer is sent as a single delta.
+  handler.stream = async (input, req, onDelta) => {
+    if (tools.length > 0) {
+      const { content } = await runToolLoop({ endpoint, provider, request: buildRequest(input), tools, input, req, logger, checkBudget, trackUsage });
+      if (content) onDelta(content);
+      return parseContent(content?.trim());
+    }
+
+    checkBudget(req);
+    const { content } = trackUsage(await provider.stream(buildRequest(input), input, onDelta), req);
+    return parseContent(content.trim());
+  };
+
+  return handler;
+}
+
+// Tool names sent to providers must match ^[a-zA-Z0-9_-]{1,64}$
+function toToolName(endpointName) {
+  return endpointName.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+// aiPrompt.tools lists other endpoints; their description and inputSchema become tool definitions
+function buildToolDefinitions(endpoint, config) {
+  return (endpoint.aiPrompt.tools || []).map((name) => {
+    const target = (config.endpoints || []).find(ep => ep.name === name);
+    if (!target) {
+      throw new Error(`Endpoint ${endpoint.name} lists unknown tool endpoint "${name}".`);
+    }
+    return {
+      name: toToolName(name),
+      description: target.description,
+      parameters: target.inputSchema || { type: 'object', properties: {} },
+      endpoint: name
+    };
+  });
+}
+
+// Run one tool call through the registered handler with the same validation as its route.
+// Failures are returned as `{ error }` so the model can see them and recover.
+async function callTool(tool, call, req) {
+  const entry = getHandler(tool.endpoint);
+  if (!entry) {
+    return { error: `Tool endpoint "${tool.endpoint}" is not registered` };
+  }
+
+  const { handler, validateInput, validateOutput } = entry;
+  if (!call.arguments || typeof call.arguments !== 'object' || Array.isArray(call.arguments)) {
+    return { error: 'Tool arguments must be a JSON object' };
+  }
+  if (validateInput && !validateInput(call.arguments)) {
+    getMetrics().validationFailed(tool.endpoint, 'input');
+    return { error: 'Invalid tool arguments', details: validateInput.errors };
+  }
+
+  let output;
+  try {
+    output = await handler(call.arguments, req);
+  } catch (err) {
+    return { error: `Tool failed: ${err.message}` };
+  }
+  if (validateOutput && !validateOutput(output)) {
+    getMetrics().validationFailed(tool.endpoint, 'output');
+    return { error: 'Tool output failed validation', details: validateOutput.errors };
+  }
+  return output;
+}
+
+/**
+ * Calls the model, runs any tools it asks for and sends their results back until it answers
+ * without tool calls. Each call is logged at debug level as it completes.
+ *
+ * @returns {Promise<{ content: string, trace: object[] }>} - Final answer and the tool call trace
+ * @throws {Error} - When the model still requests tools after aiPrompt.maxToolIterations rounds
+ */
+async function runToolLoop({ endpoint, provider, request, tools, input, req, logger, checkBudget, trackUsage }) {
+  const maxIterations = endpoint.aiPrompt.maxToolIterations ?? 5;
+  const messages = [...request.messages];
+  const trace = [];
+
+  for (let iteration = 0; ; iteration++) {
+    checkBudget(req);
+    const reply = trackUsage(await provider.complete({ ...request, messages }, input), req);
+    if (!reply.toolCalls?.length) {
+      logger.debug(`Endpoint ${endpoint.name}: final answer after ${trace.length} tool call(s)`);
+      return { content: reply.content, trace };
+    }
+    if (iteration >= maxIterations) {
+      const calls = trace.map(t => t.tool).join(', ') || 'none';
+      throw new Error(`Endpoint ${endpoint.name} reached maxToolIterations (${maxIterations}) without a final answer. Tool calls: ${calls}`);
+    }
+
+    messages.push({ role: 'assistant', content: reply.content || '', toolCalls: reply.toolCalls });
+    for (const call of reply.toolCalls) {
+      const tool = tools.find(t => t.name === call.name);
+      const started = Date.now();
+      const result = tool
+        ? await callTool(tool, call, req)
+        : { error: `Unknown tool "${call.name}". Available tools: ${tools.map(t => t.name).join(', ')}` };
+      const durationMs = Date.now() - started;
+
+      const entry = { iteration: iteration + 1, tool: tool?.endpoint || call.name, arguments: call.arguments, durationMs };
+      if (result?.error) entry.error = result.error;
+      trace.push(entry);
+      logger.debug(
+        `Endpoint ${endpoint.name} tool call ${trace.length} (round ${entry.iteration}): ` +
+        `${entry.tool}(${JSON.stringify(call.arguments)}) -> ${JSON.stringify(result).slice(0, 200)} [${durationMs}ms]`
+      );
+
+      messages.push({
+        role: 'tool',
+        toolCallId: call.id,
+        name: call.name,
+        content: typeof result === 'string' ? result : JSON.stringify(result)
+      });
+    }
+  }
 }
 
 async function createJsHandler(endpoint, baseDir) {
@@ -404,48 +450,66 @@ async function createJsHandler(endpoint, baseDir) {
   return async (input, req) => handlerFn(input, req);
 }
 
-async function createWorkiqHandler(endpoint, logger) {
-  // Pre-initialize the MCP client when the handler is created
-  const client = await getWorkiqMcpClient(logger);
-  
+async function createWorkiqHandler(endpoint, baseDir, logger, config = {}) {
+  const settings = resolveWorkiqSettings(endpoint, config, baseDir);
+  const { query: queryTemplate } = endpoint.workiqQuery;
+  // Without placeholders the whole input is appended to the query as context
+  const hasPlaceholders = queryTemplate.includes('{{');
+
+  // Replays never start workiq. Otherwise the MCP server is started now: `mcp` fails handler
+  // creation if it can't connect, `auto` only warns since the CLI is its fallback.
+  const client = settings.transport === 'cli' || recorder?.mode === 'replay'
+    ? null
+    : getWorkiqMcpClient(endpoint, settings, logger);
+  if (client && settings.transport === 'mcp') {
+    await client.connect();
+  } else if (client) {
+    client.connect().catch((err) => logger.warn(`workiq MCP server unavailable (${err.message}), queries will fall back to the CLI.`));
+  }
+
+  const askMcp = (query) => recordCall(
+    'mcp.tools/call',
+    { server: 'workiq', tool: 'ask_work_iq', query },
+    () => askWorkiqMcp(client, query)
+  );
+  const askCli = (query) => recordCall('workiq.cli', { query }, () => runWorkiqCli(query, settings, logger));
+
   return async (input, req) => {
-    // Build the query by combining the template with input values
-    let query = endpoint.workiqQuery.query;
-    
-    // Replace {{key}} placeholders with input values
-    for (const [key, value] of Object.entries(input)) {
-      query = query.replace(new RegExp(`{{${key}}}`, 'g'), String(value));
-    }
-    
-    // Also append input as context if there are remaining values
-    const inputContext = Object.keys(input).length > 0 
-      ? ` Context: ${JSON.stringify(input)}` 
-      : '';
-    
-    // Only append context if no placeholders were used
-    const hasPlaceholders = endpoint.workiqQuery.query.includes('{{');
-    const finalQuery = hasPlaceholders ? query : query + inputContext;
-    
-    logger.info(`Executing workiq query: ${finalQuery}`);
-    
-    let result;
-    
-    // Try MCP first, fall back to CLI if it fails
+    // Like prompts, optional fields left out of the input render as empty text
+    let query;
     try {
-      result = await client.ask(finalQuery);
-      logger.info(`workiq MCP returned: ${result.substring(0, 200)}${result.length > 200 ? '...' : ''}`);
-    } catch (mcpErr) {
-      logger.warn(`MCP failed (${mcpErr.message}), falling back to CLI...`);
-      
+      query = renderTemplate(queryTemplate, { ...input, input }, { lenient: true });
+    } catch (err) {
+      throw new Error(`Failed to render workiq query for ${endpoint.name}: ${err.message}`);
+    }
+    if (!hasPlaceholders && Object.keys(input).length > 0) {
+      query += ` Context: ${JSON.stringify(input)}`;
+    }
+
+    logger.info(`Executing workiq query: ${query}`);
+
+    let result;
+    if (settings.transport === 'cli') {
+      result = await askCli(query);
+    } else if (settings.transport === 'mcp') {
+      result = await askMcp(query);
+    } else {
+      // Try MCP first, fall back to CLI if it fails
       try {
-        result = await runWorkiqCli(finalQuery, logger);
-        logger.info(`workiq CLI returned: ${result.substring(0, 200)}${result.length > 200 ? '...' : ''}`);
-      } catch (cliErr) {
-        logger.error(`workiq CLI also failed: ${cliErr.message}`);
-        throw new Error(`Workiq query failed. MCP: ${mcpErr.message}. CLI: ${cliErr.message}`);
+        result = await askMcp(query);
+      } catch (mcpErr) {
+        logger.warn(`MCP failed (${mcpErr.message}), falling back to CLI...`);
+
+        try {
+          result = await askCli(query);
+        } catch (cliErr) {
+          logger.error(`workiq CLI also failed: ${cliErr.message}`);
+          throw new Error(`Workiq query failed. MCP: ${mcpErr.message}. CLI: ${cliErr.message}`);
+        }
       }
     }
-    
+    logger.info(`workiq returned: ${result.substring(0, 200)}${result.length > 200 ? '...' : ''}`);
+
     // If outputSchema is defined, try to parse as JSON
     if (endpoint.outputSchema) {
       try {
@@ -455,113 +519,521 @@ async function createWorkiqHandler(endpoint, logger) {
         return { result };
       }
     }
-    
+
     // No outputSchema, return raw text
     return result;
   };
 }
 
+// Turn an MCP tools/call result into handler output: parsed JSON (structuredContent when the
+// server provides it) with an outputSchema, otherwise the text content
+function parseMcpToolResult(result, endpoint, logger) {
+  const text = (result.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n');
+
+  if (result.isError) {
+    throw new Error(`MCP tool ${endpoint.mcpTool.tool} failed: ${text || 'Unknown MCP tool error'}`);
+  }
+
+  if (endpoint.outputSchema) {
+    if (result.structuredContent !== undefined) {
+      return result.structuredContent;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      logger.warn(`MCP tool ${endpoint.mcpTool.tool} response was not valid JSON, returning as result object.`);
+      return { result: text };
+    }
+  }
+
+  return text || JSON.stringify(result.content || []);
+}
+
+async function createMcpToolHandler(endpoint, baseDir, logger, config = {}) {
+  const { server: serverName, tool, arguments: argumentTemplate } = endpoint.mcpTool;
+  const server = config.mcpServers?.[serverName];
+  if (!server) {
+    throw new Error(`Endpoint ${endpoint.name} references unknown MCP server "${serverName}".`);
+  }
+
+  // The connection is shared by every endpoint using this server and opened on first call,
+  // so startup (and replays) don't depend on the server being available
+  const client = getMcpClient(serverName, server, { baseDir, logger });
+
+  return async (input, req) => {
+    let args = input;
+    if (argumentTemplate) {
+      try {
+        args = compileTemplate(argumentTemplate, { ...input, input });
+      } catch (err) {
+        throw new Error(`Failed to build MCP tool arguments for ${endpoint.name}: ${err.message}`);
+      }
+    }
+
+    logger.info(`Calling MCP tool ${serverName}/${tool}`);
+    const result = await recordCall(
+      'mcp.tools/call',
+      { server: serverName, tool, arguments: args },
+      () => client.callTool(tool, args)
+    );
+    return parseMcpToolResult(result, endpoint, logger);
+  };
+}
+
+const DEFAULT_HTTP_TIMEOUT_MS = 30000;
+
+// The environment variables named as {{env.NAME}} in the templates. Only these are exposed,
+// so an unresolvable path can't list the rest of the environment in its error message.
+function referencedEnv(templates) {
+  const names = new Set(Array.from(JSON.stringify(templates ?? null).matchAll(/\benv\.(\w+)/g), match => match[1]));
+  return Object.fromEntries([...names].filter(name => name in process.env).map(name => [name, process.env[name]]));
+}
+
+// Input values are encoded so they can't change the path, query or fragment around them;
+// environment values are trusted config, e.g. the base URL, and are inserted as written
+const encodeUrlValue = (text, expression) => (/^env\./.test(expression) ? text : encodeURIComponent(text));
+
+// Puts the {{env.NAME}} template back in place of each environment value, in the forms it can
+// take in a URL or JSON body, so recorded requests carry neither secrets nor local hosts
+function redactEnv(text, env) {
+  if (typeof text !== 'string') return text;
+  const placeholders = new Map();
+  for (const [name, value] of Object.entries(env)) {
+    if (!value) continue;
+    const forms = [value, encodeURIComponent(value), new URLSearchParams({ v: value }).toString().slice(2), JSON.stringify(value).slice(1, -1)];
+    for (const form of forms) placeholders.set(form, `{{env.${name}}}`);
+  }
+  if (placeholders.size === 0) return text;
+
+  // Longest first, so a value containing another is replaced whole
+  const pattern = [...placeholders.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(form => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  return text.replace(new RegExp(pattern, 'g'), match => placeholders.get(match));
+}
+
+// Build the upstream request from the httpHandler templates. `env` exposes environment
+// variables so secrets stay out of the config file. `recorded` is the request as written to
+// fixtures, with environment values redacted.
+function buildHttpRequest(endpoint, input) {
+  const { url, method = 'GET', headers = {}, query, body } = endpoint.httpHandler;
+  const context = { ...input, input, env: referencedEnv([url, headers, query, body]) };
+
+  let rendered;
+  try {
+    rendered = {
+      url: renderTemplate(url, context, { encode: encodeUrlValue }),
+      headers: compileTemplate(headers, context),
+      query: query ? compileTemplate(query, context) : {},
+      // Without a body template, methods that take a body send the input
+      body: body !== undefined ? compileTemplate(body, context) : method === 'GET' || method === 'DELETE' ? undefined : input
+    };
+  } catch (err) {
+    throw new Error(`Failed to build HTTP request for ${endpoint.name}: ${err.message}`);
+  }
+
+  const target = new URL(rendered.url);
+  for (const [key, value] of Object.entries(rendered.query)) {
+    if (value === undefined || value === null) continue;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      target.searchParams.append(key, typeof item === 'object' ? JSON.stringify(item) : String(item));
+    }
+  }
+
+  const requestHeaders = Object.fromEntries(Object.entries(rendered.headers).map(([key, value]) => [key.toLowerCase(), String(value)]));
+  let requestBody;
+  if (typeof rendered.body === 'string') {
+    requestBody = rendered.body;
+    requestHeaders['content-type'] ??= 'text/plain';
+  } else if (rendered.body !== undefined) {
+    requestBody = JSON.stringify(rendered.body);
+    requestHeaders['content-type'] ??= 'application/json';
+  }
+
+  return {
+    method,
+    url: target.toString(),
+    headers: requestHeaders,
+    body: requestBody,
+    recorded: { method, url: redactEnv(target.toString(), context.env), body: redactEnv(requestBody, context.env) }
+  };
+}
+
+async function performHttpRequest(request, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      throw new TimeoutError(`${request.method} ${request.url} timed out after ${timeoutMs}ms`, timeoutMs);
+    }
+    throw new Error(`${request.method} ${request.url} failed: ${err.cause?.message || err.message}`);
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    const err = new Error(`${request.method} ${request.url} responded with status ${response.status}: ${text.slice(0, 500)}`);
+    err.status = response.status;
+    throw err;
+  }
+
+  const isJson = /[/+]json\b/.test(response.headers.get('content-type') || '');
+  return { status: response.status, body: isJson && text ? JSON.parse(text) : text };
+}
+
+function createHttpHandler(endpoint, logger) {
+  const { responsePath, timeoutMs = DEFAULT_HTTP_TIMEOUT_MS } = endpoint.httpHandler;
+
+  return async (input, req) => {
+    const request = buildHttpRequest(endpoint, input);
+    logger.info(`Calling ${request.method} ${request.url}`);
+
+    const { body } = await recordCall('http.request', request.recorded, () => performHttpRequest(request, timeoutMs));
+
+    let output = body;
+    if (responsePath) {
+      if (typeof body !== 'object' || body === null) {
+        throw new Error(`Cannot extract responsePath "${responsePath}" for ${endpoint.name}: the response is not JSON`);
+      }
+      output = resolvePath(responsePath, body);
+    }
+
+    // A text response is parsed when JSON output is expected
+    if (endpoint.outputSchema && typeof output === 'string') {
+      try {
+        return JSON.parse(output);
+      } catch (err) {
+        logger.warn(`${endpoint.name} response was not valid JSON, returning as result object.`);
+        return { result: output };
+      }
+    }
+    return output;
+  };
+}
+
+const DEFAULT_COMMAND_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_OUTPUT_BYTES = 1024 * 1024;
+const DEFAULT_ENV_ALLOWLIST = ['PATH', 'HOME'];
+
+function createCommandHandler(endpoint, baseDir, logger) {
+  const {
+    command,
+    args = [],
+    stdin,
+    cwd,
+    env = {},
+    envAllowlist = DEFAULT_ENV_ALLOWLIST,
+    timeoutMs = DEFAULT_COMMAND_TIMEOUT_MS,
+    maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES
+  } = endpoint.commandHandler;
+  // Like workiq's binary: a path is relative to the config directory, a bare name is looked up on PATH
+  const executable = /[\\/]/.test(command) ? path.resolve(baseDir || process.cwd(), command) : command;
+  const workingDir = cwd ? path.resolve(baseDir || process.cwd(), cwd) : baseDir;
+
+  return async (input, req) => {
+    // Only allowlisted variables reach the child, plus the configured ones
+    const inherited = Object.fromEntries(envAllowlist.filter(name => name in process.env).map(name => [name, process.env[name]]));
+    const context = { ...input, input, env: referencedEnv([args, stdin, env]) };
+
+    let rendered;
+    try {
+      rendered = {
+        args: compileTemplate(args, context).map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))),
+        stdin: stdin === undefined ? undefined : compileTemplate(stdin, context),
+        env: compileTemplate(env, context)
+      };
+    } catch (err) {
+      throw new Error(`Failed to build command for ${endpoint.name}: ${err.message}`);
+    }
+    const stdinText = rendered.stdin === undefined || typeof rendered.stdin === 'string'
+      ? rendered.stdin
+      : JSON.stringify(rendered.stdin);
+
+    logger.info(`Running ${executable} ${rendered.args.map(a => JSON.stringify(a)).join(' ')}`);
+    const { stdout, stderr } = await recordCall(
+      'command.run',
+      { command, args: rendered.args, stdin: stdinText },
+      () => runCommand(executable, rendered.args, {
+        timeoutMs,
+        maxOutputBytes,
+        stdin: stdinText,
+        cwd: workingDir,
+        env: { ...inherited, ...rendered.env }
+      })
+    );
+    if (stderr) {
+      logger.debug(`${endpoint.name} stderr: ${stderr.trim()}`);
+    }
+
+    const output = stdout.trim();
+    if (endpoint.outputSchema) {
+      try {
+        return JSON.parse(output);
+      } catch (err) {
+        logger.warn(`${endpoint.name} output was not valid JSON, returning as result object.`);
+        return { result: output };
+      }
+    }
+    return output;
+  };
+}
+
 // Custom error class for chain execution failures
 class ChainExecutionError extends Error {
-  constructor(message, stepIndex, stepName, endpoint, cause) {
+  constructor(message, stepIndex, stepName, endpoint, cause, attempts = 1) {
     super(message);
     this.name = 'ChainExecutionError';
     this.stepIndex = stepIndex;
     this.stepName = stepName;
     this.endpoint = endpoint;
     this.cause = cause;
+    this.attempts = attempts;
   }
 }
 
-async function createChainHandler(endpoint, logger) {
-  const steps = endpoint.chainHandler.steps;
-  const outputMapping = endpoint.chainHandler.output;
+// Run a single endpoint step: compile its input, validate, execute and validate the output
+async function runEndpointStep(step, index, context, req, chainName, logger) {
+  // Resolve endpoint handler
+  const targetEndpoint = getHandler(step.endpoint);
+  if (!targetEndpoint) {
+    throw new ChainExecutionError(
+      `Chain step references unknown endpoint: ${step.endpoint}`,
+      index,
+      step.name,
+      step.endpoint,
+      new Error(`Endpoint "${step.endpoint}" not found in registry`)
+    );
+  }
 
-  return async (input, req) => {
-    const context = {
-      input,
-      steps: [],
-      stepsByName: {},
-      previousStep: null
-    };
+  // Compile input from template
+  let stepInput;
+  try {
+    stepInput = compileTemplate(step.input, context);
+  } catch (err) {
+    throw new ChainExecutionError(
+      `Failed to compile input for step ${index} (${step.endpoint}): ${err.message}`,
+      index,
+      step.name,
+      step.endpoint,
+      err
+    );
+  }
 
-    // Execute steps sequentially
-    for (let i = 0; i < steps.length; i++) {
-      const step = steps[i];
+  // Validate step input
+  if (targetEndpoint.validateInput && !targetEndpoint.validateInput(stepInput)) {
+    getMetrics().validationFailed(step.endpoint, 'input');
+    const errors = targetEndpoint.validateInput.errors || [];
+    throw new ChainExecutionError(
+      `Step ${index} input validation failed for endpoint "${step.endpoint}": ${JSON.stringify(errors)}`,
+      index,
+      step.name,
+      step.endpoint,
+      new Error('Input validation failed')
+    );
+  }
 
-      // Resolve endpoint handler
-      const targetEndpoint = getHandler(step.endpoint);
-      if (!targetEndpoint) {
-        throw new ChainExecutionError(
-          `Chain step references unknown endpoint: ${step.endpoint}`,
-          i,
-          step.name,
-          step.endpoint,
-          new Error(`Endpoint "${step.endpoint}" not found in registry`)
-        );
-      }
+  // Execute handler and validate its output, applying the step's timeout and retry policy
+  logger.info(`Chain ${chainName}: executing step ${index} (${step.endpoint})`);
+  const label = `Chain ${chainName} step ${index} (${step.endpoint})`;
+  const stepLabels = { chain: chainName, step: step.name ?? String(index), endpoint: step.endpoint };
+  try {
+    return await getMetrics().timeChainStep(stepLabels, () => runWithRetry(async () => {
+      const stepOutput = await withTimeout(() => targetEndpoint.handler(stepInput, req), step.timeoutMs, label);
 
-      // Compile input from template
-      let stepInput;
-      try {
-        stepInput = compileTemplate(step.input, context);
-      } catch (err) {
-        throw new ChainExecutionError(
-          `Failed to compile input for step ${i} (${step.endpoint}): ${err.message}`,
-          i,
-          step.name,
-          step.endpoint,
-          err
+      if (targetEndpoint.validateOutput && !targetEndpoint.validateOutput(stepOutput)) {
+        getMetrics().validationFailed(step.endpoint, 'output');
+        throw new OutputValidationError(
+          `Step ${index} output validation failed for endpoint "${step.endpoint}": ` +
+          JSON.stringify(targetEndpoint.validateOutput.errors || []),
+          targetEndpoint.validateOutput.errors
         );
       }
+      return stepOutput;
+    }, step.retry, { logger, label }));
+  } catch (err) {
+    const attemptsNote = err.attempts > 1 ? ` (after ${err.attempts} attempts)` : '';
+    const message = err instanceof OutputValidationError
+      ? err.message
+      : `Step ${index} execution failed for endpoint "${step.endpoint}": ${err.message}`;
+    throw new ChainExecutionError(
+      `${message}${attemptsNote}`,
+      index,
+      step.name,
+      step.endpoint,
+      err,
+      err.attempts
+    );
+  }
+}
 
-      // Validate step input
-      if (targetEndpoint.validateInput && !targetEndpoint.validateInput(stepInput)) {
-        const errors = targetEndpoint.validateInput.errors || [];
-        throw new ChainExecutionError(
-          `Step ${i} input validation failed for endpoint "${step.endpoint}": ${JSON.stringify(errors)}`,
-          i,
-          step.name,
-          step.endpoint,
-          new Error('Input validation failed')
-        );
+// Run the members of a parallel group concurrently. Every member sees the context as it was
+// before the group started. The group's output is an object keyed by member name.
+async function runParallelGroup(group, index, context, req, chainName, logger) {
+  const members = group.parallel;
+  logger.info(`Chain ${chainName}: executing parallel group at step ${index} (${members.map(m => m.endpoint).join(', ')})`);
+
+  // Members with an unmet `when` condition are skipped: they contribute null to the group's
+  // output but, like skipped steps, don't set their name
+  const skipped = new Set();
+  const runs = members.map((member) => {
+    if (member.when && !checkCondition(member.when, `member "${member.name}" of step ${index}`, index, member, context)) {
+      skipped.add(member.name);
+      return Promise.resolve(null);
+    }
+    return runEndpointStep(member, index, context, req, chainName, logger);
+  });
+
+  let outputs;
+  if ((group.onError || 'failFast') === 'failFast') {
+    // Reject with the first member failure without waiting for the others
+    outputs = await Promise.all(runs);
+  } else {
+    // collectAll: wait for every member and report all failures together
+    const settled = await Promise.allSettled(runs);
+    const failures = settled.filter(r => r.status === 'rejected').map(r => r.reason);
+    if (failures.length > 0) {
+      const error = new ChainExecutionError(
+        `Parallel group at step ${index} failed: ${failures.length} of ${members.length} members failed: ` +
+        failures.map(f => f.message).join('; '),
+        index,
+        group.name,
+        failures.map(f => f.endpoint).join(', '),
+        failures[0]
+      );
+      error.errors = failures;
+      throw error;
+    }
+    outputs = settled.map(r => r.value);
+  }
+
+  const groupOutput = {};
+  members.forEach((member, i) => {
+    groupOutput[member.name] = outputs[i];
+    if (!skipped.has(member.name)) context.stepsByName[member.name] = outputs[i];
+  });
+  return groupOutput;
+}
+
+// Pick the first switch case whose condition holds, falling back to the default steps
+function selectBranch(step, index, context) {
+  const { cases = [], default: defaultSteps } = step.switch;
+  for (let c = 0; c < cases.length; c++) {
+    if (checkCondition(cases[c].when, `switch case ${c} of step ${index}`, index, step, context)) {
+      return cases[c].steps;
+    }
+  }
+  return defaultSteps || null;
+}
+
+function checkCondition(condition, label, index, step, context) {
+  try {
+    return evaluateCondition(condition, context);
+  } catch (err) {
+    throw new ChainExecutionError(
+      `Failed to evaluate condition for ${label}: ${err.message}`,
+      index,
+      step.name,
+      step.endpoint,
+      err
+    );
+  }
+}
+
+/**
+ * Runs a list of steps against the shared chain context. Top-level steps are recorded in
+ * context.steps by index; steps inside a switch branch report the index of the switch step
+ * that contains them and are addressable by name or previousStep only.
+ *
+ * @returns {Promise<{ returned: boolean, output: any }>} - `returned` is true when a return
+ *   step ended the chain; otherwise `output` is the output of the last step that ran
+ */
+async function runSteps(steps, context, run, parentIndex) {
+  const { req, chainName, logger } = run;
+  let lastOutput = null;
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const index = parentIndex ?? i;
+
+    if (step.when && !checkCondition(step.when, `step ${index}`, index, step, context)) {
+      logger.info(`Chain ${chainName}: skipping step ${index}${step.name ? ` (${step.name})` : ''}, condition not met`);
+      if (parentIndex === undefined) {
+        context.steps[i] = null;
       }
+      continue;
+    }
 
-      // Execute handler
-      logger.info(`Chain ${endpoint.name}: executing step ${i} (${step.endpoint})`);
-      let stepOutput;
+    // Early return ends the whole chain, skipping any output mapping
+    if ('return' in step) {
+      logger.info(`Chain ${chainName}: returning early at step ${index}`);
       try {
-        stepOutput = await targetEndpoint.handler(stepInput, req);
+        return { returned: true, output: compileTemplate(step.return, context) };
       } catch (err) {
         throw new ChainExecutionError(
-          `Step ${i} execution failed for endpoint "${step.endpoint}": ${err.message}`,
-          i,
+          `Failed to compile return value for step ${index}: ${err.message}`,
+          index,
           step.name,
-          step.endpoint,
+          undefined,
           err
         );
       }
+    }
 
-      // Validate step output
-      if (targetEndpoint.validateOutput && !targetEndpoint.validateOutput(stepOutput)) {
-        const errors = targetEndpoint.validateOutput.errors || [];
-        throw new ChainExecutionError(
-          `Step ${i} output validation failed for endpoint "${step.endpoint}": ${JSON.stringify(errors)}`,
-          i,
-          step.name,
-          step.endpoint,
-          new Error('Output validation failed')
-        );
+    let stepOutput;
+    if (step.switch) {
+      const branch = selectBranch(step, index, context);
+      stepOutput = null;
+      if (branch) {
+        const result = await runSteps(branch, context, run, index);
+        if (result.returned) return result;
+        stepOutput = result.output;
       }
+    } else if (step.parallel) {
+      stepOutput = await runParallelGroup(step, index, context, req, chainName, logger);
+    } else {
+      stepOutput = await runEndpointStep(step, index, context, req, chainName, logger);
+    }
 
-      // Store in context
+    // Store in context
+    if (parentIndex === undefined) {
       context.steps[i] = stepOutput;
-      if (step.name) {
-        context.stepsByName[step.name] = stepOutput;
-      }
-      context.previousStep = stepOutput;
+    }
+    if (step.name) {
+      context.stepsByName[step.name] = stepOutput;
+    }
+    context.previousStep = stepOutput;
+    lastOutput = stepOutput;
+
+    logger.info(`Chain ${chainName}: step ${index} completed successfully`);
+  }
+
+  return { returned: false, output: lastOutput };
+}
+
+async function createChainHandler(endpoint, logger) {
+  const steps = endpoint.chainHandler.steps;
+  const outputMapping = endpoint.chainHandler.output;
+
+  return async (input, req) => {
+    const context = {
+      input,
+      // Principal authenticated for the request, if any (see auth.js)
+      auth: req?.auth ?? null,
+      steps: [],
+      stepsByName: {},
+      previousStep: null
+    };
 
-      logger.info(`Chain ${endpoint.name}: step ${i} completed successfully`);
+    // Execute steps sequentially (members of a parallel group run concurrently)
+    const result = await runSteps(steps, context, { req, chainName: endpoint.name, logger });
+    if (result.returned) {
+      return result.output;
     }
 
     // Compile final output
@@ -575,19 +1047,33 @@ async function createChainHandler(endpoint, logger) {
   };
 }
 
-// Detect circular dependencies in chain configurations
-function detectCircularDependencies(config) {
-  const graph = new Map();
-
-  // Build dependency graph
-  for (const endpoint of config.endpoints) {
-    if (endpoint.chainHandler) {
-      const deps = endpoint.chainHandler.steps.map(s => s.endpoint);
-      graph.set(endpoint.name, deps);
-    } else {
-      graph.set(endpoint.name, []);
+// Endpoint names referenced by a list of chain steps, including parallel group members and
+// every switch branch (whether or not it would be taken at runtime)
+function collectStepEndpoints(steps) {
+  return steps.flatMap((step) => {
+    if (step.parallel) {
+      return collectStepEndpoints(step.parallel);
+    }
+    if (step.switch) {
+      const branches = [...(step.switch.cases || []).map(c => c.steps), step.switch.default || []];
+      return branches.flatMap(collectStepEndpoints);
     }
+    return step.endpoint ? [step.endpoint] : [];
+  });
+}
+
+// Endpoints a chain's steps or a tool-calling prompt's tools can call
+function endpointDependencies(endpoint) {
+  if (endpoint.chainHandler) {
+    return collectStepEndpoints(endpoint.chainHandler.steps);
   }
+  return endpoint.aiPrompt?.tools || [];
+}
+
+// Detect circular dependencies in chains and tool-calling prompts
+function detectCircularDependencies(config) {
+  // Build dependency graph
+  const graph = new Map(config.endpoints.map(endpoint => [endpoint.name, endpointDependencies(endpoint)]));
 
   // DFS cycle detection
   const visiting = new Set();
@@ -606,7 +1092,7 @@ function detectCircularDependencies(config) {
       // Check if the dependency exists
       if (!graph.has(dep)) {
         throw new Error(
-          `Chain endpoint "${name}" references unknown endpoint "${dep}". ` +
+          `Endpoint "${name}" references unknown endpoint "${dep}". ` +
           `Available endpoints: ${Array.from(graph.keys()).join(', ')}`
         );
       }
@@ -622,12 +1108,9 @@ function detectCircularDependencies(config) {
   }
 }
 
-// Cleanup function to close MCP client (for tests and shutdown)
+// Cleanup function to close the workiq MCP servers (for tests)
 function closeWorkiqClient() {
-  if (mcpClient) {
-    mcpClient.close();
-    mcpClient = null;
-  }
+  return closeMcpClients(name => name === 'workiq' || name.startsWith('workiq:'));
 }
 
 module.exports = {
@@ -636,6 +1119,9 @@ module.exports = {
   registerHandler,
   getHandler,
   clearHandlerRegistry,
+  replaceHandlerRegistry,
+  setRecorder,
   detectCircularDependencies,
+  endpointDependencies,
   ChainExecutionError
 };
@@ -4,18 +4,21 @@ const LEVEL_INDEX = LEVELS.reduce((acc, level, index) => {
   return acc;
 }, {});
 
-function createLogger(level = 'info') {
+// `stderr` sends every level to stderr, keeping stdout free for protocol output (mcp over stdio)
+function createLogger(level = 'info', { stderr = false } = {}) {
   const normalized = LEVELS.includes(level) ? level : 'info';
   const threshold = LEVEL_INDEX[normalized];
 
   const shouldLog = (target) => LEVEL_INDEX[target] >= threshold;
+  const debug = stderr ? console.error : console.debug;
+  const info = stderr ? console.error : console.info;
 
   return {
     debug: (msg) => {
-      if (shouldLog('debug')) console.debug(prefix('DEBUG'), msg);
+      if (shouldLog('debug')) debug(prefix('DEBUG'), msg);
     },
     info: (msg) => {
-      if (shouldLog('info')) console.info(prefix('INFO'), msg);
+      if (shouldLog('info')) info(prefix('INFO'), msg);
     },
     warn: (msg) => {
       if (shouldLog('warn')) console.warn(prefix('WARN'), msg);
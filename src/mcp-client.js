@@ -0,0 +1,416 @@
+/**
+ * Generic MCP (Model Context Protocol) client for `mcpTool` endpoints. Servers are declared in
+ * the top-level `mcpServers` map and reached over stdio (a child process speaking
+ * newline-delimited JSON-RPC) or Streamable HTTP (JSON-RPC POSTs answered with JSON or SSE).
+ */
+
+const { spawn } = require('node:child_process');
+const path = require('node:path');
+const pkg = require('../package.json');
+const { readEventData } = require('./streams');
+
+const PROTOCOL_VERSION = '2025-03-26';
+const DEFAULT_TIMEOUT_MS = 120000;
+// Restart backoff for stdio servers that exit after starting: doubles per failed attempt
+const DEFAULT_RESTART_DELAY_MS = 1000;
+const DEFAULT_MAX_RESTART_DELAY_MS = 30000;
+
+// JSON-RPC error returned by the server
+class McpError extends Error {
+  constructor(message, code, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function toMcpError(error) {
+  return new McpError(error.message || JSON.stringify(error), error.code, error.data);
+}
+
+// Child process transport: one JSON-RPC message per line on stdin/stdout. `onExit` is called
+// with the reason whenever the child goes away, after its pending requests were rejected.
+function createStdioTransport(name, server, baseDir, logger, onExit) {
+  let child = null;
+  let buffer = '';
+  const pending = new Map();
+
+  const rejectAll = (err) => {
+    for (const { reject } of pending.values()) reject(err);
+    pending.clear();
+  };
+
+  const handleLine = (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      logger.warn(`MCP server ${name} sent invalid JSON: ${line.slice(0, 200)}`);
+      return;
+    }
+    if (message.id === undefined || !pending.has(message.id)) return;
+
+    const { resolve, reject } = pending.get(message.id);
+    pending.delete(message.id);
+    if (message.error) {
+      reject(toMcpError(message.error));
+    } else {
+      resolve(message.result);
+    }
+  };
+
+  return {
+    async open() {
+      child = spawn(server.command, server.args || [], {
+        cwd: server.cwd ? path.resolve(baseDir, server.cwd) : baseDir,
+        env: { ...process.env, ...server.env },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      child.stdout.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(handleLine);
+      });
+      child.stderr.on('data', (data) => {
+        logger.debug(`MCP server ${name} stderr: ${data.toString().trim()}`);
+      });
+
+      // Fail in-flight requests immediately instead of letting them time out
+      const exited = new Promise((resolve) => {
+        const exit = (err) => {
+          if (!child) return;
+          rejectAll(err);
+          child = null;
+          resolve();
+          onExit(err);
+        };
+        child.on('error', (err) => {
+          logger.error(`MCP server ${name} failed: ${err.message}`);
+          exit(new Error(`MCP server ${name} failed: ${err.message}`));
+        });
+        child.on('close', (code) => {
+          logger.info(`MCP server ${name} exited with code ${code}`);
+          exit(new Error(`MCP server ${name} exited with code ${code}`));
+        });
+      });
+      this.exited = exited;
+    },
+
+    request(message) {
+      return new Promise((resolve, reject) => {
+        if (!child) {
+          reject(new Error(`MCP server ${name} is not running`));
+          return;
+        }
+        pending.set(message.id, { resolve, reject });
+        child.stdin.write(`${JSON.stringify(message)}\n`);
+      });
+    },
+
+    cancel(id) {
+      pending.delete(id);
+    },
+
+    async notify(message) {
+      child?.stdin.write(`${JSON.stringify(message)}\n`);
+    },
+
+    get connected() {
+      return Boolean(child);
+    },
+
+    async close() {
+      if (child) {
+        child.kill();
+        await this.exited;
+      }
+    }
+  };
+}
+
+// Streamable HTTP transport: each message is POSTed; the server answers with JSON or an SSE stream
+function createHttpTransport(name, server) {
+  let sessionId = null;
+  let open = false;
+
+  const post = async (message) => {
+    const response = await fetch(server.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+        ...(sessionId ? { 'mcp-session-id': sessionId } : {}),
+        ...server.headers
+      },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      // An unknown session means the server restarted; the next call starts a new one
+      if (response.status === 404 && sessionId) {
+        sessionId = null;
+        open = false;
+      }
+      const text = await response.text().catch(() => '');
+      const err = new Error(`MCP server ${name} responded with status ${response.status}: ${text.slice(0, 500)}`);
+      err.status = response.status;
+      throw err;
+    }
+    sessionId = response.headers.get('mcp-session-id') || sessionId;
+    return response;
+  };
+
+  return {
+    async open() {
+      open = true;
+    },
+
+    async request(message) {
+      const response = await post(message);
+      const contentType = response.headers.get('content-type') || '';
+
+      let reply;
+      if (contentType.includes('text/event-stream')) {
+        for await (const data of readEventData(response.body)) {
+          if (data.id === message.id) {
+            reply = data;
+            break;
+          }
+        }
+      } else {
+        reply = await response.json();
+      }
+
+      if (!reply) {
+        throw new Error(`MCP server ${name} closed the stream without answering ${message.method}`);
+      }
+      if (reply.error) throw toMcpError(reply.error);
+      return reply.result;
+    },
+
+    cancel() {},
+
+    async notify(message) {
+      await post(message);
+    },
+
+    get connected() {
+      return open;
+    },
+
+    async close() {
+      if (sessionId) {
+        // Ending the session is best effort
+        await fetch(server.url, { method: 'DELETE', headers: { 'mcp-session-id': sessionId, ...server.headers } }).catch(() => {});
+      }
+      sessionId = null;
+      open = false;
+    }
+  };
+}
+
+/**
+ * Client for one MCP server. Connects on first use; a stdio server that exits after it was up
+ * is restarted in the background with exponential backoff, and calls made while it restarts
+ * fail fast instead of spawning it again.
+ */
+class McpClient {
+  /**
+   * @param {string} name - Server name from the `mcpServers` map
+   * @param {object} server - Server config: `{ command, args, env, cwd }` or `{ url, headers }`, plus
+   *   `timeoutMs`, `restartDelayMs` and `maxRestartDelayMs`
+   * @param {object} options
+   * @param {string} options.baseDir - Directory `cwd` is resolved against
+   * @param {object} options.logger - Logger instance
+   * @param {(client: McpClient) => Promise<void>} [options.onInitialize] - Runs after every (re)initialize
+   */
+  constructor(name, server, { baseDir, logger, onInitialize }) {
+    this.name = name;
+    this.server = server;
+    this.logger = logger;
+    this.onInitialize = onInitialize;
+    this.timeoutMs = server.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.transport = server.url
+      ? createHttpTransport(name, server)
+      : createStdioTransport(name, server, baseDir, logger, (err) => this.handleExit(err));
+    this.requestId = 0;
+    this.tools = [];
+    this.connecting = null;
+    // idle | connecting | ready | restarting | failed | closed
+    this.state = 'idle';
+    this.restarts = 0;
+    this.failures = 0;
+    this.lastError = null;
+    this.restartTimer = null;
+    // Only servers that came up once are supervised; a bad command fails the calls instead
+    this.supervised = false;
+  }
+
+  // Connects on first use and again after the server went away
+  connect() {
+    // Handlers built from an older config can outlive the client; don't spawn an untracked server for them
+    if (this.state === 'closed') {
+      return Promise.reject(new Error(`MCP server ${this.name} was closed`));
+    }
+    if (this.restartTimer) {
+      return Promise.reject(new Error(`MCP server ${this.name} is restarting after: ${this.lastError}`));
+    }
+    if (!this.connecting || !this.transport.connected) {
+      this.state = 'connecting';
+      this.connecting = this.initialize().then(() => {
+        if (this.state === 'closed') {
+          this.transport.close().catch(() => {});
+          throw new Error(`MCP server ${this.name} was closed`);
+        }
+        this.state = 'ready';
+        this.failures = 0;
+        this.lastError = null;
+        this.supervised = true;
+      }, (err) => {
+        if (this.state === 'closed') throw err;
+        this.connecting = null;
+        this.lastError = err.message;
+        this.state = 'failed';
+        this.transport.close().catch(() => {});
+        if (this.supervised) this.scheduleRestart();
+        throw err;
+      });
+    }
+    return this.connecting;
+  }
+
+  async initialize() {
+    this.logger.info(`Connecting to MCP server ${this.name}...`);
+    await this.transport.open();
+
+    const result = await this.send('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: pkg.name, version: pkg.version }
+    });
+    await this.transport.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    const { tools = [] } = await this.send('tools/list', {});
+    this.tools = tools;
+    this.logger.info(`MCP server ${this.name} (${result.serverInfo?.name || 'unknown'}) tools: ${tools.map(t => t.name).join(', ')}`);
+
+    if (this.onInitialize) {
+      await this.onInitialize(this);
+    }
+  }
+
+  // The stdio child went away; failures while connecting are handled by connect()
+  handleExit(err) {
+    if (this.state !== 'ready') return;
+    this.connecting = null;
+    this.lastError = err.message;
+    this.scheduleRestart();
+  }
+
+  scheduleRestart() {
+    const initialDelay = this.server.restartDelayMs ?? DEFAULT_RESTART_DELAY_MS;
+    const delay = Math.min(initialDelay * 2 ** this.failures, this.server.maxRestartDelayMs ?? DEFAULT_MAX_RESTART_DELAY_MS);
+    this.failures++;
+    this.state = 'restarting';
+    this.logger.warn(`MCP server ${this.name} went away (${this.lastError}), restarting in ${delay}ms`);
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.restarts++;
+      this.connect().catch((err) => {
+        this.logger.error(`MCP server ${this.name} restart failed: ${err.message}`);
+      });
+    }, delay);
+    // A pending restart shouldn't keep the process alive
+    this.restartTimer.unref();
+  }
+
+  send(method, params) {
+    const id = ++this.requestId;
+    let timer;
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(() => {
+        this.transport.cancel(id);
+        reject(new Error(`MCP request ${method} to ${this.name} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+    });
+    return Promise.race([this.transport.request({ jsonrpc: '2.0', id, method, params }), timeout])
+      .finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Calls a tool and returns the raw MCP result (`content`, `structuredContent`, `isError`).
+   *
+   * @param {string} tool - Tool name
+   * @param {object} args - Tool arguments
+   * @returns {Promise<object>}
+   */
+  async callTool(tool, args) {
+    await this.connect();
+    if (!this.tools.some(t => t.name === tool)) {
+      throw new Error(`Tool "${tool}" not found on MCP server ${this.name}. Available tools: ${this.tools.map(t => t.name).join(', ')}`);
+    }
+    return this.send('tools/call', { name: tool, arguments: args });
+  }
+
+  // Connection state for /__health
+  status() {
+    return {
+      state: this.state,
+      transport: this.server.url ? 'http' : 'stdio',
+      restarts: this.restarts,
+      ...(this.lastError ? { lastError: this.lastError } : {})
+    };
+  }
+
+  async close() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.connecting = null;
+    this.state = 'closed';
+    await this.transport.close();
+  }
+}
+
+// States reported by status(), in the order a client normally moves through them
+const CLIENT_STATES = ['idle', 'connecting', 'ready', 'restarting', 'failed', 'closed'];
+
+// One connection per configured server, replaced when its config changes (e.g. on hot reload)
+const clients = new Map();
+
+function getMcpClient(name, server, { baseDir, logger, onInitialize }) {
+  const signature = JSON.stringify({ server, baseDir, onInitialize: Boolean(onInitialize) });
+  const existing = clients.get(name);
+  if (existing?.signature === signature) {
+    return existing.client;
+  }
+
+  existing?.client.close().catch(() => {});
+  const client = new McpClient(name, server, { baseDir, logger, onInitialize });
+  clients.set(name, { client, signature });
+  return client;
+}
+
+// Status of every server connection, keyed by name
+function mcpClientStatus() {
+  return Object.fromEntries(Array.from(clients, ([name, { client }]) => [name, client.status()]));
+}
+
+/**
+ * Closes pooled clients, stopping their child processes.
+ *
+ * @param {(name: string) => boolean} [filter] - Only close matching servers (default: all)
+ */
+async function closeMcpClients(filter = () => true) {
+  const closing = [];
+  for (const [name, { client }] of clients) {
+    if (!filter(name)) continue;
+    clients.delete(name);
+    closing.push(client.close());
+  }
+  await Promise.allSettled(closing);
+}
+
+module.exports = { CLIENT_STATES, McpClient, McpError, getMcpClient, mcpClientStatus, closeMcpClients };
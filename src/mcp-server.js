@@ -0,0 +1,298 @@
+/**
+ * Serves the configured endpoints as MCP tools (`ai-lambda-service mcp`), over stdio or
+ * Streamable HTTP. Tool calls go through the same handlers, validation, timeouts and retries
+ * as the Express routes.
+ */
+
+const readline = require('node:readline');
+const express = require('express');
+const pkg = require('../package.json');
+const { replaceHandlerRegistry } = require('./engine');
+const { closeMcpClients } = require('./mcp-client');
+const { buildHandlers } = require('./server');
+const { getUsageTracker } = require('./usage');
+const { getBudgetTracker } = require('./budget');
+const { AuthError, createAuthenticator, endpointStrategies } = require('./auth');
+
+// Newest first; a client asking for anything else is offered the newest
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+
+class McpRequestError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'McpRequestError';
+    this.code = code;
+  }
+}
+
+// MCP only allows object schemas for tool input and structured output
+const isObjectSchema = (schema) => schema?.type === 'object';
+
+/**
+ * Describes an endpoint as an MCP tool.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @returns {{ name: string, description: string, inputSchema: object, outputSchema?: object }}
+ */
+function toMcpTool(endpoint) {
+  const tool = {
+    name: endpoint.name,
+    description: endpoint.description,
+    inputSchema: isObjectSchema(endpoint.inputSchema) ? endpoint.inputSchema : { type: 'object' }
+  };
+  if (isObjectSchema(endpoint.outputSchema)) {
+    tool.outputSchema = endpoint.outputSchema;
+  }
+  return tool;
+}
+
+// Tool failures are reported in the result so the calling model can see them
+function toolError(text) {
+  return { content: [{ type: 'text', text }], isError: true };
+}
+
+function toolResult(endpoint, output) {
+  if (typeof output === 'string') {
+    return { content: [{ type: 'text', text: output }] };
+  }
+  const result = { content: [{ type: 'text', text: JSON.stringify(output) }] };
+  if (isObjectSchema(endpoint.outputSchema)) {
+    result.structuredContent = output;
+  }
+  return result;
+}
+
+/**
+ * Creates the protocol layer shared by both transports.
+ *
+ * @param {object} options
+ * @param {Map} options.handlers - Entries from buildHandlers
+ * @param {object} options.logger - Logger instance
+ * @param {(endpoint: object, req: object) => object|null} [options.authorize] - Returns the
+ *   principal allowed to call an endpoint's tool, or null; throws an AuthError to refuse it.
+ *   Without it (stdio), tool calls run without a principal.
+ * @returns {{ handleMessage: (message: object, req?: object) => Promise<object|null> }} - Resolves
+ *   to the JSON-RPC response, or null for notifications. `req` is the HTTP request carrying it.
+ */
+function createMcpServer({ handlers, logger, authorize }) {
+  const tools = Array.from(handlers.values(), ({ endpoint }) => toMcpTool(endpoint));
+
+  async function callTool(params = {}, req) {
+    const entry = handlers.get(params.name);
+    if (!entry) {
+      throw new McpRequestError(`Unknown tool: ${params.name}`, INVALID_PARAMS);
+    }
+
+    const { endpoint, handler, validateInput, validateOutput } = entry;
+    const input = params.arguments ?? {};
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return toolError('Tool arguments must be a JSON object');
+    }
+    if (validateInput && !validateInput(input)) {
+      return toolError(`Invalid arguments: ${JSON.stringify(validateInput.errors)}`);
+    }
+
+    let auth = null;
+    if (authorize) {
+      try {
+        auth = authorize(endpoint, req);
+      } catch (err) {
+        if (!(err instanceof AuthError)) throw err;
+        return toolError(`Not authorized to call ${endpoint.name}: ${err.message}`);
+      }
+    }
+
+    logger.info(`MCP tools/call ${endpoint.name}`);
+    let output;
+    try {
+      // Chains and prompt tools see the caller as they would behind the endpoint's route
+      output = await handler(input, { auth });
+    } catch (err) {
+      logger.error(`Error in handler ${endpoint.name}: ${err.message}`);
+      return toolError(`Handler error: ${err.message}`);
+    }
+    if (validateOutput && !validateOutput(output)) {
+      return toolError(`Handler output failed validation: ${JSON.stringify(validateOutput.errors)}`);
+    }
+    return toolResult(endpoint, output);
+  }
+
+  async function dispatch(method, params, req) {
+    switch (method) {
+      case 'initialize': {
+        const requested = params?.protocolVersion;
+        return {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: pkg.name, version: pkg.version }
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools };
+      case 'tools/call':
+        return callTool(params, req);
+      default:
+        throw new McpRequestError(`Method not found: ${method}`, METHOD_NOT_FOUND);
+    }
+  }
+
+  async function handleMessage(message, req) {
+    if (!message || typeof message !== 'object' || typeof message.method !== 'string') {
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+    }
+    // Notifications (initialized, cancelled, ...) need no answer
+    if (message.id === undefined) return null;
+
+    try {
+      return { jsonrpc: '2.0', id: message.id, result: await dispatch(message.method, message.params, req) };
+    } catch (err) {
+      return { jsonrpc: '2.0', id: message.id, error: { code: err.code ?? -32603, message: err.message } };
+    }
+  }
+
+  return { handleMessage };
+}
+
+/**
+ * Reads newline-delimited JSON-RPC messages from `input` and writes responses to `output`.
+ * Resolves when `input` ends.
+ */
+function serveStdio(mcp, { input = process.stdin, output = process.stdout } = {}) {
+  const send = (response) => {
+    if (response) output.write(`${JSON.stringify(response)}\n`);
+  };
+
+  const lines = readline.createInterface({ input });
+  const inFlight = new Set();
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    // Requests run concurrently; responses are matched by id
+    const handling = mcp.handleMessage(message).then(send);
+    inFlight.add(handling);
+    handling.finally(() => inFlight.delete(handling));
+  });
+
+  return new Promise((resolve) => {
+    lines.on('close', () => Promise.allSettled(inFlight).then(() => resolve()));
+  });
+}
+
+/**
+ * Over HTTP, each tool call needs the credentials its endpoint's route would.
+ *
+ * @param {object} config - Loaded config
+ * @param {object} authenticator - From createAuthenticator
+ * @returns {(endpoint: object, req: object) => object|null} - For createMcpServer's `authorize`
+ */
+function createToolAuthorizer(config, authenticator) {
+  return (endpoint, req) => {
+    const strategies = endpointStrategies(endpoint, config.auth);
+    // Public tools still see a principal from the auth.default guard
+    if (strategies.length === 0) return req.auth ?? null;
+    const principal = authenticator.authenticate(strategies, req);
+    if (!principal) throw new AuthError('Authentication required');
+    return principal;
+  };
+}
+
+// Streamable HTTP without sessions: every POST is answered with a JSON body. `guard` is the
+// auth.default middleware, as for the built-in routes of `start`.
+function createMcpHttpApp(mcp, guard = null) {
+  const app = express();
+  app.use(express.json());
+
+  app.post('/mcp', ...(guard ? [guard] : []), async (req, res) => {
+    const batch = Array.isArray(req.body);
+    const messages = batch ? req.body : [req.body];
+    const responses = (await Promise.all(messages.map(m => mcp.handleMessage(m, req)))).filter(Boolean);
+
+    if (responses.length === 0) {
+      return res.status(202).end();
+    }
+    return res.json(batch ? responses : responses[0]);
+  });
+
+  // No server-initiated stream or sessions to open or end
+  app.all('/mcp', (_req, res) => {
+    res.set('Allow', 'POST').status(405).json({ error: 'Method not allowed' });
+  });
+
+  return app;
+}
+
+/**
+ * Stops the HTTP server if there is one and the pooled MCP clients, and waits for pending usage
+ * ledger and budget writes, so the spend of the last calls survives the process exiting.
+ *
+ * @param {import('node:http').Server} [server] - From startMcpServer in HTTP mode
+ */
+async function stopMcpServer(server) {
+  if (server) {
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+  await closeMcpClients();
+  await getUsageTracker().flush();
+  await getBudgetTracker().flush();
+}
+
+/**
+ * Builds the endpoint handlers and serves them as MCP tools until stdin closes (stdio) or the
+ * process is stopped (HTTP). Over stdio, everything is stopped and flushed before it resolves;
+ * over HTTP, SIGINT and SIGTERM do the same and exit.
+ *
+ * @param {object} options
+ * @param {object} options.config - Loaded config
+ * @param {object} options.logger - Logger instance; must not write to stdout in stdio mode
+ * @param {number} [options.port] - Serve Streamable HTTP at `/mcp` on this port instead of stdio
+ * @returns {Promise<import('node:http').Server|void>}
+ */
+async function startMcpServer({ config, logger, port }) {
+  const handlers = await buildHandlers(config, logger);
+  // Chains and prompt tools resolve their targets from the registry
+  replaceHandlerRegistry(handlers);
+  getUsageTracker().configure(config, logger);
+  getBudgetTracker().configure(config, logger);
+
+  if (port) {
+    const authenticator = await createAuthenticator(config);
+    const mcp = createMcpServer({ handlers, logger, authorize: createToolAuthorizer(config, authenticator) });
+    const guard = authenticator.require(config.auth?.default || []);
+
+    const server = await new Promise((resolve) => {
+      const listener = createMcpHttpApp(mcp, guard).listen(port, () => {
+        logger.info(`MCP server with ${handlers.size} tools listening on http://localhost:${port}/mcp`);
+        resolve(listener);
+      });
+    });
+
+    const shutdown = async (signal) => {
+      logger.info(`Received ${signal}, shutting down...`);
+      await stopMcpServer(server);
+      process.exit(0);
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    return server;
+  }
+
+  logger.info(`MCP server with ${handlers.size} tools running on stdio`);
+  await serveStdio(createMcpServer({ handlers, logger }));
+  await stopMcpServer();
+}
+
+module.exports = { startMcpServer, stopMcpServer, createMcpServer, createMcpHttpApp, createToolAuthorizer, serveStdio, toMcpTool };
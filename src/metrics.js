@@ -0,0 +1,209 @@
+/**
+ * Prometheus metrics for `/__metrics`: request counts, latencies and errors per endpoint,
+ * chain step latencies, validation failures, and the state of pooled MCP clients. Rendered in
+ * the text exposition format, without a client library.
+ */
+
+const { CLIENT_STATES } = require('./mcp-client');
+
+// Request and step latencies range from cached JS replies to multi-step LLM chains
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// Status recorded for requests whose client went away before the response was complete
+const CLIENT_CLOSED_STATUS = 499;
+// Status recorded for streamed responses that ended with an `error` event after sending 200
+const STREAM_ERROR_STATUS = 500;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  seriesFor(labels, create) {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+    if (!this.series.has(key)) {
+      const values = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+      this.series.set(key, { labels: values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  samples() {
+    return Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  samples() {
+    return Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    return Array.from(this.series.values(), ({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ].join('\n'));
+  }
+}
+
+const secondsSince = started => Number(process.hrtime.bigint() - started) / 1e9;
+
+class ServiceMetrics {
+  constructor() {
+    const requestLabels = ['endpoint', 'handler_type', 'status'];
+    this.requests = new Counter('ai_lambda_requests_total', 'Endpoint requests handled.', requestLabels);
+    this.requestErrors = new Counter('ai_lambda_request_errors_total', 'Endpoint requests answered with a 4xx or 5xx status.', requestLabels);
+    this.requestDuration = new Histogram('ai_lambda_request_duration_seconds', 'Endpoint request latency.', requestLabels);
+    this.chainStepDuration = new Histogram(
+      'ai_lambda_chain_step_duration_seconds',
+      'Chain step latency, including retries.',
+      ['chain', 'step', 'endpoint', 'outcome']
+    );
+    this.validationFailures = new Counter('ai_lambda_validation_failures_total', 'Schema validation failures.', ['endpoint', 'kind']);
+  }
+
+  /**
+   * Middleware timing every request of an endpoint route until its response is finished or abandoned.
+   *
+   * @param {{ endpoint: string, handler_type: string }} labels
+   * @returns {Function}
+   */
+  trackRequests(labels) {
+    return (req, res, next) => {
+      const started = process.hrtime.bigint();
+      let recorded = false;
+      const record = () => {
+        if (recorded) return;
+        recorded = true;
+        let status = res.writableFinished ? res.statusCode : CLIENT_CLOSED_STATUS;
+        if (status === 200 && res.locals?.streamError) status = STREAM_ERROR_STATUS;
+        const series = { ...labels, status };
+        this.requests.inc(series);
+        this.requestDuration.observe(series, secondsSince(started));
+        if (status >= 400) this.requestErrors.inc(series);
+      };
+      res.once('finish', record);
+      res.once('close', record);
+      next();
+    };
+  }
+
+  /**
+   * Times one chain step, recording its outcome when the returned promise settles.
+   *
+   * @param {{ chain: string, step: string, endpoint: string }} labels
+   * @param {() => Promise<any>} run
+   */
+  async timeChainStep(labels, run) {
+    const started = process.hrtime.bigint();
+    let outcome = 'error';
+    try {
+      const result = await run();
+      outcome = 'success';
+      return result;
+    } finally {
+      this.chainStepDuration.observe({ ...labels, outcome }, secondsSince(started));
+    }
+  }
+
+  /**
+   * @param {string} endpoint - Endpoint whose schema rejected the value
+   * @param {'input'|'output'} kind
+   */
+  validationFailed(endpoint, kind) {
+    this.validationFailures.inc({ endpoint, kind });
+  }
+
+  /**
+   * The exposition text. MCP client metrics are taken from `mcpClients` at scrape time.
+   *
+   * @param {object} [mcpClients] - From mcpClientStatus()
+   * @returns {string}
+   */
+  render(mcpClients = {}) {
+    const clientState = new Gauge('ai_lambda_mcp_client_state', 'Connection state of each MCP server client (1 for the current state).', ['server', 'state']);
+    // The client keeps its own running total, so the counter is filled in rather than incremented
+    const clientRestarts = new Counter('ai_lambda_mcp_client_restarts_total', 'Times each MCP server client has been restarted.', ['server']);
+    for (const [server, status] of Object.entries(mcpClients)) {
+      CLIENT_STATES.forEach(state => clientState.set({ server, state }, status.state === state ? 1 : 0));
+      clientRestarts.inc({ server }, status.restarts);
+    }
+
+    const metrics = [this.requests, this.requestErrors, this.requestDuration, this.chainStepDuration, this.validationFailures, clientState, clientRestarts];
+    return `${metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// One set of metrics per process, like the usage tracker
+let metrics = new ServiceMetrics();
+
+function getMetrics() {
+  return metrics;
+}
+
+// Starts every series from zero, e.g. when the server stops
+function resetMetrics() {
+  metrics = new ServiceMetrics();
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  ServiceMetrics,
+  getMetrics,
+  resetMetrics
+};
@@ -0,0 +1,157 @@
+/**
+ * In-process provider adapter (see providers.js), selected with `provider: "mock"` or a
+ * `mock://` base URL. Replies are canned responses matched against the input, or fake data
+ * generated from the endpoint's outputSchema, so validation and chains run as in production.
+ */
+
+const { compileTemplate, evaluateCondition } = require('./template');
+
+const STRING_FORMATS = {
+  'date-time': '2024-01-01T00:00:00.000Z',
+  date: '2024-01-01',
+  time: '00:00:00',
+  email: 'user@example.com',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  uuid: '00000000-0000-4000-8000-000000000000',
+  hostname: 'example.com',
+  ipv4: '127.0.0.1'
+};
+
+function fakeString(schema, name) {
+  let value = STRING_FORMATS[schema.format] || `mock ${name}`;
+  if (schema.minLength && value.length < schema.minLength) {
+    value = value.padEnd(schema.minLength, 'x');
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    value = value.slice(0, schema.maxLength);
+  }
+  return value;
+}
+
+function fakeNumber(schema, integer) {
+  let low = schema.minimum ?? -Infinity;
+  let high = schema.maximum ?? Infinity;
+  if (schema.exclusiveMinimum !== undefined) low = Math.max(low, schema.exclusiveMinimum + (integer ? 1 : 0.5));
+  if (schema.exclusiveMaximum !== undefined) high = Math.min(high, schema.exclusiveMaximum - (integer ? 1 : 0.5));
+
+  let value = Math.min(Math.max(0, low), high);
+  if (integer) value = Math.ceil(value);
+  if (schema.multipleOf) value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+  return value;
+}
+
+/**
+ * Builds a deterministic value conforming to a JSON Schema: `const`, `enum`, `default` and
+ * `examples` are used when present, otherwise a value is derived from the type and bounds.
+ *
+ * @param {object} schema - JSON Schema
+ * @param {string} [name] - Property name, used to label fake strings
+ * @returns {any}
+ */
+function generateFromSchema(schema = {}, name = 'value') {
+  if (schema.const !== undefined) return schema.const;
+  if (schema.enum) return schema.enum[0];
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+
+  if (schema.oneOf || schema.anyOf) {
+    return generateFromSchema((schema.oneOf || schema.anyOf)[0], name);
+  }
+  if (schema.allOf) {
+    const merged = schema.allOf.reduce((acc, part) => ({
+      ...acc,
+      ...part,
+      properties: { ...acc.properties, ...part.properties },
+      required: [...(acc.required || []), ...(part.required || [])]
+    }), {});
+    return generateFromSchema(merged, name);
+  }
+
+  let type = schema.type;
+  if (Array.isArray(type)) type = type.find(t => t !== 'null') || 'null';
+  if (!type) type = schema.properties ? 'object' : schema.items ? 'array' : 'string';
+
+  switch (type) {
+    case 'object': {
+      const result = {};
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        result[key] = generateFromSchema(propertySchema, key);
+      }
+      // Required properties without a schema still need a value
+      for (const key of schema.required || []) {
+        if (!(key in result)) result[key] = `mock ${key}`;
+      }
+      return result;
+    }
+    case 'array': {
+      const count = Math.min(Math.max(schema.minItems ?? 1, 1), schema.maxItems ?? Infinity);
+      return Array.from({ length: count }, () => generateFromSchema(schema.items || {}, name));
+    }
+    case 'integer':
+      return fakeNumber(schema, true);
+    case 'number':
+      return fakeNumber(schema, false);
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return fakeString(schema, name);
+  }
+}
+
+// Rough token estimate so usage figures are plausible
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Creates the mock adapter. Canned responses are matched against the request input, which the
+ * handler passes to every adapter.
+ *
+ * @param {object} endpoint - Endpoint config (aiPrompt.mockResponses, outputSchema)
+ * @returns {{ complete: Function, stream: Function }}
+ */
+function createMockProvider(endpoint) {
+  const responses = endpoint.aiPrompt.mockResponses || [];
+
+  const reply = (input) => {
+    const context = { ...input, input };
+    const canned = responses.find(r => !r.when || evaluateCondition(r.when, context));
+    let output;
+    if (canned) {
+      output = compileTemplate(canned.output, context);
+    } else if (endpoint.outputSchema) {
+      output = generateFromSchema(endpoint.outputSchema);
+    } else {
+      output = `Mock response for ${endpoint.name}`;
+    }
+    return typeof output === 'string' ? output : JSON.stringify(output);
+  };
+
+  const complete = async (request, input = {}) => {
+    const content = reply(input);
+    const promptTokens = estimateTokens(request.messages.map(m => m.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+    return {
+      content,
+      // Tools are never called: the mock answers directly
+      toolCalls: [],
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  };
+
+  // Streams the reply in word-sized chunks
+  const stream = async (request, input, onDelta) => {
+    const result = await complete(request, input);
+    for (const piece of result.content.match(/\S+\s*|\s+/g) || []) {
+      onDelta(piece);
+    }
+    return result;
+  };
+
+  return { complete, stream };
+}
+
+module.exports = { createMockProvider, generateFromSchema };
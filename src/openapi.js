@@ -0,0 +1,262 @@
+/**
+ * Builds an OpenAPI 3.1 document describing the configured endpoints.
+ * Endpoint JSON Schemas are embedded as-is: OpenAPI 3.1 schema objects are JSON Schema.
+ */
+
+const pkg = require('../package.json');
+const { endpointStrategies, securityScheme } = require('./auth');
+const { endpointRateLimit } = require('./rate-limit');
+
+const errorSchemas = {
+  ValidationError: {
+    type: 'object',
+    description: 'Request input failed validation against the endpoint inputSchema.',
+    required: ['error', 'details'],
+    properties: {
+      error: { type: 'string', const: 'Invalid request' },
+      details: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  AuthError: {
+    type: 'object',
+    description: 'The request carried no credentials, or none that a configured auth strategy accepted.',
+    required: ['error'],
+    properties: {
+      error: { type: 'string', enum: ['Authentication required', 'Invalid credentials'] },
+      detail: { type: 'string' }
+    }
+  },
+  LimitError: {
+    type: 'object',
+    description: 'The client exceeded the endpoint rate limit (429), or the endpoint is running its maximum number of requests (503).',
+    required: ['error'],
+    properties: {
+      error: { type: 'string', enum: ['Too many requests', 'Too many concurrent requests'] },
+      retryAfterSeconds: { type: 'integer' }
+    }
+  },
+  BudgetError: {
+    type: 'object',
+    description: 'An LLM budget is used up: 402 for a cost limit, 429 for a token limit. It clears when the budget window ends.',
+    required: ['error', 'detail', 'retryAfterSeconds'],
+    properties: {
+      error: { type: 'string', const: 'Budget exceeded' },
+      detail: { type: 'string' },
+      retryAfterSeconds: { type: 'integer' }
+    }
+  },
+  HandlerError: {
+    type: 'object',
+    description: 'The handler threw, or its output failed validation against the endpoint outputSchema.',
+    required: ['error'],
+    properties: {
+      error: { type: 'string', enum: ['Handler error', 'Handler output failed validation', 'Handler timed out'] },
+      detail: { type: 'string' },
+      details: { type: 'array', items: { type: 'object' } },
+      attempts: { type: 'integer', description: 'Number of attempts made when a retry policy ran more than once.' }
+    }
+  }
+};
+
+// Express uses /users/:id, OpenAPI uses /users/{id}
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+function parameter(name, location, inputSchema, field = name) {
+  const schema = inputSchema?.properties?.[field] || { type: 'string' };
+  return {
+    name,
+    in: location,
+    required: location === 'path' || (inputSchema?.required || []).includes(field),
+    ...(schema.description ? { description: schema.description } : {}),
+    schema
+  };
+}
+
+// Path parameters are merged into the input, so inputSchema describes them when it has them
+function pathParameters(endpoint) {
+  return Array.from(endpoint.path.matchAll(/:(\w+)/g), ([, name]) => parameter(name, 'path', endpoint.inputSchema));
+}
+
+// inputMapping fields read from headers or the query string
+function mappedParameters(endpoint) {
+  const locations = { headers: 'header', query: 'query' };
+  return Object.entries(endpoint.inputMapping || {}).flatMap(([field, source]) => {
+    const [from, ...rest] = source.split('.');
+    return locations[from] ? [parameter(rest.join('.'), locations[from], endpoint.inputSchema, field)] : [];
+  });
+}
+
+// Input fields that arrive outside the query string or body
+function parameterFields(endpoint) {
+  const fields = new Set(Array.from(endpoint.path.matchAll(/:(\w+)/g), ([, name]) => name));
+  for (const [field, source] of Object.entries(endpoint.inputMapping || {})) {
+    if (!source.startsWith('body.')) fields.add(field);
+  }
+  return fields;
+}
+
+// GET and DELETE input arrives as the query string, so each top-level inputSchema property is a parameter
+function queryParameters(inputSchema, excluded) {
+  if (!inputSchema?.properties) return [];
+  return Object.keys(inputSchema.properties)
+    .filter(name => !excluded.has(name))
+    .map(name => parameter(name, 'query', inputSchema));
+}
+
+// The body schema without the fields documented as parameters
+function bodySchema(inputSchema, excluded) {
+  if (!inputSchema?.properties || excluded.size === 0) return inputSchema;
+  const properties = Object.fromEntries(Object.entries(inputSchema.properties).filter(([name]) => !excluded.has(name)));
+  const required = (inputSchema.required || []).filter(name => !excluded.has(name));
+  const schema = { ...inputSchema, properties };
+  if (inputSchema.required) schema.required = required;
+  return schema;
+}
+
+function successResponse(endpoint) {
+  const content = endpoint.outputSchema
+    ? { 'application/json': { schema: endpoint.outputSchema } }
+    : { 'text/plain': { schema: { type: 'string' } } };
+
+  // aiPrompt endpoints can also answer as Server-Sent Events
+  if (endpoint.aiPrompt) {
+    content['text/event-stream'] = {
+      schema: { type: 'string', description: 'SSE stream of `token` events followed by a `done` or `error` event.' }
+    };
+  }
+
+  return { description: 'Successful response', content };
+}
+
+// Which budget limits can refuse the endpoint's requests, from its own budget and the service's
+function budgetLimits(endpoint, config) {
+  const budgets = [endpoint.budget, config.budget].filter(Boolean);
+  const has = limit => budgets.some(budget => budget.hour?.[limit] !== undefined || budget.day?.[limit] !== undefined);
+  return { cost: has('cost'), tokens: has('tokens') };
+}
+
+// Rate limits and token budgets both answer 429
+function tooManyRequestsResponse(rateLimited, tokenBudget) {
+  const limit = { $ref: '#/components/schemas/LimitError' };
+  const budget = { $ref: '#/components/schemas/BudgetError' };
+  if (rateLimited && tokenBudget) {
+    return {
+      description: 'Rate limit exceeded or token budget used up; see the Retry-After header',
+      content: { 'application/json': { schema: { oneOf: [limit, budget] } } }
+    };
+  }
+  return {
+    description: `${rateLimited ? 'Rate limit exceeded' : 'Token budget used up'}; see the Retry-After header`,
+    content: { 'application/json': { schema: rateLimited ? limit : budget } }
+  };
+}
+
+function buildOperation(endpoint, config) {
+  const operation = {
+    operationId: endpoint.name,
+    summary: endpoint.name,
+    description: endpoint.description,
+    parameters: [...pathParameters(endpoint), ...mappedParameters(endpoint)]
+  };
+
+  const excluded = parameterFields(endpoint);
+  if (endpoint.method === 'GET' || endpoint.method === 'DELETE') {
+    operation.parameters.push(...queryParameters(endpoint.inputSchema, excluded));
+  } else {
+    operation.requestBody = {
+      required: Boolean(endpoint.inputSchema),
+      content: {
+        'application/json': { schema: bodySchema(endpoint.inputSchema, excluded) || { type: 'object' } }
+      }
+    };
+  }
+
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  // Any one of the listed schemes is enough; public endpoints opt out of the default
+  if (config.auth) {
+    operation.security = endpointStrategies(endpoint, config.auth).map(name => ({ [name]: [] }));
+  }
+
+  const rateLimited = Boolean(endpointRateLimit(endpoint, config));
+  const budget = budgetLimits(endpoint, config);
+
+  operation.responses = {
+    200: successResponse(endpoint),
+    ...(operation.security?.length > 0 ? {
+      401: {
+        description: 'Missing or invalid credentials',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthError' } } }
+      }
+    } : {}),
+    ...(endpoint.inputSchema ? {
+      400: {
+        description: 'Invalid request input',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+      }
+    } : {}),
+    500: {
+      description: 'Handler failure or invalid handler output',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/HandlerError' } } }
+    },
+    ...(budget.cost ? {
+      402: {
+        description: 'Cost budget used up; see the Retry-After header',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/BudgetError' } } }
+      }
+    } : {}),
+    ...(rateLimited || budget.tokens ? { 429: tooManyRequestsResponse(rateLimited, budget.tokens) } : {}),
+    ...(endpoint.concurrency ? {
+      503: {
+        description: `More than ${endpoint.concurrency.max} requests running${endpoint.concurrency.queue ? ` and ${endpoint.concurrency.queue} queued` : ''}`,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/LimitError' } } }
+      }
+    } : {}),
+    ...(endpoint.timeoutMs ? {
+      504: {
+        description: `Handler did not finish within ${endpoint.timeoutMs}ms`,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/HandlerError' } } }
+      }
+    } : {})
+  };
+
+  return operation;
+}
+
+/**
+ * @param {object} config - Loaded config
+ * @param {object} [options]
+ * @param {string} [options.serverUrl] - Base URL advertised in `servers`
+ * @returns {object} - OpenAPI 3.1 document
+ */
+function generateOpenApiDocument(config, { serverUrl } = {}) {
+  const paths = {};
+  for (const endpoint of config.endpoints) {
+    const route = toOpenApiPath(endpoint.path);
+    paths[route] = paths[route] || {};
+    paths[route][endpoint.method.toLowerCase()] = buildOperation(endpoint, config);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: pkg.name,
+      version: pkg.version,
+      description: pkg.description
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths,
+    components: {
+      schemas: errorSchemas,
+      ...(config.auth ? {
+        securitySchemes: Object.fromEntries(Object.entries(config.auth.strategies).map(([name, options]) => [name, securityScheme(options)]))
+      } : {})
+    }
+  };
+}
+
+module.exports = { generateOpenApiDocument };
@@ -0,0 +1,427 @@
+/**
+ * LLM provider adapters. Each adapter turns a neutral chat request into its wire format and
+ * back, exposing:
+ *
+ *   complete(request, input) -> { content, toolCalls, usage }
+ *   stream(request, input, onDelta) -> { content, usage }
+ *
+ * where request is `{ model, messages, temperature, json, maxTokens?, tools? }` (`json` asks for a
+ * JSON reply, `maxTokens` caps the completion length)
+ * and usage is `{ promptTokens, completionTokens, totalTokens }` or null when the provider doesn't
+ * report it.
+ *
+ * Tool calling uses neutral shapes as well: `tools` are `{ name, description, parameters }`,
+ * `toolCalls` are `{ id, name, arguments }`, and the conversation carries
+ * `{ role: 'assistant', content, toolCalls }` and `{ role: 'tool', toolCallId, name, content }` messages.
+ */
+
+const { createMockProvider } = require('./mock-provider');
+const { readEventData, readJsonLines } = require('./streams');
+
+const PROVIDER_TYPES = ['openai', 'anthropic', 'ollama', 'mock'];
+
+// Per-type defaults. A key is required for types with an `apiKeyEnv` unless a custom baseUrl is set
+const TYPE_DEFAULTS = {
+  openai: { apiKeyEnv: 'OPENAI_API_KEY', model: 'gpt-4o-mini' },
+  anthropic: { apiKeyEnv: 'ANTHROPIC_API_KEY', baseUrl: 'https://api.anthropic.com' },
+  ollama: { baseUrl: 'http://localhost:11434' },
+  mock: {}
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+// Anthropic requires max_tokens on every request; this is used when the request sets no maxTokens
+const ANTHROPIC_MAX_TOKENS = 4096;
+
+// Non-2xx provider response; `status` lets retry policies match on HTTP status
+class ProviderError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+/**
+ * Resolves the provider settings for an aiPrompt endpoint. Endpoints either name an entry of the
+ * top-level `providers` map (or the built-in `mock`), or use the OpenAI-compatible settings from
+ * `aiPrompt.baseUrl`/`apiKey` and the top-level defaults as before.
+ * Endpoint `model`, `baseUrl` and `apiKey` override the named provider's.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @param {object} config - Loaded config
+ * @returns {{ name: string, type: string, baseUrl?: string, apiKey?: string, apiKeyEnv?: string, headers: object, model?: string }}
+ */
+function resolveProvider(endpoint, config = {}) {
+  const { aiPrompt } = endpoint;
+  const name = aiPrompt.provider;
+  const baseUrl = aiPrompt.baseUrl || config.defaultBaseUrl;
+
+  if (name === 'mock' || (!name && baseUrl?.startsWith('mock://'))) {
+    return { name: 'mock', type: 'mock', headers: {} };
+  }
+
+  if (!name) {
+    return {
+      name: 'openai',
+      type: 'openai',
+      baseUrl,
+      apiKey: aiPrompt.apiKey || config.defaultApiKey || process.env.OPENAI_API_KEY,
+      apiKeyEnv: TYPE_DEFAULTS.openai.apiKeyEnv,
+      headers: {},
+      model: aiPrompt.model || config.defaultModel || TYPE_DEFAULTS.openai.model
+    };
+  }
+
+  const provider = config.providers?.[name];
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}" for endpoint ${endpoint.name}.`);
+  }
+
+  const defaults = TYPE_DEFAULTS[provider.type];
+  const apiKeyEnv = provider.apiKeyEnv || defaults.apiKeyEnv;
+  return {
+    name,
+    type: provider.type,
+    baseUrl: aiPrompt.baseUrl || provider.baseUrl,
+    apiKey: aiPrompt.apiKey || (apiKeyEnv ? process.env[apiKeyEnv] : undefined),
+    apiKeyEnv,
+    headers: provider.headers || {},
+    model: aiPrompt.model || provider.model || config.defaultModel || defaults.model
+  };
+}
+
+async function postJson(url, body, headers, label) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new ProviderError(`${label} request failed with status ${response.status}: ${text.slice(0, 500)}`, response.status);
+  }
+  return response;
+}
+
+// Tool arguments arrive as a JSON string from some providers; invalid JSON is passed on as-is
+// so the caller can report it back to the model
+function parseArguments(value) {
+  if (typeof value !== 'string') return value ?? {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+// OpenAI-style function definitions (also used by Ollama)
+function toFunctionTools(tools) {
+  return tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+}
+
+function toOpenAiMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+  }
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+      }))
+    };
+  }
+  return message;
+}
+
+// Anthropic puts tool calls in assistant content blocks and tool results in the next user message
+function toAnthropicMessages(messages) {
+  const result = [];
+  for (const message of messages) {
+    if (message.role === 'system') continue;
+
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+      const last = result[result.length - 1];
+      if (last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+        last.content.push(block);
+      } else {
+        result.push({ role: 'user', content: [block] });
+      }
+    } else if (message.toolCalls) {
+      result.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+        ]
+      });
+    } else {
+      result.push(message);
+    }
+  }
+  return result;
+}
+
+function toOllamaMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_name: message.name, content: message.content };
+  }
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+    };
+  }
+  return message;
+}
+
+function usageOf(promptTokens, completionTokens) {
+  if (promptTokens === undefined && completionTokens === undefined) return null;
+  const prompt = promptTokens || 0;
+  const completion = completionTokens || 0;
+  return { promptTokens: prompt, completionTokens: completion, totalTokens: prompt + completion };
+}
+
+// OpenAI and OpenAI-compatible servers (LM Studio, vLLM, llama.cpp, ...) through the openai SDK
+async function createOpenAiAdapter(spec, record) {
+  let OpenAI;
+  try {
+    OpenAI = (await import('openai')).default;
+  } catch (err) {
+    throw new Error(`Failed to load OpenAI SDK: ${err.message}`);
+  }
+
+  const client = new OpenAI({
+    // For local servers without auth, use a dummy key (SDK requires something)
+    apiKey: spec.apiKey || 'not-required',
+    ...(spec.baseUrl ? { baseURL: spec.baseUrl } : {}),
+    ...(Object.keys(spec.headers).length > 0 ? { defaultHeaders: spec.headers } : {})
+  });
+
+  const toBody = (request) => ({
+    model: request.model,
+    messages: request.messages.map(toOpenAiMessage),
+    temperature: request.temperature,
+    ...(request.maxTokens !== undefined ? { max_tokens: request.maxTokens } : {}),
+    // Only include response_format if using OpenAI (some local servers don't support it)
+    ...(request.json && !spec.baseUrl ? { response_format: { type: 'json_object' } } : {}),
+    ...(request.tools ? { tools: toFunctionTools(request.tools) } : {})
+  });
+
+  return {
+    async complete(request) {
+      const body = toBody(request);
+      const response = await record('chat.completions', body, () => client.chat.completions.create(body));
+      const message = response.choices?.[0]?.message;
+      return {
+        content: message?.content,
+        toolCalls: (message?.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: parseArguments(call.function.arguments)
+        })),
+        usage: usageOf(response.usage?.prompt_tokens, response.usage?.completion_tokens)
+      };
+    },
+
+    async stream(request, _input, onDelta) {
+      const body = { ...toBody(request), stream: true };
+      // include_usage adds a final chunk with token counts. Like response_format it is only sent
+      // to OpenAI, and it stays out of the recorded request so existing recordings still match.
+      const chunks = await record('chat.completions', body, () => client.chat.completions.create({
+        ...body,
+        ...(!spec.baseUrl ? { stream_options: { include_usage: true } } : {})
+      }));
+
+      let content = '';
+      let usage = null;
+      for await (const chunk of chunks) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (chunk.usage) {
+          usage = usageOf(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+        }
+      }
+      return { content, usage };
+    }
+  };
+}
+
+// Anthropic Messages API: the system prompt is a top-level field and max_tokens is required
+function createAnthropicAdapter(spec, record) {
+  const baseUrl = spec.baseUrl || TYPE_DEFAULTS.anthropic.baseUrl;
+  const url = `${baseUrl.replace(/\/+$/, '')}/v1/messages`;
+  const headers = {
+    'anthropic-version': ANTHROPIC_VERSION,
+    ...(spec.apiKey ? { 'x-api-key': spec.apiKey } : {}),
+    ...spec.headers
+  };
+
+  const toBody = (request) => {
+    const system = request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    return {
+      model: request.model,
+      max_tokens: request.maxTokens ?? ANTHROPIC_MAX_TOKENS,
+      ...(system ? { system } : {}),
+      messages: toAnthropicMessages(request.messages),
+      temperature: request.temperature,
+      ...(request.tools ? {
+        tools: request.tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters }))
+      } : {})
+    };
+  };
+
+  return {
+    async complete(request) {
+      const body = toBody(request);
+      const response = await record('anthropic.messages', body, async () => (
+        (await postJson(url, body, headers, 'Anthropic')).json()
+      ));
+      const blocks = response.content || [];
+      return {
+        content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input ?? {} })),
+        usage: usageOf(response.usage?.input_tokens, response.usage?.output_tokens)
+      };
+    },
+
+    async stream(request, _input, onDelta) {
+      const body = { ...toBody(request), stream: true };
+      const events = await record('anthropic.messages', body, async () => (
+        readEventData((await postJson(url, body, headers, 'Anthropic')).body)
+      ));
+
+      let content = '';
+      let promptTokens;
+      let completionTokens;
+      for await (const event of events) {
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          content += event.delta.text;
+          onDelta(event.delta.text);
+        } else if (event.type === 'message_start') {
+          promptTokens = event.message?.usage?.input_tokens;
+        } else if (event.type === 'message_delta') {
+          completionTokens = event.usage?.output_tokens;
+        } else if (event.type === 'error') {
+          throw new ProviderError(`Anthropic stream error: ${event.error?.message || JSON.stringify(event.error)}`);
+        }
+      }
+      return { content, usage: usageOf(promptTokens, completionTokens) };
+    }
+  };
+}
+
+// Ollama's native /api/chat; streamed replies are newline-delimited JSON
+function createOllamaAdapter(spec, record) {
+  const baseUrl = spec.baseUrl || TYPE_DEFAULTS.ollama.baseUrl;
+  const url = `${baseUrl.replace(/\/+$/, '')}/api/chat`;
+  const headers = {
+    ...(spec.apiKey ? { authorization: `Bearer ${spec.apiKey}` } : {}),
+    ...spec.headers
+  };
+
+  const toBody = (request, stream) => ({
+    model: request.model,
+    messages: request.messages.map(toOllamaMessage),
+    stream,
+    options: {
+      temperature: request.temperature,
+      ...(request.maxTokens !== undefined ? { num_predict: request.maxTokens } : {})
+    },
+    ...(request.json ? { format: 'json' } : {}),
+    ...(request.tools ? { tools: toFunctionTools(request.tools) } : {})
+  });
+
+  return {
+    async complete(request) {
+      const body = toBody(request, false);
+      const response = await record('ollama.chat', body, async () => (
+        (await postJson(url, body, headers, 'Ollama')).json()
+      ));
+      return {
+        content: response.message?.content,
+        // Ollama doesn't assign tool call ids
+        toolCalls: (response.message?.tool_calls || []).map((call, index) => ({
+          id: `call_${index}`,
+          name: call.function.name,
+          arguments: parseArguments(call.function.arguments)
+        })),
+        usage: usageOf(response.prompt_eval_count, response.eval_count)
+      };
+    },
+
+    async stream(request, _input, onDelta) {
+      const body = toBody(request, true);
+      const lines = await record('ollama.chat', body, async () => (
+        readJsonLines((await postJson(url, body, headers, 'Ollama')).body)
+      ));
+
+      let content = '';
+      let usage = null;
+      for await (const line of lines) {
+        if (line.error) {
+          throw new ProviderError(`Ollama stream error: ${line.error}`);
+        }
+        const delta = line.message?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (line.done) {
+          usage = usageOf(line.prompt_eval_count, line.eval_count);
+        }
+      }
+      return { content, usage };
+    }
+  };
+}
+
+/**
+ * Creates the provider adapter for an aiPrompt endpoint.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @param {object} config - Loaded config
+ * @param {object} options
+ * @param {(kind: string, request: object, perform: () => Promise<any>) => Promise<any>} options.record -
+ *   Wraps each outbound call (see recordCall in engine.js)
+ * @param {boolean} [options.requireCredentials] - Fail when a hosted provider has no API key
+ * @returns {Promise<{ spec: object, complete: Function, stream: Function }>}
+ */
+async function createProvider(endpoint, config, { record, requireCredentials = true }) {
+  const spec = resolveProvider(endpoint, config);
+
+  // Hosted APIs need a key; a custom baseUrl (local server, proxy, stand-in) may not
+  if (requireCredentials && spec.apiKeyEnv && !spec.apiKey && !spec.baseUrl) {
+    throw new Error(!endpoint.aiPrompt.provider
+      ? 'OPENAI_API_KEY is required for aiPrompt handlers, or specify a baseUrl for local LLM servers.'
+      : `${spec.apiKeyEnv} is required for provider "${spec.name}", or specify a baseUrl.`);
+  }
+  if (!spec.model && spec.type !== 'mock') {
+    throw new Error(`No model configured for endpoint ${endpoint.name}: set aiPrompt.model, the provider's model, or defaultModel.`);
+  }
+
+  let adapter;
+  if (spec.type === 'mock') {
+    adapter = createMockProvider(endpoint);
+  } else if (spec.type === 'anthropic') {
+    adapter = createAnthropicAdapter(spec, record);
+  } else if (spec.type === 'ollama') {
+    adapter = createOllamaAdapter(spec, record);
+  } else {
+    adapter = await createOpenAiAdapter(spec, record);
+  }
+
+  return { spec, ...adapter };
+}
+
+module.exports = { createProvider, resolveProvider, ProviderError, PROVIDER_TYPES };
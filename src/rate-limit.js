@@ -0,0 +1,285 @@
+/**
+ * Rate and concurrency limits for endpoint routes. Rate limits are token buckets keyed per
+ * endpoint and client, held in a store (in memory by default, or a custom module for sharing
+ * limits between instances); concurrency limits cap how many requests an endpoint runs at once.
+ */
+
+const path = require('node:path');
+
+// Unused buckets are dropped once they would be full again, checked at most this often
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * Token buckets in process memory. Custom stores implement the same `take` method.
+ */
+class MemoryRateLimitStore {
+  /**
+   * @param {object} [options]
+   * @param {() => number} [options.now] - Clock in milliseconds, for tests
+   */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.buckets = new Map();
+    this.lastSweep = now();
+  }
+
+  /**
+   * Takes one token from a bucket, refilling it for the time since it was last used.
+   *
+   * @param {string} key - Bucket key (endpoint and client)
+   * @param {object} policy
+   * @param {number} policy.capacity - Bucket size (the burst)
+   * @param {number} policy.refillPerMs - Tokens added per millisecond
+   * @returns {Promise<{ allowed: boolean, remaining: number, retryAfterMs: number, resetMs: number }>} -
+   *   `retryAfterMs` until a token is available when refused, `resetMs` until the bucket is full
+   */
+  async take(key, { capacity, refillPerMs }) {
+    const now = this.now();
+    this.sweep(now);
+
+    const bucket = this.buckets.get(key);
+    let tokens = bucket ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs) : capacity;
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    const resetMs = Math.ceil((capacity - tokens) / refillPerMs);
+    this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + resetMs });
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+      resetMs
+    };
+  }
+
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    }
+  }
+}
+
+// Kept across hot reloads so a config change doesn't hand every client a fresh bucket
+let currentStore = null;
+
+/**
+ * Prepares the store for `rateLimit.store`: a module under the config directory exporting a
+ * factory `(storeConfig) => store`, or the shared in-memory store. A new store only replaces
+ * the current one on `commit()`, so a reload that fails afterwards leaves the live routes'
+ * store open; `discard()` closes a new store that was never committed.
+ *
+ * @param {object} config - Loaded config
+ * @returns {Promise<{ store: { take: Function }, commit: () => Promise<void>, discard: () => Promise<void> }>}
+ */
+async function prepareRateLimitStore(config) {
+  const storeConfig = config.rateLimit?.store;
+  const signature = JSON.stringify({ storeConfig, baseDir: storeConfig ? config.baseDir : null });
+  if (currentStore?.signature === signature) {
+    return { store: currentStore.store, commit: async () => {}, discard: async () => {} };
+  }
+
+  let store;
+  if (storeConfig) {
+    const storePath = path.resolve(config.baseDir, storeConfig.file);
+    let moduleExport;
+    try {
+      // eslint-disable-next-line import/no-dynamic-require, global-require
+      moduleExport = require(storePath);
+    } catch (err) {
+      throw new Error(`Failed to load rate limit store at ${storePath}: ${err.message}`);
+    }
+    const factory = storeConfig.export ? moduleExport[storeConfig.export] : moduleExport;
+    if (typeof factory !== 'function') {
+      throw new Error(`Rate limit store at ${storePath} is not a function.`);
+    }
+    store = await factory(storeConfig);
+    if (typeof store?.take !== 'function') {
+      throw new Error(`Rate limit store at ${storePath} did not return an object with a take() method.`);
+    }
+  } else {
+    store = new MemoryRateLimitStore();
+  }
+
+  return {
+    store,
+    async commit() {
+      await closeRateLimitStore();
+      currentStore = { signature, store };
+    },
+    async discard() {
+      await store.close?.();
+    }
+  };
+}
+
+// Drops the current store (calling its optional close()), so the next start begins empty
+async function closeRateLimitStore() {
+  const previous = currentStore;
+  currentStore = null;
+  await previous?.store.close?.();
+}
+
+// Endpoint policy, else the top-level default; `false` turns the default off
+function endpointRateLimit(endpoint, config) {
+  if (endpoint.rateLimit === false) return null;
+  const policy = endpoint.rateLimit || config.rateLimit;
+  return policy?.requests ? policy : null;
+}
+
+// Who a bucket belongs to; header and auth keys fall back to the client IP when absent
+function clientKey(policy, req) {
+  if (policy.keyBy === 'header') {
+    const value = req.get(policy.header);
+    if (value) return `header:${value}`;
+  } else if (policy.keyBy === 'auth' && req.auth) {
+    return `auth:${req.auth.strategy}:${req.auth.subject}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Middleware enforcing the endpoint's rate limit, or null when it has none. Every response
+ * carries `RateLimit-*` headers; refused requests get `429` with `Retry-After`.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @param {object} config - Loaded config
+ * @param {{ take: Function }} store - From prepareRateLimitStore
+ * @param {object} logger - Logger instance
+ * @returns {Function|null}
+ */
+function createRateLimiter(endpoint, config, store, logger) {
+  const policy = endpointRateLimit(endpoint, config);
+  if (!policy) return null;
+
+  const capacity = policy.burst ?? policy.requests;
+  const bucket = { capacity, refillPerMs: policy.requests / policy.windowMs };
+  const policyHeader = `${policy.requests};w=${Math.ceil(policy.windowMs / 1000)};burst=${capacity}`;
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await store.take(`${endpoint.name}:${clientKey(policy, req)}`, bucket);
+    } catch (err) {
+      // A broken shared store shouldn't take the service down with it
+      logger.error(`Rate limit store failed for ${endpoint.name}, allowing request: ${err.message}`);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(capacity),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      'RateLimit-Policy': policyHeader
+    });
+    if (result.allowed) return next();
+
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many requests', retryAfterSeconds: retryAfter });
+  };
+}
+
+/**
+ * Slots for running at most `concurrency.max` requests of an endpoint at a time, with up to
+ * `concurrency.queue` more waiting, or null when the endpoint has no limit. A slot is held
+ * until the handler finishes, even if the client has gone away by then.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @returns {{ acquire: (res: object) => Promise<Function|null>, configure: Function }|null} -
+ *   `acquire` resolves to the function releasing the slot, or null when the queue is full or the
+ *   client left while queued. `configure` applies new `concurrency` settings.
+ */
+function createConcurrencyLimiter(endpoint) {
+  if (!endpoint.concurrency) return null;
+  let max;
+  let maxQueue;
+  let running = 0;
+  const waiting = [];
+
+  // Start queued requests while slots are free, e.g. after a release or a raised max
+  const drain = () => {
+    while (running < max && waiting.length > 0) waiting.shift()();
+  };
+  const release = () => {
+    running--;
+    drain();
+  };
+
+  const configure = ({ max: nextMax, queue = 0 }) => {
+    max = nextMax;
+    maxQueue = queue;
+    drain();
+  };
+  configure(endpoint.concurrency);
+
+  return {
+    configure,
+    acquire(res) {
+      if (running < max) {
+        running++;
+        return Promise.resolve(release);
+      }
+      if (waiting.length >= maxQueue) return Promise.resolve(null);
+
+      return new Promise((resolve) => {
+        const start = () => {
+          running++;
+          resolve(release);
+        };
+        waiting.push(start);
+        // A client that gives up while queued gives its place back
+        res.once('close', () => {
+          const index = waiting.indexOf(start);
+          if (index === -1) return;
+          waiting.splice(index, 1);
+          resolve(null);
+        });
+      });
+    }
+  };
+}
+
+// Kept across hot reloads like the store, so requests still running on the previous routes
+// count against the new ones instead of getting a second set of slots
+const concurrencyLimiters = new Map();
+
+/**
+ * The endpoint's concurrency limiter, reused by endpoint name across hot reloads with its
+ * running and queued requests; changed settings apply to it from then on.
+ *
+ * @param {object} endpoint - Endpoint config
+ * @returns {object|null} - See createConcurrencyLimiter
+ */
+function getConcurrencyLimiter(endpoint) {
+  if (!endpoint.concurrency) {
+    concurrencyLimiters.delete(endpoint.name);
+    return null;
+  }
+
+  const existing = concurrencyLimiters.get(endpoint.name);
+  if (existing) {
+    existing.configure(endpoint.concurrency);
+    return existing;
+  }
+  const limiter = createConcurrencyLimiter(endpoint);
+  concurrencyLimiters.set(endpoint.name, limiter);
+  return limiter;
+}
+
+// Forget every limiter, e.g. when the server stops
+function clearConcurrencyLimiters() {
+  concurrencyLimiters.clear();
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  prepareRateLimitStore,
+  closeRateLimitStore,
+  endpointRateLimit,
+  createRateLimiter,
+  createConcurrencyLimiter,
+  getConcurrencyLimiter,
+  clearConcurrencyLimiters
+};
@@ -0,0 +1,81 @@
+/**
+ * Record/replay of outbound provider calls (chat completions, MCP tool calls, workiq CLI runs)
+ * so handlers can be exercised offline. Each call is stored as one JSON fixture file named
+ * after a hash of its kind and request.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { stableStringify } = require('./cache');
+
+class RecordingMissError extends Error {
+  constructor(message, kind, key) {
+    super(message);
+    this.name = 'RecordingMissError';
+    this.kind = kind;
+    this.key = key;
+  }
+}
+
+function recordingKey(kind, request) {
+  return crypto.createHash('sha256').update(stableStringify({ kind, request })).digest('hex');
+}
+
+// chat.completions -> chat-completions, mcp.tools/call -> mcp-tools-call
+function recordingFile(dir, kind, key) {
+  return path.join(dir, `${kind.replace(/[^\w-]+/g, '-')}-${key.slice(0, 16)}.json`);
+}
+
+/**
+ * @param {object} options
+ * @param {'record'|'replay'} options.mode - Capture live responses, or serve captured ones
+ * @param {string} options.dir - Directory holding fixture files
+ * @param {object} [options.logger] - Logger instance
+ * @returns {{ mode: string, dir: string, call: Function }}
+ */
+function createRecorder({ mode, dir, logger = console }) {
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new Error(`Unknown recorder mode: ${mode}`);
+  }
+  const root = path.resolve(dir);
+
+  /**
+   * Performs (record) or replays (replay) one outbound call.
+   *
+   * @param {string} kind - Call type, e.g. `chat.completions`
+   * @param {object} request - JSON request; identical requests share a fixture
+   * @param {() => Promise<any>} perform - Makes the live call; its result must be JSON-serializable
+   * @returns {Promise<any>}
+   */
+  async function call(kind, request, perform) {
+    const key = recordingKey(kind, request);
+    const file = recordingFile(root, kind, key);
+
+    if (mode === 'replay') {
+      let fixture;
+      try {
+        fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        throw new RecordingMissError(
+          `No recording for ${kind} request ${key.slice(0, 16)} in ${root}: ${stableStringify(request).slice(0, 200)}`,
+          kind,
+          key
+        );
+      }
+      logger.debug(`Replaying ${kind} from ${file}`);
+      return fixture.response;
+    }
+
+    const response = await perform();
+    await fs.mkdir(root, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ kind, request, response }, null, 2));
+    logger.debug(`Recorded ${kind} to ${file}`);
+    return response;
+  }
+
+  return { mode, dir: root, call };
+}
+
+module.exports = { createRecorder, recordingKey, RecordingMissError };
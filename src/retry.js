@@ -0,0 +1,170 @@
+/**
+ * Retry, backoff and timeout policies for endpoint handlers and chain steps.
+ */
+
+// Error names/codes and HTTP statuses retried when a policy doesn't list its own
+const DEFAULT_RETRYABLE_ERRORS = [
+  'TimeoutError',
+  'APIConnectionError',
+  'APIConnectionTimeoutError',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE'
+];
+const DEFAULT_RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+class TimeoutError extends Error {
+  constructor(message, timeoutMs) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Raised inside a retry loop when handler output fails its outputSchema
+class OutputValidationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'OutputValidationError';
+    this.details = details;
+  }
+}
+
+/**
+ * Runs fn, rejecting with a TimeoutError if it hasn't settled after timeoutMs.
+ * The underlying work is not cancelled; its eventual result is ignored.
+ *
+ * @param {() => Promise<any>} fn - Work to run
+ * @param {number} [timeoutMs] - Limit in milliseconds; no limit when omitted
+ * @param {string} label - Used in the error message
+ * @returns {Promise<any>}
+ */
+function withTimeout(fn, timeoutMs, label) {
+  if (!timeoutMs) return fn();
+
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(`${label} timed out after ${timeoutMs}ms`, timeoutMs)), timeoutMs);
+  });
+  return Promise.race([fn(), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Walk the error and its causes (chain errors wrap the step failure) looking for a retryable one
+function isRetryable(err, policy) {
+  const errors = policy.retryOn?.errors || DEFAULT_RETRYABLE_ERRORS;
+  const statuses = policy.retryOn?.statuses || DEFAULT_RETRYABLE_STATUSES;
+
+  for (let current = err; current; current = current.cause) {
+    if (current instanceof OutputValidationError) {
+      return Boolean(policy.retryOnOutputValidation);
+    }
+    if (errors.includes(current.name) || errors.includes(current.code)) {
+      return true;
+    }
+    const status = current.status ?? current.statusCode;
+    if (status !== undefined && statuses.includes(status)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Exponential backoff capped at maxDelayMs, with full jitter unless disabled
+function computeDelay(policy, attempt) {
+  const initial = policy.initialDelayMs ?? 200;
+  const max = policy.maxDelayMs ?? 5000;
+  const factor = policy.factor ?? 2;
+  const delay = Math.min(max, initial * factor ** (attempt - 1));
+  return policy.jitter === false ? delay : Math.round(Math.random() * delay);
+}
+
+/**
+ * Calls attemptFn until it succeeds, the error isn't retryable, or maxAttempts is reached.
+ * When a policy is given, the final error gets an `attempts` property with the number of
+ * attempts made.
+ *
+ * @param {(attempt: number) => Promise<any>} attemptFn - Performs one attempt
+ * @param {object} [policy] - Retry policy from config; a single attempt when omitted
+ * @param {object} options
+ * @param {object} options.logger - Logger instance
+ * @param {string} options.label - Describes the operation in log messages
+ * @returns {Promise<any>}
+ */
+async function runWithRetry(attemptFn, policy, { logger, label }) {
+  const maxAttempts = policy?.maxAttempts ?? 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptFn(attempt);
+    } catch (err) {
+      if (attempt >= maxAttempts || !isRetryable(err, policy)) {
+        // Only annotate when a policy applies, so an outer single-attempt wrapper
+        // doesn't hide the attempt count recorded by an inner retry loop
+        if (policy) err.attempts = attempt;
+        if (attempt > 1) {
+          logger.error(`${label}: giving up after ${attempt} attempts: ${err.message}`);
+        }
+        throw err;
+      }
+      const delay = computeDelay(policy, attempt);
+      logger.warn(`${label}: attempt ${attempt}/${maxAttempts} failed (${err.message}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Wraps an endpoint handler with the endpoint's `timeoutMs` and `retry` policy.
+ * When the policy retries output-validation failures, output is validated inside the
+ * loop and a final failure surfaces as an OutputValidationError.
+ * Streaming (`handler.stream`) gets the timeout but no retries: tokens already sent can't be taken back.
+ *
+ * @param {Function} handler - Handler created by createHandler
+ * @param {object} endpoint - Endpoint config
+ * @param {Function|null} validateOutput - Compiled outputSchema validator
+ * @param {object} logger - Logger instance
+ * @returns {Function} - Handler with the same signature
+ */
+function withEndpointPolicies(handler, endpoint, validateOutput, logger) {
+  if (!endpoint.retry && !endpoint.timeoutMs) return handler;
+
+  const checkOutput = endpoint.retry?.retryOnOutputValidation && validateOutput;
+  const label = `Endpoint ${endpoint.name}`;
+
+  const wrapped = (input, req) => runWithRetry(async () => {
+    const output = await withTimeout(() => handler(input, req), endpoint.timeoutMs, label);
+    if (checkOutput && !validateOutput(output)) {
+      throw new OutputValidationError(`${label} output failed validation`, validateOutput.errors);
+    }
+    return output;
+  }, endpoint.retry, { logger, label });
+
+  if (handler.stream) {
+    // Deltas arriving after the timeout are dropped; the response has ended by then
+    wrapped.stream = (input, req, onDelta) => {
+      let timedOut = false;
+      return withTimeout(
+        () => handler.stream(input, req, (delta) => {
+          if (!timedOut) onDelta(delta);
+        }),
+        endpoint.timeoutMs,
+        label
+      ).catch((err) => {
+        timedOut = true;
+        throw err;
+      });
+    };
+  }
+  return wrapped;
+}
+
+module.exports = {
+  TimeoutError,
+  OutputValidationError,
+  withTimeout,
+  runWithRetry,
+  isRetryable,
+  computeDelay,
+  withEndpointPolicies
+};
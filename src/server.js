@@ -1,18 +1,171 @@
 const express = require('express');
 const Ajv = require('ajv');
-const { createHandler, registerHandler, clearHandlerRegistry } = require('./engine');
+const { createHandler, replaceHandlerRegistry } = require('./engine');
+const { generateOpenApiDocument } = require('./openapi');
+const { withEndpointPolicies, OutputValidationError, TimeoutError } = require('./retry');
+const { createEndpointCache, cacheKey } = require('./cache');
+const { closeMcpClients, mcpClientStatus } = require('./mcp-client');
+const { createAuthenticator, endpointStrategies } = require('./auth');
+const { getUsageTracker, resetUsageTracker, setUsageHeaders } = require('./usage');
+const { getBudgetTracker, resetBudgetTracker, BudgetExceededError } = require('./budget');
+const { getMetrics, resetMetrics } = require('./metrics');
+const { prepareRateLimitStore, closeRateLimitStore, createRateLimiter, getConcurrencyLimiter, clearConcurrencyLimiters } = require('./rate-limit');
 
 let currentServer = null;
+// Config and router currently serving requests; replaced as a whole on reload
+let active = null;
+let signalHandlers = null;
+
+// Streaming is opt-in per endpoint (aiPrompt.stream) or per request (Accept: text/event-stream)
+function wantsEventStream(endpoint, req) {
+  if (endpoint.aiPrompt?.stream) return true;
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+// Clients skip the cache lookup (the fresh result is still stored) with X-Cache-Bypass or Cache-Control: no-cache
+function bypassesCache(req) {
+  const bypass = req.get('x-cache-bypass');
+  if (bypass && bypass !== '0' && bypass.toLowerCase() !== 'false') return true;
+  return /no-cache|no-store/.test(req.get('cache-control') || '');
+}
+
+// Express path parameter names, e.g. ['id'] for /users/:id
+function pathParamNames(routePath) {
+  return Array.from(routePath.matchAll(/:(\w+)/g), ([, name]) => name);
+}
+
+// Read a dotted path such as "user.id" from a parsed query or body
+function readPath(source, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), source);
+}
+
+// Resolve an inputMapping source such as "headers.x-tenant-id" or "body.user.id"
+function readMappedValue(req, source) {
+  const [from, ...rest] = source.split('.');
+  const key = rest.join('.');
+  if (from === 'headers') return req.get(key);
+  return readPath({ query: req.query, body: req.body, params: req.params }[from], key);
+}
+
+// Handler input: the query string (GET, DELETE) or JSON body, with path parameters and
+// inputMapping fields merged on top
+function buildInput(endpoint, req) {
+  const base = endpoint.method === 'GET' || endpoint.method === 'DELETE' ? req.query : req.body;
+  if (Object.keys(req.params).length === 0 && !endpoint.inputMapping) {
+    return base;
+  }
 
-function generateIndexPage(config, port) {
+  const input = { ...(base !== null && typeof base === 'object' && !Array.isArray(base) ? base : {}), ...req.params };
+  for (const [field, source] of Object.entries(endpoint.inputMapping || {})) {
+    const value = readMappedValue(req, source);
+    if (value !== undefined) input[field] = value;
+  }
+  return input;
+}
+
+// Label shown on the dashboard and in /__endpoints
+function describeHandlerType(ep) {
+  if (ep.aiPrompt) return 'AI Prompt';
+  if (ep.workiqQuery) return 'Workiq Query';
+  if (ep.chainHandler) return 'Chain';
+  if (ep.mcpTool) return 'MCP Tool';
+  if (ep.httpHandler) return 'HTTP Proxy';
+  if (ep.commandHandler) return 'Command';
+  return 'JS Handler';
+}
+
+// Send a handler result: strings as plain text, everything else as JSON
+function sendOutput(res, output) {
+  if (typeof output === 'string') {
+    return res.type('text/plain').send(output);
+  }
+  return res.json(output);
+}
+
+function writeEvent(res, event, data) {
+  // The status is long sent; metrics count the request as failed (see trackRequests)
+  if (event === 'error') res.locals.streamError = true;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Sends handler output as Server-Sent Events: a `token` event per content delta, then a
+// single `done` event carrying the final (parsed and validated) output, or an `error` event.
+async function streamResponse({ res, endpoint, handler, input, req, validateOutput, logger }) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  try {
+    const output = await handler.stream(input, req, (delta) => writeEvent(res, 'token', { delta }));
+    // Headers are long gone, so token counts travel in the final event
+    const usage = setUsageHeaders(res, req);
+
+    if (validateOutput && !validateOutput(output)) {
+      getMetrics().validationFailed(endpoint.name, 'output');
+      writeEvent(res, 'error', {
+        error: 'Handler output failed validation',
+        details: validateOutput.errors
+      });
+    } else {
+      writeEvent(res, 'done', { output, ...(usage ? { usage } : {}) });
+    }
+  } catch (err) {
+    logger.error(`Error in handler ${endpoint.name}: ${err.message}`);
+    writeEvent(res, 'error', { error: err instanceof TimeoutError ? 'Handler timed out' : 'Handler error', detail: err.message });
+  }
+
+  res.end();
+}
+
+const FIELD_SOURCES = { headers: 'header', query: 'query', body: 'body', params: 'path' };
+
+// Dashboard form fields: inputSchema properties plus any path parameters it doesn't describe
+function dashboardFields(ep) {
+  const properties = ep.inputSchema?.properties || {};
+  const pathParams = pathParamNames(ep.path);
+  const required = new Set([...(ep.inputSchema?.required || []), ...pathParams]);
+  const sourceOf = (key) => {
+    if (pathParams.includes(key)) return 'path';
+    const mapping = ep.inputMapping?.[key];
+    return mapping ? FIELD_SOURCES[mapping.split('.')[0]] : null;
+  };
+
+  return [...new Set([...pathParams, ...Object.keys(properties)])].map(key => ({
+    key,
+    schema: properties[key] || { type: 'string' },
+    required: required.has(key),
+    source: sourceOf(key)
+  }));
+}
+
+// Where the dashboard sends credentials: one field per distinct header or query parameter
+function credentialFields(authenticator) {
+  const fields = new Map();
+  for (const { scheme } of authenticator.strategies.values()) {
+    const field = scheme.type === 'apiKey' ? { in: scheme.in, name: scheme.name } : { in: 'header', name: 'Authorization' };
+    fields.set(`${field.in}:${field.name}`, field);
+  }
+  return Array.from(fields.values());
+}
+
+function generateIndexPage(config, port, authenticator) {
+  const credentials = credentialFields(authenticator);
   const endpoints = config.endpoints.map(ep => ({
     name: ep.name,
     description: ep.description,
     path: ep.path,
     method: ep.method,
     inputSchema: ep.inputSchema || null,
-    handlerType: ep.aiPrompt ? 'AI Prompt' : ep.workiqQuery ? 'Workiq Query' : ep.chainHandler ? 'Chain' : 'JS Handler',
-    chainSteps: ep.chainHandler?.steps
+    pathParams: pathParamNames(ep.path),
+    inputMapping: ep.inputMapping || null,
+    fields: dashboardFields(ep),
+    handlerType: describeHandlerType(ep),
+    auth: endpointStrategies(ep, config.auth),
+    chainSteps: ep.chainHandler?.steps,
+    streaming: Boolean(ep.aiPrompt)
   }));
 
   return `<!DOCTYPE html>
@@ -42,13 +195,17 @@ function generateIndexPage(config, port) {
     }
     .method-get { background: #065f46; color: #6ee7b7; }
     .method-post { background: #1e40af; color: #93c5fd; }
+    .method-put, .method-patch { background: #92400e; color: #fcd34d; }
+    .method-delete { background: #991b1b; color: #fca5a5; }
     .endpoint-path { font-family: monospace; font-size: 1.1rem; color: #f8fafc; }
     .endpoint-name { color: #94a3b8; font-size: 0.875rem; }
     .endpoint-desc { color: #cbd5e1; margin-bottom: 1rem; }
-    .handler-type {
+    .handler-type, .auth-type {
       display: inline-block; padding: 0.2rem 0.5rem; border-radius: 4px;
       font-size: 0.75rem; background: #374151; color: #9ca3af; margin-bottom: 1rem;
     }
+    .auth-type { background: #3f3f46; color: #fde68a; }
+    .credentials { margin-bottom: 1.5rem; }
     .params { margin-bottom: 1rem; }
     .param-row { display: flex; gap: 0.5rem; margin-bottom: 0.5rem; align-items: center; }
     .param-label { 
@@ -96,6 +253,18 @@ function generateIndexPage(config, port) {
     <h1>🚀 AI Lambda Service</h1>
     <p class="subtitle">Running on port ${port} • ${endpoints.length} endpoint${endpoints.length !== 1 ? 's' : ''} available</p>
     
+    ${credentials.length > 0 ? `
+    <div class="endpoint credentials">
+      ${credentials.map(field => `
+        <div class="param-row">
+          <label class="param-label">${field.name}</label>
+          <input type="password" class="param-input credential-input" data-in="${field.in}" data-name="${field.name}"
+            placeholder="${field.name === 'Authorization' ? 'Bearer <token>' : 'API key'}">
+          <span class="param-type">(${field.in})</span>
+        </div>
+      `).join('')}
+    </div>` : ''}
+
     <div class="endpoints">
       ${endpoints.map((ep, idx) => `
         <div class="endpoint" data-index="${idx}">
@@ -106,14 +275,15 @@ function generateIndexPage(config, port) {
           </div>
           <p class="endpoint-desc">${ep.description}</p>
           <span class="handler-type">${ep.handlerType}</span>
+          ${ep.auth.length > 0 ? `<span class="auth-type">🔒 ${ep.auth.join(', ')}</span>` : ''}
           
           <div class="params">
-            ${ep.inputSchema?.properties ? Object.entries(ep.inputSchema.properties).map(([key, val]) => `
+            ${ep.fields.length > 0 ? ep.fields.map(({ key, schema, required, source }) => `
               <div class="param-row">
-                <label class="param-label">${key}${ep.inputSchema.required?.includes(key) ? ' *' : ''}</label>
+                <label class="param-label">${key}${required ? ' *' : ''}</label>
                 <input type="text" class="param-input" data-param="${key}" 
-                  placeholder="Enter ${val.type || 'value'}">
-                <span class="param-type">${val.type || 'any'}</span>
+                  placeholder="Enter ${schema.type || 'value'}">
+                <span class="param-type">${schema.type || 'any'}${source ? ` (${source})` : ''}</span>
               </div>
             `).join('') : '<p style="color: #64748b; font-size: 0.875rem;">No input parameters</p>'}
           </div>
@@ -137,6 +307,14 @@ function generateIndexPage(config, port) {
   <script>
     const endpoints = ${JSON.stringify(endpoints)};
 
+    // Query credentials the page was opened with (e.g. ?api_key=...) carry over to requests
+    const pageQuery = new URLSearchParams(location.search);
+    document.querySelectorAll('.credential-input').forEach(input => {
+      if (input.dataset.in === 'query' && pageQuery.has(input.dataset.name)) {
+        input.value = pageQuery.get(input.dataset.name);
+      }
+    });
+
     async function callEndpoint(idx) {
       const ep = endpoints[idx];
       const container = document.querySelector(\`.endpoint[data-index="\${idx}"]\`);
@@ -163,6 +341,33 @@ function generateIndexPage(config, port) {
         }
       });
 
+      // Path parameters and header/query mappings leave the payload for their place in the request
+      let url = ep.path;
+      const headers = ep.streaming ? { Accept: 'text/event-stream' } : {};
+      const query = {};
+      if (ep.auth.length > 0) {
+        document.querySelectorAll('.credential-input').forEach(input => {
+          const value = input.value.trim();
+          if (!value) return;
+          if (input.dataset.in === 'header') headers[input.dataset.name] = value;
+          else query[input.dataset.name] = value;
+        });
+      }
+      const fillParam = (name, value) => url.split('/').map(seg => (seg === ':' + name ? encodeURIComponent(value) : seg)).join('/');
+      for (const name of ep.pathParams) {
+        url = fillParam(name, params[name] ?? '');
+        delete params[name];
+      }
+      for (const [field, source] of Object.entries(ep.inputMapping || {})) {
+        if (!(field in params)) continue;
+        const [from, ...rest] = source.split('.');
+        if (from === 'headers') headers[rest.join('.')] = String(params[field]);
+        else if (from === 'query') query[rest.join('.')] = params[field];
+        else if (from === 'params') url = fillParam(rest.join('.'), params[field]);
+        else continue;
+        delete params[field];
+      }
+
       btn.disabled = true;
       btn.innerHTML = '<span class="loading"></span>Loading...';
       responseArea.classList.add('visible');
@@ -173,22 +378,27 @@ function generateIndexPage(config, port) {
       const startTime = performance.now();
 
       try {
+        // AI prompt endpoints are requested as Server-Sent Events so tokens render live
         let response;
-        if (ep.method === 'GET') {
-          const qs = new URLSearchParams(params).toString();
-          response = await fetch(ep.path + (qs ? '?' + qs : ''));
+        if (ep.method === 'GET' || ep.method === 'DELETE') {
+          const qs = new URLSearchParams({ ...params, ...query }).toString();
+          response = await fetch(url + (qs ? '?' + qs : ''), { method: ep.method, headers });
         } else {
-          response = await fetch(ep.path, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+          const qs = new URLSearchParams(query).toString();
+          response = await fetch(url + (qs ? '?' + qs : ''), {
+            method: ep.method,
+            headers: { ...headers, 'Content-Type': 'application/json' },
             body: JSON.stringify(params)
           });
         }
 
-        const elapsed = Math.round(performance.now() - startTime);
         const contentType = response.headers.get('content-type') || '';
+        let ok = response.ok;
         let data;
-        if (contentType.includes('application/json')) {
+        if (contentType.includes('text/event-stream')) {
+          statusEl.textContent = 'Streaming...';
+          ok = await readEventStream(response, bodyEl);
+        } else if (contentType.includes('application/json')) {
           data = await response.json();
           bodyEl.textContent = JSON.stringify(data, null, 2);
         } else {
@@ -196,8 +406,9 @@ function generateIndexPage(config, port) {
           bodyEl.textContent = data;
         }
 
-        statusEl.textContent = response.ok ? \`✓ \${response.status} OK\` : \`✗ \${response.status} Error\`;
-        statusEl.className = 'response-status ' + (response.ok ? 'success' : 'error');
+        const elapsed = Math.round(performance.now() - startTime);
+        statusEl.textContent = ok ? \`✓ \${response.status} OK\` : \`✗ \${response.status} Error\`;
+        statusEl.className = 'response-status ' + (ok ? 'success' : 'error');
         timeEl.textContent = \`\${elapsed}ms\`;
       } catch (err) {
         const elapsed = Math.round(performance.now() - startTime);
@@ -210,134 +421,322 @@ function generateIndexPage(config, port) {
       btn.disabled = false;
       btn.textContent = 'Send Request';
     }
+
+    // Reads an SSE response, appending token deltas to the body element as they arrive.
+    // Returns false if the stream ended with an error event.
+    async function readEventStream(response, bodyEl) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let ok = true;
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const events = buffer.split('\\n\\n');
+        buffer = events.pop();
+        for (const raw of events) {
+          let event = 'message';
+          let data = '';
+          raw.split('\\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            if (line.startsWith('data:')) data += line.slice(5).trim();
+          });
+          const payload = data ? JSON.parse(data) : {};
+
+          if (event === 'token') {
+            bodyEl.textContent += payload.delta;
+          } else if (event === 'done') {
+            bodyEl.textContent = typeof payload.output === 'string'
+              ? payload.output
+              : JSON.stringify(payload.output, null, 2);
+          } else if (event === 'error') {
+            ok = false;
+            bodyEl.textContent = JSON.stringify(payload, null, 2);
+          }
+        }
+      }
+
+      return ok;
+    }
   </script>
 </body>
 </html>`;
 }
 
-async function startServer({ config, port, logger = console }) {
-  if (currentServer) {
-    logger.warn('A server is already running. Stopping the existing server before starting a new one.');
-    await stopServer();
+// The error of a given class behind a failure, which chain steps wrap in ChainExecutionError
+function findCause(err, ErrorClass) {
+  for (let current = err; current; current = current.cause) {
+    if (current instanceof ErrorClass) return current;
   }
+  return null;
+}
 
-  const app = express();
-  const ajv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
-
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
-
-  app.get('/__health', (_req, res) => {
-    res.json({ status: 'ok' });
-  });
-
-  // Index page with interactive endpoint explorer
-  app.get('/', (_req, res) => {
-    res.send(generateIndexPage(config, port));
-  });
+// Map a handler failure to an error response, including the attempt count when retries ran
+function sendHandlerError(res, err) {
+  const attempts = err.attempts > 1 ? { attempts: err.attempts } : {};
+
+  const budget = findCause(err, BudgetExceededError);
+  if (budget) {
+    res.set('Retry-After', String(budget.retryAfterSeconds));
+    return res.status(budget.httpStatus).json({
+      error: 'Budget exceeded',
+      detail: budget.message,
+      retryAfterSeconds: budget.retryAfterSeconds
+    });
+  }
 
-  // API endpoint to get config for the UI
-  app.get('/__endpoints', (_req, res) => {
-    res.json(config.endpoints.map(ep => ({
-      name: ep.name,
-      description: ep.description,
-      path: ep.path,
-      method: ep.method,
-      inputSchema: ep.inputSchema || null,
-      outputSchema: ep.outputSchema || null,
-      handlerType: ep.aiPrompt ? 'AI Prompt' : ep.workiqQuery ? 'Workiq Query' : ep.chainHandler ? 'Chain' : 'JS Handler',
-      chainSteps: ep.chainHandler?.steps
-    })));
-  });
+  if (err instanceof OutputValidationError) {
+    return res.status(500).json({ error: 'Handler output failed validation', details: err.details, ...attempts });
+  }
+  if (findCause(err, TimeoutError)) {
+    return res.status(504).json({ error: 'Handler timed out', detail: err.message, ...attempts });
+  }
+  return res.status(500).json({ error: 'Handler error', detail: err.message, ...attempts });
+}
 
-  // Clear the handler registry to ensure clean state
-  clearHandlerRegistry();
+// Create handlers and validators for every endpoint without touching the live registry,
+// so a failed build (e.g. a broken JS handler during hot reload) leaves the old one in place.
+async function buildHandlers(config, logger) {
+  const ajv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
 
   // Two-pass handler creation:
-  // Pass 1: Create all non-chain handlers first and register them
-  const chainEndpoints = [];
+  // Pass 1: Create all non-chain handlers first
+  // Pass 2: Create chain handlers (they resolve their steps from the registry at call time)
+  const chainEndpoints = config.endpoints.filter(ep => ep.chainHandler);
+  const otherEndpoints = config.endpoints.filter(ep => !ep.chainHandler);
   const handlers = new Map();
 
-  for (const endpoint of config.endpoints) {
-    if (endpoint.chainHandler) {
-      chainEndpoints.push(endpoint);
-      continue;
-    }
-
+  for (const endpoint of [...otherEndpoints, ...chainEndpoints]) {
     const validateInput = endpoint.inputSchema ? ajv.compile(endpoint.inputSchema) : null;
     const validateOutput = endpoint.outputSchema ? ajv.compile(endpoint.outputSchema) : null;
-    const handler = await createHandler(endpoint, config.baseDir, logger, config);
-
-    // Register handler for potential use by chain handlers
-    registerHandler(endpoint.name, handler, validateInput, validateOutput);
+    // Timeout and retry policies wrap the handler itself so they also apply when chains call it
+    const handler = withEndpointPolicies(
+      await createHandler(endpoint, config.baseDir, logger, config),
+      endpoint,
+      validateOutput,
+      logger
+    );
 
-    // Store for route binding later
     handlers.set(endpoint.name, {
       endpoint,
       handler,
       validateInput,
-      validateOutput
+      validateOutput,
+      cache: createEndpointCache(endpoint, config, logger)
     });
   }
 
-  // Pass 2: Create chain handlers (they can now reference handlers from Pass 1)
-  for (const endpoint of chainEndpoints) {
-    const validateInput = endpoint.inputSchema ? ajv.compile(endpoint.inputSchema) : null;
-    const validateOutput = endpoint.outputSchema ? ajv.compile(endpoint.outputSchema) : null;
-    const handler = await createHandler(endpoint, config.baseDir, logger, config);
-
-    // Register chain handler
-    registerHandler(endpoint.name, handler, validateInput, validateOutput);
+  return handlers;
+}
 
-    // Store for route binding
-    handlers.set(endpoint.name, {
-      endpoint,
-      handler,
-      validateInput,
-      validateOutput
-    });
-  }
+// Bind every endpoint route onto a fresh router that can be swapped in as a unit
+function buildRouter(config, handlers, logger, authenticator, rateLimitStore) {
+  const router = express.Router();
 
-  // Pass 3: Bind all routes to Express
-  for (const { endpoint, handler, validateInput, validateOutput } of handlers.values()) {
+  for (const { endpoint, handler, validateInput, validateOutput, cache } of handlers.values()) {
     const method = endpoint.method.toLowerCase();
 
-    if (typeof app[method] !== 'function') {
+    if (typeof router[method] !== 'function') {
       throw new Error(`Unsupported method ${endpoint.method} for ${endpoint.path}`);
     }
 
-    logger.info(`Binding ${endpoint.method} ${endpoint.path} -> ${endpoint.name}`);
+    const strategies = endpointStrategies(endpoint, config.auth);
+    const guard = authenticator.require(strategies);
+    logger.info(`Binding ${endpoint.method} ${endpoint.path} -> ${endpoint.name}${guard ? ` (auth: ${strategies.join(', ')})` : ''}`);
+
+    // Time every response, refusals included; authenticate first so limits can be keyed by
+    // principal, and limit before any validation work
+    const middleware = [
+      getMetrics().trackRequests({ endpoint: endpoint.name, handler_type: describeHandlerType(endpoint) }),
+      guard,
+      createRateLimiter(endpoint, config, rateLimitStore, logger)
+    ].filter(Boolean);
+    const concurrency = getConcurrencyLimiter(endpoint);
 
-    app[method](endpoint.path, async (req, res) => {
-      const input = endpoint.method === 'GET' ? req.query : req.body;
+    const respond = async (req, res) => {
+      const input = buildInput(endpoint, req);
+      // LLM calls made for this request, including chain steps and tool calls (see usage.js)
+      req.tokenUsage = { endpoint: endpoint.name, calls: [] };
 
       if (validateInput && !validateInput(input)) {
+        getMetrics().validationFailed(endpoint.name, 'input');
         return res.status(400).json({ error: 'Invalid request', details: validateInput.errors });
       }
 
+      if (handler.stream && wantsEventStream(endpoint, req)) {
+        // An exhausted budget is refused before the stream starts, while the status can still say so
+        try {
+          getBudgetTracker().check(endpoint.name);
+        } catch (err) {
+          return sendHandlerError(res, err);
+        }
+        return streamResponse({ res, endpoint, handler, input, req, validateOutput, logger });
+      }
+
+      // Cache on the validated (and type-coerced) input so equivalent requests share an entry
+      // Authenticated callers get their own entries so one principal never sees another's response
+      const key = cache && cacheKey(endpoint, input, config, req.auth && `${req.auth.strategy}:${req.auth.subject}`);
+      if (cache) {
+        const hit = !bypassesCache(req) && cache.get(key);
+        if (hit) {
+          const maxAge = Math.max(0, Math.floor((hit.expiresAt - Date.now()) / 1000));
+          res.set({ 'X-Cache': 'HIT', 'Cache-Control': `max-age=${maxAge}` });
+          return sendOutput(res, hit.value);
+        }
+        res.set('X-Cache', 'MISS');
+      }
+
       try {
         const output = await handler(input, req);
+        setUsageHeaders(res, req);
 
         if (validateOutput && !validateOutput(output)) {
+          getMetrics().validationFailed(endpoint.name, 'output');
           return res.status(500).json({
             error: 'Handler output failed validation',
             details: validateOutput.errors
           });
         }
 
-        // If output is a string (no outputSchema), send as plain text
-        if (typeof output === 'string') {
-          return res.type('text/plain').send(output);
+        if (cache) {
+          cache.set(key, output);
+          res.set('Cache-Control', `max-age=${endpoint.cache.ttlSeconds}`);
         }
 
-        return res.json(output);
+        // If output is a string (no outputSchema), send as plain text
+        return sendOutput(res, output);
       } catch (err) {
         logger.error(`Error in handler ${endpoint.name}: ${err.message}`);
-        return res.status(500).json({ error: 'Handler error', detail: err.message });
+        setUsageHeaders(res, req);
+        return sendHandlerError(res, err);
+      }
+    };
+
+    router[method](endpoint.path, ...middleware, async (req, res) => {
+      if (!concurrency) return respond(req, res);
+
+      const release = await concurrency.acquire(res);
+      if (!release) {
+        return res.status(503).json({ error: 'Too many concurrent requests' });
+      }
+      try {
+        return await respond(req, res);
+      } finally {
+        release();
       }
     });
   }
 
+  return router;
+}
+
+// Build handlers and routes for a config, then swap them in together
+async function activateConfig(config, logger) {
+  const authenticator = await createAuthenticator(config);
+  const rateLimit = await prepareRateLimitStore(config);
+  let handlers;
+  let router;
+  try {
+    handlers = await buildHandlers(config, logger);
+    router = buildRouter(config, handlers, logger, authenticator, rateLimit.store);
+  } catch (err) {
+    await rateLimit.discard();
+    throw err;
+  }
+
+  await rateLimit.commit();
+  replaceHandlerRegistry(handlers);
+  getUsageTracker().configure(config, logger);
+  getBudgetTracker().configure(config, logger);
+  active = { config, router, handlers, authenticator, guardAdmin: authenticator.require(config.auth?.default || []) };
+}
+
+async function startServer({ config, port, logger = console }) {
+  if (currentServer) {
+    logger.warn('A server is already running. Stopping the existing server before starting a new one.');
+    await stopServer();
+  }
+
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Reports MCP server connections (mcpTool endpoints, WorkIQ) when any are configured;
+  // `degraded` while one is restarting or failed to start
+  app.get('/__health', (_req, res) => {
+    const mcpServers = mcpClientStatus();
+    const states = Object.values(mcpServers).map(s => s.state);
+    const status = states.some(state => state === 'restarting' || state === 'failed') ? 'degraded' : 'ok';
+    res.json(states.length > 0 ? { status, mcpServers } : { status });
+  });
+
+  // The dashboard and the other built-in routes use the auth.default strategies
+  const guardAdmin = (req, res, next) => (active.guardAdmin ? active.guardAdmin(req, res, next) : next());
+
+  // Index page with interactive endpoint explorer
+  app.get('/', guardAdmin, (_req, res) => {
+    res.send(generateIndexPage(active.config, port, active.authenticator));
+  });
+
+  // API endpoint to get config for the UI
+  app.get('/__endpoints', guardAdmin, (_req, res) => {
+    res.json(active.config.endpoints.map(ep => ({
+      name: ep.name,
+      description: ep.description,
+      path: ep.path,
+      method: ep.method,
+      inputSchema: ep.inputSchema || null,
+      outputSchema: ep.outputSchema || null,
+      pathParams: pathParamNames(ep.path),
+      inputMapping: ep.inputMapping || null,
+      handlerType: describeHandlerType(ep),
+      auth: endpointStrategies(ep, active.config.auth),
+      chainSteps: ep.chainHandler?.steps
+    })));
+  });
+
+  // Token usage totals per endpoint and model since the server started
+  app.get('/__usage', guardAdmin, (_req, res) => {
+    res.json(getUsageTracker().summary());
+  });
+
+  // Request, chain step, validation and MCP client metrics in the Prometheus text format
+  app.get('/__metrics', guardAdmin, (_req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(getMetrics().render(mcpClientStatus()));
+  });
+
+  // OpenAPI 3.1 description of the configured endpoints
+  app.get('/__openapi.json', guardAdmin, (req, res) => {
+    res.json(generateOpenApiDocument(active.config, { serverUrl: `${req.protocol}://${req.get('host')}` }));
+  });
+
+  // Purge cached responses for one endpoint, or for every cached endpoint
+  app.delete('/__cache/:endpoint?', guardAdmin, (req, res) => {
+    const name = req.params.endpoint;
+    const entries = Array.from(active.handlers.values()).filter(entry => entry.cache);
+
+    if (name) {
+      const entry = entries.find(e => e.endpoint.name === name);
+      if (!entry) {
+        return res.status(404).json({ error: `No cache configured for endpoint ${name}` });
+      }
+      return res.json({ purged: { [name]: entry.cache.clear() } });
+    }
+
+    return res.json({
+      purged: Object.fromEntries(entries.map(e => [e.endpoint.name, e.cache.clear()]))
+    });
+  });
+
+  await activateConfig(config, logger);
+
+  // Endpoint routes are dispatched through the active router so reloads can swap them in place
+  app.use((req, res, next) => active.router(req, res, next));
+
   const server = app.listen(port, () => {
     logger.info(`ai-lambda-service listening on http://localhost:${port}`);
   });
@@ -350,8 +749,12 @@ async function startServer({ config, port, logger = console }) {
     process.exit(0);
   };
 
-  process.once('SIGINT', () => shutdown('SIGINT'));
-  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  signalHandlers = {
+    SIGINT: () => shutdown('SIGINT'),
+    SIGTERM: () => shutdown('SIGTERM')
+  };
+  process.once('SIGINT', signalHandlers.SIGINT);
+  process.once('SIGTERM', signalHandlers.SIGTERM);
 
   return server;
 }
@@ -363,7 +766,33 @@ async function stopServer() {
     currentServer.close(() => resolve());
   });
   currentServer = null;
+  active = null;
+  await closeMcpClients();
+  await closeRateLimitStore();
+  clearConcurrencyLimiters();
+  await getUsageTracker().flush();
+  resetUsageTracker();
+  await getBudgetTracker().flush();
+  resetBudgetTracker();
+  resetMetrics();
+
+  // Drop this server's signal handlers so repeated start/stop cycles don't accumulate them
+  for (const [signal, handler] of Object.entries(signalHandlers || {})) {
+    process.removeListener(signal, handler);
+  }
+  signalHandlers = null;
   return true;
 }
 
-module.exports = { startServer, stopServer };
+// Swap a running server over to a new config. If building any handler fails the error is
+// thrown and the previous config, registry and routes stay live.
+async function reloadServer(config, logger = console) {
+  if (!currentServer) {
+    throw new Error('No running server to reload.');
+  }
+
+  await activateConfig(config, logger);
+  logger.info(`Reloaded config with ${config.endpoints.length} endpoints.`);
+}
+
+module.exports = { startServer, stopServer, reloadServer, buildHandlers };
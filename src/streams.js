@@ -0,0 +1,35 @@
+/**
+ * Readers for streamed HTTP response bodies (fetch `response.body`).
+ */
+
+// Yields the lines of a streamed body
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// Yields the parsed `data:` payloads of a Server-Sent Events body
+async function* readEventData(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice(5).trim();
+    if (data && data !== '[DONE]') yield JSON.parse(data);
+  }
+}
+
+// Yields the parsed objects of a newline-delimited JSON body
+async function* readJsonLines(body) {
+  for await (const line of readLines(body)) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+module.exports = { readLines, readEventData, readJsonLines };
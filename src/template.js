@@ -3,28 +3,22 @@
  * Supports nested path access and various context references.
  */
 
+const { isDeepStrictEqual } = require('node:util');
+
+// Matches each {{...}} expression inside a string
+const EXPRESSION_PATTERN = /\{\{(.+?)\}\}/g;
+// Matches a string that is exactly one {{...}} expression
+const SINGLE_EXPRESSION_PATTERN = /^\{\{((?:(?!\}\}).)+)\}\}$/;
+
 /**
- * Evaluates a single template expression against a context object.
- * Supports:
- * - {{input.fieldName}} - Access input data
- * - {{stepName.fieldName}} - Access named step outputs
- * - {{steps[0].fieldName}} - Access step outputs by index
- * - {{previousStep.fieldName}} - Access immediate previous step
- * - {{stepName}} - Access entire step output
- * - {{input}} - Access entire input
+ * Resolves a dotted path (with optional array indices) against a context object.
  *
- * @param {string} templateString - The template expression (with or without {{...}})
+ * @param {string} path - Path such as "input.user.name" or "steps[0].result"
  * @param {object} context - Context object containing input, steps, stepsByName, previousStep
- * @returns {any} - The evaluated value
+ * @returns {any} - The resolved value
  * @throws {Error} - If the path cannot be resolved
  */
-function evaluateTemplate(templateString, context) {
-  // Remove {{ and }} if present
-  let path = templateString.trim();
-  if (path.startsWith('{{') && path.endsWith('}}')) {
-    path = path.slice(2, -2).trim();
-  }
-
+function resolvePath(path, context) {
   // Split path into segments (handle both dot notation and array indices)
   const segments = path.split('.').flatMap(segment => {
     // Handle array indices like steps[0]
@@ -35,9 +29,9 @@ function evaluateTemplate(templateString, context) {
     return segment;
   });
 
-  // Special handling: if first segment is not a reserved key (input, steps, stepsByName, previousStep)
+  // Special handling: if first segment is not a reserved key (input, auth, steps, stepsByName, previousStep)
   // but exists in stepsByName, redirect to stepsByName[segment]
-  const reservedKeys = ['input', 'steps', 'stepsByName', 'previousStep'];
+  const reservedKeys = ['input', 'auth', 'steps', 'stepsByName', 'previousStep'];
   if (segments.length > 0 && !reservedKeys.includes(segments[0])) {
     if (context.stepsByName && segments[0] in context.stepsByName) {
       // Rewrite path to use stepsByName
@@ -78,8 +72,182 @@ function evaluateTemplate(templateString, context) {
   return current;
 }
 
+// Split on a separator character, ignoring separators inside single or double quotes
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === separator) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated string in template expression "${text}"`);
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+// Parse a quoted string, number, boolean or null. Returns undefined for anything else.
+function parseLiteral(token) {
+  if (/^'.*'$|^".*"$/s.test(token)) return { value: token.slice(1, -1) };
+  if (/^-?\d+(\.\d+)?$/.test(token)) return { value: Number(token) };
+  if (token === 'true' || token === 'false') return { value: token === 'true' };
+  if (token === 'null') return { value: null };
+  return undefined;
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function expectType(filter, value, ...types) {
+  if (!types.includes(describeType(value))) {
+    throw new Error(`Filter "${filter}" expects ${types.join(' or ')}, got ${describeType(value)}`);
+  }
+}
+
+// Filters applied with {{path | name: arg1, arg2}}. Each receives the current value and parsed arguments.
+const FILTERS = {
+  upper: (value) => {
+    expectType('upper', value, 'string');
+    return value.toUpperCase();
+  },
+  lower: (value) => {
+    expectType('lower', value, 'string');
+    return value.toLowerCase();
+  },
+  json: (value) => JSON.stringify(value),
+  join: (value, separator = ',') => {
+    expectType('join', value, 'array');
+    return value.map(item => (typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item))).join(separator);
+  },
+  length: (value) => {
+    expectType('length', value, 'string', 'array', 'object');
+    return Array.isArray(value) || typeof value === 'string' ? value.length : Object.keys(value).length;
+  },
+  slice: (value, start = 0, end) => {
+    expectType('slice', value, 'string', 'array');
+    return value.slice(start, end);
+  }
+};
+
+// Values that `default` replaces
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Evaluates a single template expression against a context object.
+ * Supports:
+ * - {{input.fieldName}} - Access input data
+ * - {{stepName.fieldName}} - Access named step outputs
+ * - {{steps[0].fieldName}} - Access step outputs by index
+ * - {{previousStep.fieldName}} - Access immediate previous step
+ * - {{stepName}} - Access entire step output
+ * - {{input}} - Access entire input
+ * - {{input.name | upper}} - Pipe the value through filters (upper, lower, json, join, length, slice)
+ * - {{input.lang | default: 'en'}} - Fall back when the path is missing, null or empty
+ *
+ * @param {string} templateString - The template expression (with or without {{...}})
+ * @param {object} context - Context object containing input, steps, stepsByName, previousStep
+ * @param {object} [options]
+ * @param {boolean} [options.lenient] - Evaluate a missing path to undefined instead of throwing;
+ *   filters other than `default` leave undefined values alone
+ * @returns {any} - The evaluated value
+ * @throws {Error} - If the path cannot be resolved or a filter fails
+ */
+function evaluateTemplate(templateString, context, { lenient = false } = {}) {
+  // Remove {{ and }} if present
+  let expression = templateString.trim();
+  if (expression.startsWith('{{') && expression.endsWith('}}')) {
+    expression = expression.slice(2, -2).trim();
+  }
+
+  const [primary, ...filters] = splitOutsideQuotes(expression, '|');
+
+  // Resolution errors are held back so a `default` filter can replace a missing path
+  let value;
+  let resolveError = null;
+  const literal = parseLiteral(primary);
+  if (literal) {
+    value = literal.value;
+  } else {
+    try {
+      value = resolvePath(primary, context);
+    } catch (err) {
+      if (!lenient) resolveError = err;
+    }
+  }
+
+  for (const filter of filters) {
+    const colon = filter.indexOf(':');
+    const name = (colon === -1 ? filter : filter.slice(0, colon)).trim();
+    const args = colon === -1 ? [] : splitOutsideQuotes(filter.slice(colon + 1), ',').map((token) => {
+      const parsed = parseLiteral(token);
+      if (!parsed) {
+        throw new Error(
+          `Invalid argument ${token} for filter "${name}" in "{{${expression}}}": ` +
+          'arguments must be quoted strings, numbers, true, false or null'
+        );
+      }
+      return parsed.value;
+    });
+
+    if (name === 'default') {
+      if (resolveError || isBlank(value)) {
+        value = args[0];
+        resolveError = null;
+      }
+      continue;
+    }
+
+    if (resolveError) throw resolveError;
+    if (lenient && value === undefined) continue;
+
+    if (!(name in FILTERS)) {
+      throw new Error(
+        `Unknown filter "${name}" in "{{${expression}}}". ` +
+        `Available filters: default, ${Object.keys(FILTERS).join(', ')}`
+      );
+    }
+
+    try {
+      value = FILTERS[name](value, ...args);
+    } catch (err) {
+      throw new Error(`${err.message} in "{{${expression}}}"`);
+    }
+  }
+
+  if (resolveError) throw resolveError;
+  return value;
+}
+
+// String form of a value interpolated into surrounding text
+function stringifyValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
 /**
  * Recursively processes an object/array and replaces all template strings with their evaluated values.
+ * A string that is exactly one expression keeps the evaluated value's type; expressions
+ * embedded in longer strings are interpolated as text.
  *
  * @param {any} obj - The object, array, or primitive to process
  * @param {object} context - Context object for template evaluation
@@ -95,22 +263,13 @@ function compileTemplate(obj, context) {
   // Handle strings (check if they contain templates)
   if (typeof obj === 'string') {
     // Check if the entire string is a single template expression
-    const fullTemplateMatch = obj.match(/^\{\{(.+)\}\}$/);
-    if (fullTemplateMatch) {
+    if (SINGLE_EXPRESSION_PATTERN.test(obj)) {
       // Return the evaluated value directly (preserves type)
       return evaluateTemplate(obj, context);
     }
 
-    // Check if string contains embedded templates (not supported in MVP)
-    if (obj.includes('{{')) {
-      throw new Error(
-        `Embedded templates are not supported. ` +
-        `Use a single template expression like "{{path}}", not "${obj}"`
-      );
-    }
-
-    // Regular string, return as-is
-    return obj;
+    // Interpolate embedded expressions into the surrounding text
+    return obj.replace(EXPRESSION_PATTERN, (_match, expression) => stringifyValue(evaluateTemplate(expression, context)));
   }
 
   // Handle arrays
@@ -131,7 +290,150 @@ function compileTemplate(obj, context) {
   return obj;
 }
 
+// Split text into literal strings and {{#each path}}...{{/each}} block nodes
+function parseBlocks(text) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of text.matchAll(/\{\{\s*(?:#each\s+(.+?)|(\/each))\s*\}\}/g)) {
+    stack[stack.length - 1].children.push(text.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    if (match[2]) {
+      if (stack.length === 1) {
+        throw new Error('Unexpected {{/each}} without a matching {{#each}}');
+      }
+      stack.pop();
+    } else {
+      const node = { each: match[1].trim(), children: [] };
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#each ${stack[stack.length - 1].each}}} block`);
+  }
+  root.children.push(text.slice(last));
+  return root.children;
+}
+
+function renderNodes(nodes, context, options) {
+  return nodes.map((node) => {
+    if (typeof node === 'string') {
+      const encode = options.encode || (text => text);
+      return node.replace(EXPRESSION_PATTERN, (_match, expression) => encode(stringifyValue(evaluateTemplate(expression, context, options)), expression.trim()));
+    }
+
+    const items = evaluateTemplate(node.each, context, options) ?? (options.lenient ? [] : undefined);
+    if (!Array.isArray(items)) {
+      throw new Error(`{{#each ${node.each}}} expects an array, got ${describeType(items)}`);
+    }
+
+    // Inside the block, {{this}} is the current item and {{@index}} its position;
+    // fields of object items are also available directly ({{name}} for {{this.name}})
+    return items.map((item, index) => renderNodes(node.children, {
+      ...context,
+      ...(describeType(item) === 'object' ? item : {}),
+      this: item,
+      '@index': index
+    }, options)).join('');
+  }).join('');
+}
+
+/**
+ * Renders a text template such as a prompt. Expressions are interpolated as text (with
+ * filters), and {{#each path}}...{{/each}} repeats its body for every item of an array.
+ *
+ * @param {string} text - The template text
+ * @param {object} context - Context object for template evaluation
+ * @param {object} [options]
+ * @param {boolean} [options.lenient] - Render missing paths as empty text, e.g. optional input
+ *   fields in prompts, instead of throwing
+ * @param {(text: string, expression: string) => string} [options.encode] - Applied to each
+ *   interpolated value, e.g. encodeURIComponent for URLs; the literal text around expressions is
+ *   left as written
+ * @returns {string} - The rendered text
+ * @throws {Error} - If a path cannot be resolved or a block is malformed
+ */
+function renderTemplate(text, context, options = {}) {
+  return renderNodes(parseBlocks(text), context, options);
+}
+
+// Comparison operators available in conditions; each receives the resolved value and operand
+const COMPARISONS = {
+  equals: (value, operand) => isDeepStrictEqual(value, operand),
+  notEquals: (value, operand) => !isDeepStrictEqual(value, operand),
+  gt: (value, operand) => value > operand,
+  gte: (value, operand) => value >= operand,
+  lt: (value, operand) => value < operand,
+  lte: (value, operand) => value <= operand,
+  in: (value, operand) => Array.isArray(operand) && operand.some(item => isDeepStrictEqual(item, value)),
+  notIn: (value, operand) => !Array.isArray(operand) || !operand.some(item => isDeepStrictEqual(item, value)),
+  matches: (value, operand) => typeof value === 'string' && new RegExp(operand).test(value)
+};
+
+/**
+ * Evaluates a condition object against a context object.
+ * Supports:
+ * - { value: "{{path}}", equals: x } - Compare a resolved value (also notEquals, gt, gte, lt, lte, in, notIn, matches)
+ * - { value: "{{path}}", exists: true } - Check that a path resolves to a non-null value
+ * - { value: "{{path}}" } - Check that the resolved value is truthy
+ * - { all: [...] }, { any: [...] }, { not: {...} } - Combine conditions
+ *
+ * Operands may themselves be templates. When several keys are present, all must hold.
+ *
+ * @param {object} condition - The condition to evaluate
+ * @param {object} context - Context object for template evaluation
+ * @returns {boolean} - Whether the condition holds
+ * @throws {Error} - If a referenced path cannot be resolved (except under `exists`)
+ */
+function evaluateCondition(condition, context) {
+  if (condition.all && !condition.all.every(c => evaluateCondition(c, context))) {
+    return false;
+  }
+  if (condition.any && !condition.any.some(c => evaluateCondition(c, context))) {
+    return false;
+  }
+  if (condition.not && evaluateCondition(condition.not, context)) {
+    return false;
+  }
+
+  const operators = Object.keys(condition).filter(key => key in COMPARISONS || key === 'exists');
+  if (operators.length === 0) {
+    // A bare value is a truthiness check
+    return 'value' in condition ? Boolean(compileTemplate(condition.value, context)) : true;
+  }
+
+  if (!('value' in condition)) {
+    throw new Error(`Condition with "${operators.join('", "')}" requires a "value" to compare`);
+  }
+
+  let value;
+  if ('exists' in condition) {
+    // Missing paths are an expected outcome when checking existence
+    try {
+      value = compileTemplate(condition.value, context);
+    } catch (err) {
+      value = undefined;
+    }
+    if ((value !== undefined && value !== null) !== condition.exists) {
+      return false;
+    }
+  } else {
+    value = compileTemplate(condition.value, context);
+  }
+
+  return operators
+    .filter(op => op !== 'exists')
+    .every(op => COMPARISONS[op](value, compileTemplate(condition[op], context)));
+}
+
 module.exports = {
+  resolvePath,
   evaluateTemplate,
-  compileTemplate
+  compileTemplate,
+  renderTemplate,
+  evaluateCondition
 };
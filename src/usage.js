@@ -0,0 +1,168 @@
+/**
+ * Token usage accounting for LLM calls: per-request totals for the `X-Tokens-*` headers,
+ * cumulative per-endpoint and per-model totals for `/__usage`, cost from the optional
+ * `usage.prices` table, and an optional JSONL ledger under the config directory.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Directory (relative to the config file) holding the ledger, one file per UTC month
+const USAGE_DIR = '.ai-lambda-usage';
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.calls++;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.cost = Math.round((totals.cost + (entry.cost ?? 0)) * 1e9) / 1e9;
+}
+
+// Prices are per million tokens; costs are rounded to 1e-9 to keep floating point noise out of totals
+function costOf(price, promptTokens, completionTokens) {
+  if (!price) return null;
+  const cost = (promptTokens * (price.prompt ?? 0) + completionTokens * (price.completion ?? 0)) / 1e6;
+  return Math.round(cost * 1e9) / 1e9;
+}
+
+class UsageTracker {
+  /**
+   * @param {object} [options]
+   * @param {() => number} [options.now] - Clock in milliseconds, for tests
+   */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.prices = {};
+    this.ledgerDir = null;
+    this.logger = console;
+    this.since = new Date(now()).toISOString();
+    this.total = emptyTotals();
+    this.endpoints = {};
+    this.models = {};
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Applies the `usage` block of a config. Totals carry over, so hot reloads keep counting.
+   *
+   * @param {object} config - Loaded config
+   * @param {object} logger - Logger instance
+   */
+  configure(config, logger) {
+    this.prices = config.usage?.prices || {};
+    this.ledgerDir = config.usage?.ledger ? path.join(config.baseDir, USAGE_DIR) : null;
+    this.logger = logger;
+  }
+
+  /**
+   * Records one LLM call.
+   *
+   * @param {object} call
+   * @param {string} call.endpoint - Endpoint whose prompt was sent
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model name
+   * @param {{ promptTokens: number, completionTokens: number, totalTokens: number }|null} call.usage -
+   *   As reported by the provider; null counts the call with zero tokens
+   * @param {object} [req] - Express request the call was made for; its `tokenUsage` collects the entry
+   * @returns {object} - The ledger entry
+   */
+  record({ endpoint, provider, model, usage }, req) {
+    const promptTokens = usage?.promptTokens ?? 0;
+    const completionTokens = usage?.completionTokens ?? 0;
+    const entry = {
+      timestamp: new Date(this.now()).toISOString(),
+      route: req?.tokenUsage?.endpoint ?? null,
+      endpoint,
+      provider,
+      model: model || 'unknown',
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.totalTokens ?? promptTokens + completionTokens,
+      cost: costOf(this.prices[model], promptTokens, completionTokens),
+      ...(usage ? {} : { unreported: true })
+    };
+
+    addTo(this.total, entry);
+    addTo(this.endpoints[endpoint] ||= emptyTotals(), entry);
+    addTo(this.models[entry.model] ||= emptyTotals(), entry);
+    req?.tokenUsage?.calls.push(entry);
+    this.appendToLedger(entry);
+    return entry;
+  }
+
+  appendToLedger(entry) {
+    if (!this.ledgerDir) return;
+    const file = path.join(this.ledgerDir, `usage-${entry.timestamp.slice(0, 7)}.jsonl`);
+    // Appends are chained so lines never interleave
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(this.ledgerDir, { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+      })
+      .catch((err) => {
+        this.logger.warn(`Failed to write usage ledger ${file}: ${err.message}`);
+      });
+  }
+
+  // Cumulative totals since the tracker was created, for /__usage
+  summary() {
+    return { since: this.since, total: this.total, endpoints: this.endpoints, models: this.models };
+  }
+
+  // Resolves once pending ledger writes are on disk
+  flush() {
+    return this.writing;
+  }
+}
+
+// Per-request totals, or null when the request made no LLM calls
+function requestUsage(req) {
+  const calls = req.tokenUsage?.calls || [];
+  if (calls.length === 0) return null;
+  const totals = emptyTotals();
+  calls.forEach(entry => addTo(totals, entry));
+  return { ...totals, cost: calls.some(entry => entry.cost !== null) ? totals.cost : null };
+}
+
+/**
+ * Sets `X-Tokens-Prompt`, `X-Tokens-Completion` and `X-Tokens-Total` (plus `X-Tokens-Cost` when a
+ * model is priced) from the calls made for a request.
+ *
+ * @returns {object|null} - The request totals
+ */
+function setUsageHeaders(res, req) {
+  const usage = requestUsage(req);
+  if (!usage || res.headersSent) return usage;
+  res.set({
+    'X-Tokens-Prompt': String(usage.promptTokens),
+    'X-Tokens-Completion': String(usage.completionTokens),
+    'X-Tokens-Total': String(usage.totalTokens),
+    ...(usage.cost !== null ? { 'X-Tokens-Cost': String(usage.cost) } : {})
+  });
+  return usage;
+}
+
+// One tracker per process, shared by the HTTP server and `ai-lambda-service mcp`
+let tracker = new UsageTracker();
+
+function getUsageTracker() {
+  return tracker;
+}
+
+// Starts counting from zero, e.g. when the server stops
+function resetUsageTracker() {
+  tracker = new UsageTracker();
+}
+
+module.exports = {
+  UsageTracker,
+  USAGE_DIR,
+  getUsageTracker,
+  resetUsageTracker,
+  requestUsage,
+  setUsageHeaders
+};
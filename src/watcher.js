@@ -0,0 +1,97 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadConfig } = require('./config');
+
+// Files whose changes should trigger a reload: the config itself plus every JS handler
+// and prompt file it references
+function collectWatchedFiles(configPath, config) {
+  const files = new Set([path.resolve(configPath)]);
+  for (const endpoint of config.endpoints) {
+    if (endpoint.jsHandler) {
+      files.add(path.resolve(config.baseDir, endpoint.jsHandler.file));
+    }
+    if (endpoint.aiPrompt?.promptFile) {
+      files.add(path.resolve(config.baseDir, endpoint.aiPrompt.promptFile));
+    }
+  }
+  return files;
+}
+
+// Drop cached handler modules so the next require picks up edits
+function clearRequireCache(files) {
+  for (const file of files) {
+    delete require.cache[file];
+  }
+}
+
+/**
+ * Watches a config file and the JS handlers and prompt files it references, reloading on change.
+ * Each reload re-runs loadConfig (schema validation and circular dependency detection)
+ * and hands the result to onReload. If either step fails the error is logged and the
+ * previously loaded config stays live.
+ *
+ * Directories are watched rather than files so editors that save by replacing the file
+ * (write to temp + rename) keep triggering reloads.
+ *
+ * @param {object} options
+ * @param {string} options.configPath - Path to the JSON config file
+ * @param {object} options.config - The currently loaded config
+ * @param {(config: object) => Promise<void>} options.onReload - Applies a newly loaded config
+ * @param {object} [options.logger] - Logger instance
+ * @param {number} [options.debounceMs] - Delay used to coalesce bursts of change events
+ * @returns {{ close: () => void }} - Handle to stop watching
+ */
+function watchConfig({ configPath, config, onReload, logger = console, debounceMs = 200 }) {
+  let watchedFiles = collectWatchedFiles(configPath, config);
+  let watchers = [];
+  let timer = null;
+  let reloading = Promise.resolve();
+  let closed = false;
+
+  const reload = async () => {
+    clearRequireCache(watchedFiles);
+    try {
+      const next = await loadConfig(configPath, logger);
+      await onReload(next);
+      watchedFiles = collectWatchedFiles(configPath, next);
+      startWatching();
+    } catch (err) {
+      logger.error(`Config reload failed, keeping previous config: ${err.message}`);
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      // Serialize reloads so a slow rebuild can't race a newer one
+      reloading = reloading.then(() => (closed ? undefined : reload()));
+    }, debounceMs);
+  };
+
+  function startWatching() {
+    watchers.forEach(w => w.close());
+    if (closed) return;
+
+    const dirs = new Set(Array.from(watchedFiles, file => path.dirname(file)));
+    watchers = Array.from(dirs, dir => fs.watch(dir, (_event, filename) => {
+      if (filename && watchedFiles.has(path.join(dir, filename.toString()))) {
+        logger.info(`Detected change in ${path.join(dir, filename.toString())}`);
+        schedule();
+      }
+    }));
+  }
+
+  startWatching();
+  logger.info(`Watching ${watchedFiles.size} file(s) for changes.`);
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      watchers.forEach(w => w.close());
+      watchers = [];
+    }
+  };
+}
+
+module.exports = { watchConfig, collectWatchedFiles };
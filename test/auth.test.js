@@ -0,0 +1,222 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const request = require('supertest');
+const { verifyJwt, AuthError } = require('../src/auth');
+const { startServer, stopServer } = require('../src/server');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signJwt(claims, { algorithm = 'HS256', key, header = {} }) {
+  const signed = `${encode({ alg: algorithm, typ: 'JWT', ...header })}.${encode(claims)}`;
+  const signature = algorithm === 'HS256'
+    ? crypto.createHmac('sha256', key).update(signed).digest()
+    : crypto.sign('RSA-SHA256', Buffer.from(signed), key);
+  return `${signed}.${signature.toString('base64url')}`;
+}
+
+describe('auth', () => {
+  const secret = 'test-hmac-secret';
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  describe('verifyJwt', () => {
+    const hs256 = { algorithm: 'HS256', key: Buffer.from(secret) };
+
+    it('returns the claims of a valid HS256 token', () => {
+      const claims = verifyJwt(signJwt({ sub: 'alice', exp: 2000 }, { key: secret }), { ...hs256, now: 1000 });
+      assert.deepEqual(claims, { sub: 'alice', exp: 2000 });
+    });
+
+    it('verifies RS256 tokens against the public key', () => {
+      const token = signJwt({ sub: 'bob' }, { algorithm: 'RS256', key: privateKey });
+      assert.equal(verifyJwt(token, { algorithm: 'RS256', key: publicKey }).sub, 'bob');
+
+      const forged = signJwt({ sub: 'bob' }, { algorithm: 'RS256', key: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey });
+      assert.throws(() => verifyJwt(forged, { algorithm: 'RS256', key: publicKey }), /Invalid JWT signature/);
+    });
+
+    it('rejects tokens using a different algorithm than configured', () => {
+      const unsigned = `${encode({ alg: 'none' })}.${encode({ sub: 'mallory' })}.`;
+      assert.throws(() => verifyJwt(unsigned, hs256), /Unexpected JWT algorithm none/);
+
+      const pem = publicKey.export({ type: 'spki', format: 'pem' });
+      const confused = signJwt({ sub: 'mallory' }, { key: pem });
+      assert.throws(() => verifyJwt(confused, { algorithm: 'RS256', key: publicKey }), /Unexpected JWT algorithm HS256/);
+    });
+
+    it('checks expiry, not-before, issuer and audience', () => {
+      const token = (claims) => signJwt(claims, { key: secret });
+
+      assert.throws(() => verifyJwt(token({ exp: 999 }), { ...hs256, now: 1000 }), /expired/);
+      assert.ok(verifyJwt(token({ exp: 999 }), { ...hs256, now: 1000, clockToleranceSec: 5 }));
+      assert.throws(() => verifyJwt(token({ nbf: 1100 }), { ...hs256, now: 1000 }), /not valid yet/);
+      assert.throws(() => verifyJwt(token({ iss: 'other' }), { ...hs256, issuer: 'idp' }), /issuer/);
+      assert.throws(() => verifyJwt(token({ aud: 'other' }), { ...hs256, audience: 'api' }), /audience/);
+      assert.ok(verifyJwt(token({ aud: ['web', 'api'] }), { ...hs256, audience: 'api' }));
+    });
+
+    it('throws AuthError for malformed tokens', () => {
+      assert.throws(() => verifyJwt('not-a-jwt', hs256), AuthError);
+      assert.throws(() => verifyJwt('a.b.c', hs256), /Malformed JWT header/);
+    });
+  });
+
+  describe('server', () => {
+    let dir;
+    let config;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-auth-'));
+      fs.writeFileSync(path.join(dir, 'hmac.key'), secret);
+      fs.writeFileSync(path.join(dir, 'public.pem'), publicKey.export({ type: 'spki', format: 'pem' }));
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      const whoami = (name, extra = {}) => ({
+        name,
+        description: 'Return the authenticated principal.',
+        path: `/${name}`,
+        method: 'GET',
+        jsHandler: { file: 'fixtures/handlers/whoami.js' },
+        ...extra
+      });
+      config = {
+        baseDir: path.join(__dirname),
+        auth: {
+          strategies: {
+            keys: { type: 'apiKey', keys: { ci: 'key-123' } },
+            queryKeys: { type: 'apiKey', query: 'api_key', keys: { browser: 'key-456' } },
+            tokens: { type: 'bearer', tokens: { ops: 'token-789' } },
+            hs: { type: 'jwt', algorithm: 'HS256', keyFile: path.join(dir, 'hmac.key'), issuer: 'idp' },
+            rs: { type: 'jwt', algorithm: 'RS256', keyFile: path.join(dir, 'public.pem') }
+          },
+          default: ['keys', 'tokens']
+        },
+        endpoints: [
+          whoami('whoami'),
+          whoami('open', { public: true }),
+          whoami('sso', { auth: ['hs', 'rs'] }),
+          whoami('browser', { auth: ['queryKeys'] }),
+          {
+            name: 'greet-me',
+            description: 'Greet the caller through a chain.',
+            path: '/greet-me',
+            method: 'POST',
+            chainHandler: {
+              steps: [{ name: 'echo', endpoint: 'echo', input: { user: '{{auth.subject}}', via: '{{auth.strategy}}' } }],
+              output: { greeting: 'Hello {{echo.input.user}} ({{echo.input.via}})' }
+            }
+          },
+          {
+            name: 'echo',
+            description: 'Echo the handler input.',
+            path: '/echo',
+            method: 'POST',
+            jsHandler: { file: 'fixtures/handlers/echo-input.js' }
+          }
+        ]
+      };
+    });
+
+    afterEach(async () => {
+      await stopServer();
+    });
+
+    it('requires the default strategies and passes the principal to handlers', async () => {
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server).get('/whoami').expect(401, { error: 'Authentication required' })
+        .expect('WWW-Authenticate', 'Bearer');
+      await request(server).get('/whoami').set('X-Api-Key', 'wrong').expect(401, { error: 'Invalid credentials', detail: 'Invalid API key' });
+      await request(server).get('/whoami').set('X-Api-Key', 'key-123')
+        .expect(200, { auth: { strategy: 'keys', type: 'apiKey', subject: 'ci' } });
+      await request(server).get('/whoami').set('Authorization', 'Bearer token-789')
+        .expect(200, { auth: { strategy: 'tokens', type: 'bearer', subject: 'ops' } });
+    });
+
+    it('lets public endpoints and /__health through', async () => {
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server).get('/open').expect(200, { auth: null });
+      await request(server).get('/__health').expect(200);
+    });
+
+    it('verifies JWTs from the configured key files', async () => {
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+      const hsToken = signJwt({ sub: 'alice', iss: 'idp', role: 'admin' }, { key: secret });
+      const rsToken = signJwt({ sub: 'bob' }, { algorithm: 'RS256', key: privateKey });
+
+      await request(server).get('/sso').set('Authorization', `Bearer ${hsToken}`).expect(200)
+        .expect(({ body }) => assert.deepEqual(body.auth, { strategy: 'hs', type: 'jwt', subject: 'alice', claims: { sub: 'alice', iss: 'idp', role: 'admin' } }));
+      await request(server).get('/sso').set('Authorization', `Bearer ${rsToken}`).expect(200)
+        .expect(({ body }) => assert.equal(body.auth.strategy, 'rs'));
+      // Endpoint strategies replace the default ones
+      await request(server).get('/sso').set('X-Api-Key', 'key-123').expect(401);
+      await request(server).get('/sso').set('Authorization', `Bearer ${signJwt({ sub: 'eve', iss: 'other' }, { key: secret })}`)
+        .expect(401)
+        .expect('WWW-Authenticate', 'Bearer error="invalid_token"');
+    });
+
+    it('reads API keys from the query string', async () => {
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server).get('/browser?api_key=key-456').expect(200)
+        .expect(({ body }) => assert.equal(body.auth.subject, 'browser'));
+      await request(server).get('/browser').expect(401);
+    });
+
+    it('leaves query-string API keys out of the handler input', async () => {
+      config.endpoints.push({
+        name: 'browser-echo',
+        description: 'Echo the handler input.',
+        path: '/browser-echo',
+        method: 'GET',
+        auth: ['queryKeys'],
+        inputSchema: { type: 'object', additionalProperties: false, properties: { a: { type: 'string' } } },
+        jsHandler: { file: 'fixtures/handlers/echo-input.js' }
+      });
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server).get('/browser-echo?a=x&api_key=key-456').expect(200, { input: { a: 'x' } });
+    });
+
+    it('exposes the principal to chain templates', async () => {
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server).post('/greet-me').set('X-Api-Key', 'key-123').send({})
+        .expect(200, { greeting: 'Hello ci (keys)' });
+    });
+
+    it('guards the dashboard and built-in routes with the default strategies', async () => {
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server).get('/').expect(401);
+      await request(server).get('/__endpoints').expect(401);
+      await request(server).get('/__openapi.json').expect(401);
+
+      const { body } = await request(server).get('/__endpoints').set('X-Api-Key', 'key-123').expect(200);
+      assert.deepEqual(body.find(ep => ep.name === 'sso').auth, ['hs', 'rs']);
+      assert.deepEqual(body.find(ep => ep.name === 'open').auth, []);
+
+      const page = await request(server).get('/').set('X-Api-Key', 'key-123').expect(200);
+      assert.match(page.text, /data-name="x-api-key"/);
+      assert.match(page.text, /data-name="Authorization"/);
+    });
+
+    it('fails to start when a key file is missing', async () => {
+      config.auth.strategies.rs.keyFile = path.join(dir, 'missing.pem');
+      await assert.rejects(
+        () => startServer({ config, port: 0, logger: noopLogger }),
+        /Cannot read key file for auth strategy "rs"/
+      );
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const request = require('supertest');
+const { BudgetTracker, BudgetExceededError } = require('../src/budget');
+const { USAGE_DIR } = require('../src/usage');
+const { startServer, stopServer } = require('../src/server');
+const { startOpenAiStub } = require('./helpers/openai-stub');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+describe('budgets', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-budget-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('BudgetTracker', () => {
+    const entry = (timestamp, endpoint, totalTokens, cost = null) => ({ timestamp, endpoint, route: null, totalTokens, cost });
+
+    it('refuses once an hourly token budget is used up, until the next hour', () => {
+      let now = Date.parse('2026-03-01T12:30:00Z');
+      const tracker = new BudgetTracker({ now: () => now });
+      tracker.configure({ endpoints: [{ name: 'a', budget: { hour: { tokens: 100 } } }] }, noopLogger);
+
+      tracker.add(entry('2026-03-01T12:30:00.000Z', 'a', 60));
+      tracker.check('a');
+      tracker.add(entry('2026-03-01T12:30:00.000Z', 'a', 40));
+
+      assert.throws(() => tracker.check('a'), (err) => {
+        assert.ok(err instanceof BudgetExceededError);
+        assert.equal(err.httpStatus, 429);
+        assert.equal(err.retryAfterSeconds, 1800);
+        assert.equal(err.message, 'Hourly token budget of 100 for endpoint a is used up');
+        return true;
+      });
+      // Other endpoints have no budget of their own
+      tracker.check('b');
+
+      now = Date.parse('2026-03-01T13:00:00Z');
+      tracker.check('a');
+    });
+
+    it('counts every endpoint against the global budget, with 402 for cost', () => {
+      const tracker = new BudgetTracker({ now: () => Date.parse('2026-03-01T12:00:00Z') });
+      tracker.configure({ budget: { day: { cost: 0.5 } }, endpoints: [] }, noopLogger);
+
+      tracker.add(entry('2026-03-01T12:00:00.000Z', 'a', 10, 0.3));
+      tracker.add(entry('2026-03-01T12:00:00.000Z', 'b', 10, 0.2));
+
+      assert.throws(() => tracker.check('c'), { name: 'BudgetExceededError', httpStatus: 402, retryAfterSeconds: 43200 });
+    });
+
+    it('warns once per threshold and window', () => {
+      const warnings = [];
+      const tracker = new BudgetTracker({ now: () => Date.parse('2026-03-01T12:00:00Z') });
+      tracker.configure({ budget: { hour: { tokens: 100 }, warnAt: [0.5, 0.9] }, endpoints: [] }, { ...noopLogger, warn: msg => warnings.push(msg) });
+
+      for (const tokens of [40, 20, 20, 15]) {
+        tracker.add(entry('2026-03-01T12:00:00.000Z', 'a', tokens));
+      }
+
+      assert.deepEqual(warnings, [
+        'Hourly token budget for the service at 60% (60 of 100)',
+        'Hourly token budget for the service at 95% (95 of 100)'
+      ]);
+    });
+
+    it('persists counters under the config directory', async () => {
+      const config = { baseDir: dir, endpoints: [{ name: 'a', budget: { day: { tokens: 50 } } }] };
+      const now = () => Date.parse('2026-03-01T12:00:00Z');
+      const first = new BudgetTracker({ now });
+      first.configure(config, noopLogger);
+      first.add(entry('2026-03-01T12:00:00.000Z', 'a', 50));
+      await first.flush();
+      assert.ok(fs.existsSync(path.join(dir, USAGE_DIR, 'budget.json')));
+
+      const second = new BudgetTracker({ now });
+      second.configure(config, noopLogger);
+      assert.throws(() => second.check('a'), { name: 'BudgetExceededError' });
+    });
+
+    it('starts from empty counters when the budget file does not hold an object', () => {
+      const config = { baseDir: dir, endpoints: [{ name: 'a', budget: { day: { tokens: 50 } } }] };
+      fs.mkdirSync(path.join(dir, USAGE_DIR), { recursive: true });
+      const warnings = [];
+
+      for (const contents of ['null', '42', '[]']) {
+        fs.writeFileSync(path.join(dir, USAGE_DIR, 'budget.json'), contents);
+        const tracker = new BudgetTracker();
+        tracker.configure(config, { ...noopLogger, warn: msg => warnings.push(msg) });
+        tracker.check('a');
+      }
+      assert.equal(warnings.length, 3);
+      assert.match(warnings[0], /expected an object of counters/);
+    });
+
+    it('takes maxTokensPerRequest from the endpoint, else the global budget', () => {
+      const tracker = new BudgetTracker();
+      tracker.configure({
+        budget: { maxTokensPerRequest: 500 },
+        endpoints: [{ name: 'a', budget: { maxTokensPerRequest: 100 } }]
+      }, noopLogger);
+
+      assert.equal(tracker.maxTokensPerRequest('a'), 100);
+      assert.equal(tracker.maxTokensPerRequest('b'), 500);
+    });
+  });
+
+  describe('server', () => {
+    let stub;
+
+    beforeEach(async () => {
+      stub = await startOpenAiStub({ reply: () => '{"text":"ok"}' });
+    });
+
+    afterEach(async () => {
+      await stopServer();
+      await stub.close();
+    });
+
+    const config = (budget) => ({
+      baseDir: dir,
+      usage: { prices: { 'gpt-4o-mini': { prompt: 1000, completion: 1000 } } },
+      endpoints: [
+        {
+          name: 'draft',
+          description: 'Draft a reply.',
+          path: '/draft',
+          method: 'POST',
+          outputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+          aiPrompt: { prompt: 'Answer.', baseUrl: stub.baseUrl, model: 'gpt-4o-mini' },
+          budget
+        },
+        {
+          name: 'draft-twice',
+          description: 'Draft, then draft again.',
+          path: '/draft-twice',
+          method: 'POST',
+          chainHandler: {
+            steps: [
+              { name: 'first', endpoint: 'draft', input: {} },
+              { name: 'second', endpoint: 'draft', input: {} }
+            ]
+          }
+        }
+      ]
+    });
+
+    it('sends maxTokensPerRequest as max_tokens', async () => {
+      const server = await startServer({ config: config({ maxTokensPerRequest: 64 }), port: 0, logger: noopLogger });
+      await request(server).post('/draft').send({}).expect(200);
+      assert.equal(stub.requests[0].max_tokens, 64);
+    });
+
+    it('answers 429 with Retry-After once a token budget is used up', async () => {
+      const server = await startServer({ config: config({ hour: { tokens: 15 } }), port: 0, logger: noopLogger });
+      await request(server).post('/draft').send({}).expect(200);
+
+      const res = await request(server).post('/draft').send({}).expect(429);
+      assert.equal(res.body.error, 'Budget exceeded');
+      assert.match(res.body.detail, /Hourly token budget of 15 for endpoint draft/);
+      assert.equal(res.headers['retry-after'], String(res.body.retryAfterSeconds));
+      assert.equal(stub.requests.length, 1);
+    });
+
+    it('answers 402 when a chain step runs out of cost budget', async () => {
+      // 15 tokens at 1000 per million cost 0.015
+      const server = await startServer({ config: config({ day: { cost: 0.01 } }), port: 0, logger: noopLogger });
+
+      const res = await request(server).post('/draft-twice').send({}).expect(402);
+      assert.match(res.body.detail, /Daily cost budget of 0.01/);
+      assert.equal(stub.requests.length, 1);
+    });
+
+    it('refuses streaming requests before the stream starts', async () => {
+      const server = await startServer({ config: config({ hour: { tokens: 15 } }), port: 0, logger: noopLogger });
+      await request(server).post('/draft').send({}).expect(200);
+
+      await request(server).post('/draft').set('Accept', 'text/event-stream').send({})
+        .expect(429)
+        .expect('Content-Type', /json/);
+    });
+
+    it('keeps counting across restarts', async () => {
+      let server = await startServer({ config: config({ hour: { tokens: 15 } }), port: 0, logger: noopLogger });
+      await request(server).post('/draft').send({}).expect(200);
+      await stopServer();
+
+      server = await startServer({ config: config({ hour: { tokens: 15 } }), port: 0, logger: noopLogger });
+      await request(server).post('/draft').send({}).expect(429);
+    });
+  });
+});
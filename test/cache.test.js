@@ -0,0 +1,107 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const { ResponseCache, createEndpointCache, cacheKey, CACHE_DIR } = require('../src/cache');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+describe('cache', () => {
+  describe('cacheKey', () => {
+    const endpoint = { name: 'greet', aiPrompt: { prompt: 'Hi' } };
+
+    it('ignores object key order in the input', () => {
+      assert.equal(
+        cacheKey(endpoint, { a: 1, nested: { x: 1, y: [1, 2] } }),
+        cacheKey(endpoint, { nested: { y: [1, 2], x: 1 }, a: 1 })
+      );
+    });
+
+    it('differs by endpoint name, input and model', () => {
+      const base = cacheKey(endpoint, { a: 1 }, { defaultModel: 'gpt-4o-mini' });
+      assert.notEqual(base, cacheKey({ ...endpoint, name: 'other' }, { a: 1 }, { defaultModel: 'gpt-4o-mini' }));
+      assert.notEqual(base, cacheKey(endpoint, { a: 2 }, { defaultModel: 'gpt-4o-mini' }));
+      assert.notEqual(base, cacheKey(endpoint, { a: 1 }, { defaultModel: 'llama3' }));
+      assert.equal(base, cacheKey({ ...endpoint, aiPrompt: { prompt: 'Hi', model: 'gpt-4o-mini' } }, { a: 1 }));
+      assert.notEqual(base, cacheKey(endpoint, { a: 1 }, { defaultModel: 'gpt-4o-mini' }, 'keys:ci'));
+    });
+
+    it('differs by the provider and model the prompt resolves to', () => {
+      const config = {
+        providers: {
+          claude: { type: 'anthropic', model: 'claude-sonnet' },
+          local: { type: 'ollama', model: 'llama3' }
+        }
+      };
+      const withProvider = provider => ({ ...endpoint, aiPrompt: { prompt: 'Hi', provider } });
+
+      const claude = cacheKey(withProvider('claude'), { a: 1 }, config);
+      assert.notEqual(claude, cacheKey(withProvider('local'), { a: 1 }, config));
+      assert.notEqual(claude, cacheKey(endpoint, { a: 1 }, config));
+      assert.notEqual(claude, cacheKey(withProvider('claude'), { a: 1 }, { providers: { claude: { type: 'anthropic', model: 'claude-haiku' } } }));
+    });
+  });
+
+  describe('ResponseCache', () => {
+    it('evicts the least recently used entry beyond maxEntries', () => {
+      const cache = new ResponseCache({ ttlSeconds: 60, maxEntries: 2 });
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      cache.set('c', 3);
+
+      assert.equal(cache.get('a').value, 1);
+      assert.equal(cache.get('b'), undefined);
+      assert.equal(cache.get('c').value, 3);
+    });
+
+    it('drops expired entries', () => {
+      const cache = new ResponseCache({ ttlSeconds: 60 });
+      cache.set('a', 1);
+      cache.entries.get('a').expiresAt = Date.now() - 1;
+
+      assert.equal(cache.get('a'), undefined);
+      assert.equal(cache.entries.size, 0);
+    });
+
+    it('persists entries to a file and loads them back', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-cache-'));
+      try {
+        const endpoint = { name: 'greet', cache: { ttlSeconds: 60, persist: true } };
+        const cache = createEndpointCache(endpoint, { baseDir: dir }, noopLogger);
+        cache.set('a', { greeting: 'Hello' });
+        await cache.flush();
+
+        assert.ok(fs.existsSync(path.join(dir, CACHE_DIR, 'greet.json')));
+        const reloaded = createEndpointCache(endpoint, { baseDir: dir }, noopLogger);
+        assert.deepEqual(reloaded.get('a').value, { greeting: 'Hello' });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('ignores persisted files that do not hold cache entries', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-cache-'));
+      const file = path.join(dir, 'greet.json');
+      const warnings = [];
+      const logger = { ...noopLogger, warn: msg => warnings.push(msg) };
+      try {
+        fs.writeFileSync(file, '{}');
+        assert.equal(new ResponseCache({ ttlSeconds: 60, file, logger }).entries.size, 0);
+        assert.match(warnings[0], /expected an array of entries/);
+
+        const fresh = { value: 'Hello', expiresAt: Date.now() + 60000 };
+        fs.writeFileSync(file, JSON.stringify([null, ['a'], [1, fresh], ['b', null], ['c', fresh]]));
+        const cache = new ResponseCache({ ttlSeconds: 60, file, logger });
+        assert.equal(cache.get('c').value, 'Hello');
+        assert.equal(cache.entries.size, 1);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('returns null for endpoints without a cache config', () => {
+      assert.equal(createEndpointCache({ name: 'plain' }, { baseDir: '.' }, noopLogger), null);
+    });
+  });
+});
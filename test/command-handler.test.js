@@ -0,0 +1,108 @@
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const { createHandler } = require('../src/engine');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+const commandEndpoint = (commandHandler, extra = {}) => ({
+  name: 'report',
+  commandHandler: { command: process.execPath, ...commandHandler, args: ['fixtures/commands/report.js', ...(commandHandler.args || [])] },
+  ...extra
+});
+
+describe('commandHandler', () => {
+  beforeEach(() => {
+    process.env.SECRET = 'from-parent';
+  });
+
+  afterEach(() => {
+    delete process.env.SECRET;
+  });
+
+  it('passes templated argv without a shell and parses JSON output with an outputSchema', async () => {
+    const handler = await createHandler(
+      commandEndpoint({ args: ['json', '{{name}}', "it's $HOME; rm -rf /", '{{count}}', '{{input}}'] }, { outputSchema: { type: 'object' } }),
+      __dirname,
+      noopLogger
+    );
+
+    const output = await handler({ name: 'Ada', count: 3 });
+
+    assert.deepEqual(output.args, ['Ada', "it's $HOME; rm -rf /", '3', '{"name":"Ada","count":3}']);
+    assert.equal(output.cwd, __dirname);
+  });
+
+  it('returns trimmed stdout as text without an outputSchema', async () => {
+    const handler = await createHandler(commandEndpoint({ args: ['text', 'hello', '{{who}}'] }), __dirname, noopLogger);
+
+    assert.equal(await handler({ who: 'world' }), 'hello world');
+  });
+
+  it('writes stdin from a template, with objects as JSON', async () => {
+    const asJson = await createHandler(commandEndpoint({ args: ['json'], stdin: '{{input}}' }, { outputSchema: { type: 'object' } }), __dirname, noopLogger);
+    const asText = await createHandler(commandEndpoint({ args: ['json'], stdin: 'Dear {{name}}' }, { outputSchema: { type: 'object' } }), __dirname, noopLogger);
+
+    assert.equal((await asJson({ name: 'Ada' })).stdin, '{"name":"Ada"}');
+    assert.equal((await asText({ name: 'Ada' })).stdin, 'Dear Ada');
+  });
+
+  it('only passes allowlisted and configured environment variables', async () => {
+    const handler = await createHandler(
+      commandEndpoint({ args: ['json'], env: { GREETING: 'Hi {{name}}' } }, { outputSchema: { type: 'object' } }),
+      __dirname,
+      noopLogger
+    );
+    const allowed = await createHandler(
+      commandEndpoint({ args: ['json'], envAllowlist: ['SECRET'] }, { outputSchema: { type: 'object' } }),
+      __dirname,
+      noopLogger
+    );
+
+    assert.deepEqual((await handler({ name: 'Ada' })).env, { GREETING: 'Hi Ada', HAS_PATH: true });
+    assert.deepEqual((await allowed({})).env, { SECRET: 'from-parent', HAS_PATH: false });
+  });
+
+  it('exposes only the environment variables the templates reference', async () => {
+    const handler = await createHandler(
+      commandEndpoint({ args: ['json', '{{env.SECRET}}'], env: { TOKEN: '{{env.AI_LAMBDA_MISSING}}' } }),
+      __dirname,
+      noopLogger
+    );
+
+    await assert.rejects(handler({}), /property "AI_LAMBDA_MISSING" does not exist in "env"\. Available properties: SECRET$/);
+  });
+
+  it('resolves cwd and relative commands against the config directory', async () => {
+    const handler = await createHandler({
+      name: 'report',
+      outputSchema: { type: 'object' },
+      commandHandler: { command: process.execPath, args: ['report.js', 'json'], cwd: 'fixtures/commands' }
+    }, __dirname, noopLogger);
+
+    assert.equal((await handler({})).cwd, path.join(__dirname, 'fixtures', 'commands'));
+  });
+
+  it('fails with stderr when the command exits non-zero', async () => {
+    const handler = await createHandler(commandEndpoint({ args: ['fail'] }), __dirname, noopLogger);
+
+    await assert.rejects(handler({}), /exited with code 2\nStderr: something broke$/);
+  });
+
+  it('kills the command after timeoutMs', async () => {
+    const handler = await createHandler(commandEndpoint({ args: ['hang'], timeoutMs: 200 }), __dirname, noopLogger);
+
+    await assert.rejects(handler({}), /timed out after 200ms/);
+  });
+
+  it('kills the command when its output exceeds maxOutputBytes', async () => {
+    const handler = await createHandler(commandEndpoint({ args: ['flood'], maxOutputBytes: 1000 }), __dirname, noopLogger);
+
+    await assert.rejects(handler({}), /output exceeded 1000 bytes/);
+  });
+
+  it('fails when the command does not exist', async () => {
+    const handler = await createHandler({ name: 'missing', commandHandler: { command: 'ai-lambda-no-such-command' } }, __dirname, noopLogger);
+
+    await assert.rejects(handler({}), /ENOENT/);
+  });
+});
@@ -34,11 +34,69 @@ describe('config loader', () => {
     await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /must specify exactly one/);
   });
 
+  it('fails when an endpoint references an undeclared provider', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-unknown-provider.json');
+    await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /unknown provider "claude"/);
+  });
+
+  it('fails when an mcpTool endpoint references an undeclared MCP server', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-unknown-mcp-server.json');
+    await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /unknown MCP server "docs"/);
+  });
+
+  it('fails when inputMapping reads from an unknown request part', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-input-mapping.json');
+    await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /inputMapping/);
+  });
+
+  it('fails when an endpoint references an undeclared auth strategy', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-unknown-auth-strategy.json');
+    await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /unknown auth strategy "sso"/);
+  });
+
+  it('fails when a public chain calls an endpoint that requires auth', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-public-chain-auth.json');
+    await assert.rejects(
+      () => loadConfig(badConfigPath, noopLogger),
+      /Endpoint greet calls whoami, which requires auth \(keys\), but accepts unauthenticated callers/
+    );
+  });
+
+  it('fails when a rate limit is keyed by header without naming one', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-rate-limit-header.json');
+    await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /must have required property 'header'/);
+  });
+
+  it('fails when a budget warning threshold is not a fraction', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-budget-warn-at.json');
+    await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /warnAt\/0 must be <= 1/);
+  });
+
   it('fails when workiqQuery is missing query field', async () => {
     const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-workiq-missing-query.json');
     await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /query/);
   });
 
+  it('fails when a parallel group member has no name', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-parallel-unnamed.json');
+    await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /Config validation failed/);
+  });
+
+  it('loads a chain with conditions, switch branches and early return', async () => {
+    const configPath = path.join(__dirname, 'fixtures', 'branching-chain-config.json');
+    const config = await loadConfig(configPath, noopLogger);
+
+    const steps = config.endpoints[1].chainHandler.steps;
+    assert.ok(steps[0].when);
+    assert.equal(steps[1].switch.cases.length, 1);
+    assert.ok('return' in steps[1].switch.default[0]);
+  });
+
+  it('fails when aiPrompt sets both prompt and promptFile', async () => {
+    const badConfigPath = path.join(__dirname, 'fixtures', 'invalid-prompt-and-file.json');
+    await assert.rejects(() => loadConfig(badConfigPath, noopLogger), /Config validation failed/);
+  });
+
   it('loads a valid config with local LLM settings', async () => {
     const configPath = path.join(__dirname, 'fixtures', 'local-llm-config.json');
     const config = await loadConfig(configPath, noopLogger);
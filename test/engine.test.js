@@ -1,7 +1,8 @@
 const path = require('node:path');
 const { strict: assert } = require('node:assert');
 const { createHandler, closeWorkiqClient, registerHandler, clearHandlerRegistry, detectCircularDependencies, ChainExecutionError } = require('../src/engine');
-const { evaluateTemplate, compileTemplate } = require('../src/template');
+const { evaluateTemplate, compileTemplate, renderTemplate, evaluateCondition } = require('../src/template');
+const { startOpenAiStub } = require('./helpers/openai-stub');
 
 const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
 
@@ -132,6 +133,106 @@ describe('engine', () => {
     });
   });
 
+  describe('aiPrompt prompt rendering', () => {
+    let stub;
+
+    before(async () => {
+      stub = await startOpenAiStub({ reply: () => 'ok' });
+    });
+
+    after(async () => {
+      await stub.close();
+    });
+
+    const userMessage = () => stub.requests[stub.requests.length - 1].messages[1].content;
+
+    it('substitutes placeholders and appends the input JSON by default', async () => {
+      const endpoint = {
+        name: 'greet',
+        description: 'Greet someone.',
+        aiPrompt: { prompt: 'Generate a friendly greeting for {{name}} ({{input.profile.role}})', baseUrl: stub.baseUrl }
+      };
+
+      const handler = await createHandler(endpoint, __dirname, noopLogger);
+      await handler({ name: 'Ada', profile: { role: 'engineer' } });
+
+      assert.equal(
+        userMessage(),
+        'Generate a friendly greeting for Ada (engineer)\n\nInput JSON:\n{"name":"Ada","profile":{"role":"engineer"}}'
+      );
+    });
+
+    it('omits the input JSON when includeInput is false', async () => {
+      const endpoint = {
+        name: 'greet',
+        description: 'Greet someone.',
+        aiPrompt: { prompt: 'Greet {{name}}.', includeInput: false, baseUrl: stub.baseUrl }
+      };
+
+      const handler = await createHandler(endpoint, __dirname, noopLogger);
+      await handler({ name: 'Ada' });
+
+      assert.equal(userMessage(), 'Greet Ada.');
+    });
+
+    it('loads prompts from a file relative to the config directory', async () => {
+      const endpoint = {
+        name: 'summarize-order',
+        description: 'Summarize an order.',
+        aiPrompt: { promptFile: 'prompts/summary.md', includeInput: false, baseUrl: stub.baseUrl }
+      };
+
+      const handler = await createHandler(endpoint, path.join(__dirname, 'fixtures'), noopLogger);
+      await handler({ customer: { name: 'Ada' }, items: [{ name: 'tea', qty: 2 }, { name: 'cake', qty: 1 }] });
+
+      assert.equal(userMessage(), 'Summarize the order for ADA:\n- 2 x tea\n- 1 x cake\n\n');
+    });
+
+    it('fails to create the handler when the prompt file is missing', async () => {
+      const endpoint = {
+        name: 'missing-prompt',
+        description: 'Missing.',
+        aiPrompt: { promptFile: 'prompts/nope.md', baseUrl: stub.baseUrl }
+      };
+
+      await assert.rejects(
+        () => createHandler(endpoint, path.join(__dirname, 'fixtures'), noopLogger),
+        /Failed to load prompt file at .*nope\.md/
+      );
+    });
+
+    it('renders optional fields that are left out as empty text', async () => {
+      const endpoint = {
+        name: 'translate',
+        description: 'Translate text.',
+        aiPrompt: {
+          prompt: 'Translate "{{text}}" into {{language | default: \'French\'}}.{{tone}} {{input.style | upper}}',
+          includeInput: false,
+          baseUrl: stub.baseUrl
+        }
+      };
+
+      const handler = await createHandler(endpoint, __dirname, noopLogger);
+      await handler({ text: 'hello' });
+
+      assert.equal(userMessage(), 'Translate "hello" into French. ');
+    });
+
+    it('reports malformed templates', async () => {
+      const endpoint = {
+        name: 'greet',
+        description: 'Greet someone.',
+        aiPrompt: { prompt: 'Greet {{name | shout}}.', baseUrl: stub.baseUrl }
+      };
+
+      const handler = await createHandler(endpoint, __dirname, noopLogger);
+      await assert.rejects(
+        () => handler({ name: 'Ada' }),
+        /Failed to render prompt for greet: Unknown filter "shout"/
+      );
+    });
+  });
+
   describe('template engine', () => {
     describe('evaluateTemplate', () => {
       it('resolves simple input paths', () => {
@@ -215,15 +316,186 @@ describe('engine', () => {
         assert.deepEqual(result, { regular: 'hello', template: 'Alice' });
       });
 
-      it('throws on embedded templates', () => {
+      it('interpolates embedded templates', () => {
+        const context = {
+          input: { name: 'Alice', count: 3, tags: ['a', 'b'], missing: null },
+          stepsByName: { analyze: { summary: 'all good' } }
+        };
+        const template = {
+          text: 'Summary for {{input.name}}: {{analyze.summary}}',
+          mixed: '{{input.count}} tags: {{input.tags}} ({{input.missing}})'
+        };
+        assert.deepEqual(compileTemplate(template, context), {
+          text: 'Summary for Alice: all good',
+          mixed: '3 tags: ["a","b"] ()'
+        });
+      });
+
+      it('keeps the value type for a single expression with filters', () => {
+        const context = { input: { tags: ['a', 'b', 'c'] } };
+        assert.equal(compileTemplate('{{input.tags | length}}', context), 3);
+        assert.deepEqual(compileTemplate('{{input.tags | slice: 1}}', context), ['b', 'c']);
+      });
+
+      it('throws on missing paths inside interpolated strings', () => {
         const context = { input: { name: 'Alice' } };
-        const template = { text: 'Hello {{input.name}}!' };
         assert.throws(
-          () => compileTemplate(template, context),
-          /Embedded templates are not supported/
+          () => compileTemplate('Hello {{input.nmae}}!', context),
+          /property "nmae" does not exist in "input". Available properties: name/
+        );
+      });
+    });
+
+    describe('renderTemplate', () => {
+      it('interpolates expressions into text', () => {
+        const context = { name: 'Ada', input: { name: 'Ada', lang: 'fr' } };
+        assert.equal(
+          renderTemplate("Greet {{name}} in {{input.lang | default: 'en'}}.", context),
+          'Greet Ada in fr.'
+        );
+      });
+
+      it('repeats each blocks for every array item', () => {
+        const context = { input: { items: [{ name: 'tea', qty: 2 }, { name: 'cake', qty: 1 }], tags: ['a', 'b'] } };
+        const text = '{{#each input.items}}{{@index}}. {{qty}} x {{this.name}}\n{{/each}}Tags:{{#each input.tags}} {{this}}{{/each}}';
+        assert.equal(renderTemplate(text, context), '0. 2 x tea\n1. 1 x cake\nTags: a b');
+      });
+
+      it('supports nested each blocks', () => {
+        const context = { input: { groups: [{ name: 'g1', members: ['x', 'y'] }, { name: 'g2', members: ['z'] }] } };
+        const text = '{{#each input.groups}}{{name}}:{{#each members}} {{this}}{{/each}};{{/each}}';
+        assert.equal(renderTemplate(text, context), 'g1: x y;g2: z;');
+      });
+
+      it('rejects malformed blocks', () => {
+        assert.throws(() => renderTemplate('{{#each input.items}}x', { input: { items: [] } }), /Unclosed \{\{#each input.items\}\} block/);
+        assert.throws(() => renderTemplate('x{{/each}}', {}), /Unexpected \{\{\/each\}\}/);
+        assert.throws(() => renderTemplate('{{#each input}}x{{/each}}', { input: {} }), /expects an array, got object/);
+      });
+
+      it('renders missing paths as empty text in lenient mode', () => {
+        const context = { input: { name: 'Ada' } };
+        assert.throws(() => renderTemplate('Hi {{input.title}}', context), /property "title" does not exist/);
+        assert.equal(
+          renderTemplate('Hi {{input.title | upper}}{{input.name}}{{#each input.tags}} #{{this}}{{/each}}', context, { lenient: true }),
+          'Hi Ada'
         );
       });
     });
+
+    describe('filters', () => {
+      const context = {
+        input: { name: 'Ada', lang: '', tags: ['x', 'y', 'z'], profile: { age: 36 } },
+        stepsByName: { analyze: { score: 0.9 } }
+      };
+
+      it('falls back with default when a path is missing, null or empty', () => {
+        assert.equal(evaluateTemplate("{{input.locale | default: 'en'}}", context), 'en');
+        assert.equal(evaluateTemplate("{{input.lang | default: 'en'}}", context), 'en');
+        assert.equal(evaluateTemplate("{{input.name | default: 'nobody'}}", context), 'Ada');
+        assert.equal(evaluateTemplate('{{input.profile.height | default: 170}}', context), 170);
+      });
+
+      it('applies string and collection filters', () => {
+        assert.equal(evaluateTemplate('{{input.name | upper}}', context), 'ADA');
+        assert.equal(evaluateTemplate('{{input.name | lower}}', context), 'ada');
+        assert.equal(evaluateTemplate('{{input.profile | json}}', context), '{"age":36}');
+        assert.equal(evaluateTemplate("{{input.tags | join: ', '}}", context), 'x, y, z');
+        assert.equal(evaluateTemplate('{{input.tags | join}}', context), 'x,y,z');
+        assert.equal(evaluateTemplate('{{input.name | length}}', context), 3);
+        assert.deepEqual(evaluateTemplate('{{input.tags | slice: 0, 2}}', context), ['x', 'y']);
+        assert.equal(evaluateTemplate('{{input.name | slice: 1}}', context), 'da');
+      });
+
+      it('chains filters left to right', () => {
+        assert.equal(evaluateTemplate("{{input.locale | default: 'en-gb' | upper | slice: 0, 2}}", context), 'EN');
+        assert.equal(evaluateTemplate("{{input.tags | slice: 0, 2 | join: '+' | upper}}", context), 'X+Y');
+      });
+
+      it('keeps separators inside quoted arguments', () => {
+        assert.equal(evaluateTemplate("{{input.tags | join: ' | '}}", context), 'x | y | z');
+        assert.equal(evaluateTemplate("{{input.missing | default: 'a, b'}}", context), 'a, b');
+      });
+
+      it('reports missing paths when no default is given', () => {
+        assert.throws(
+          () => evaluateTemplate('{{input.missing | upper}}', context),
+          /property "missing" does not exist in "input". Available properties: name, lang, tags, profile/
+        );
+      });
+
+      it('reports unknown filters', () => {
+        assert.throws(
+          () => evaluateTemplate('{{input.name | shout}}', context),
+          /Unknown filter "shout" in "\{\{input.name \| shout\}\}". Available filters: default, upper/
+        );
+      });
+
+      it('reports filters applied to the wrong type', () => {
+        assert.throws(
+          () => evaluateTemplate('{{analyze.score | upper}}', context),
+          /Filter "upper" expects string, got number in "\{\{analyze.score \| upper\}\}"/
+        );
+      });
+
+      it('rejects non-literal filter arguments', () => {
+        assert.throws(
+          () => evaluateTemplate('{{input.locale | default: input.name}}', context),
+          /Invalid argument input.name for filter "default"/
+        );
+      });
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    const context = {
+      input: { lang: 'en', score: 7, tags: ['a', 'b'] },
+      stepsByName: { classify: { label: 'urgent' } },
+      previousStep: { ok: true }
+    };
+
+    it('compares resolved values', () => {
+      assert.equal(evaluateCondition({ value: '{{input.lang}}', equals: 'en' }, context), true);
+      assert.equal(evaluateCondition({ value: '{{classify.label}}', notEquals: 'urgent' }, context), false);
+      assert.equal(evaluateCondition({ value: '{{input.score}}', gt: 5, lte: 7 }, context), true);
+      assert.equal(evaluateCondition({ value: '{{input.lang}}', in: ['fr', 'en'] }, context), true);
+      assert.equal(evaluateCondition({ value: '{{previousStep.ok}}', equals: true }, context), true);
+      assert.equal(evaluateCondition({ value: '{{input.tags}}', equals: ['a', 'b'] }, context), true);
+      assert.equal(evaluateCondition({ value: '{{input.lang}}', matches: '^e' }, context), true);
+    });
+
+    it('checks truthiness when a value has no operator', () => {
+      assert.equal(evaluateCondition({ value: '{{previousStep.ok}}' }, context), true);
+      assert.equal(evaluateCondition({ value: '{{input.score | default: 0}}' }, { input: {} }), false);
+      assert.equal(evaluateCondition({ value: false }, context), false);
+    });
+
+    it('resolves templates in operands', () => {
+      assert.equal(evaluateCondition({ value: 'urgent', equals: '{{classify.label}}' }, context), true);
+    });
+
+    it('checks existence without throwing on missing paths', () => {
+      assert.equal(evaluateCondition({ value: '{{input.missing}}', exists: true }, context), false);
+      assert.equal(evaluateCondition({ value: '{{input.missing}}', exists: false }, context), true);
+      assert.equal(evaluateCondition({ value: '{{input.lang}}', exists: true }, context), true);
+    });
+
+    it('combines conditions with all, any and not', () => {
+      const condition = {
+        all: [
+          { value: '{{input.lang}}', equals: 'en' },
+          { any: [{ value: '{{input.score}}', lt: 0 }, { not: { value: '{{classify.label}}', equals: 'low' } }] }
+        ]
+      };
+      assert.equal(evaluateCondition(condition, context), true);
+    });
+
+    it('throws on unresolvable paths', () => {
+      assert.throws(
+        () => evaluateCondition({ value: '{{input.missing}}', equals: 1 }, context),
+        /property "missing" does not exist/
+      );
+    });
   });
 
   describe('detectCircularDependencies', () => {
@@ -298,6 +570,52 @@ describe('engine', () => {
       assert.doesNotThrow(() => detectCircularDependencies(config));
     });
 
+    it('walks parallel group members', () => {
+      const config = {
+        endpoints: [
+          {
+            name: 'a',
+            chainHandler: {
+              steps: [{ parallel: [{ name: 'x', endpoint: 'b', input: {} }] }]
+            }
+          },
+          {
+            name: 'b',
+            chainHandler: {
+              steps: [{ endpoint: 'a', input: {} }]
+            }
+          }
+        ]
+      };
+      assert.throws(
+        () => detectCircularDependencies(config),
+        /Circular dependency detected: a -> b -> a/
+      );
+    });
+
+    it('walks every switch branch', () => {
+      const config = {
+        endpoints: [
+          { name: 'base', jsHandler: { file: 'test.js' } },
+          {
+            name: 'router',
+            chainHandler: {
+              steps: [{
+                switch: {
+                  cases: [{ when: { value: '{{input.x}}', equals: 1 }, steps: [{ endpoint: 'base', input: {} }] }],
+                  default: [{ endpoint: 'missing', input: {} }]
+                }
+              }]
+            }
+          }
+        ]
+      };
+      assert.throws(
+        () => detectCircularDependencies(config),
+        /references unknown endpoint "missing"/
+      );
+    });
+
     it('throws on missing endpoint reference', () => {
       const config = {
         endpoints: [
@@ -491,6 +809,373 @@ describe('engine', () => {
       );
     });
 
+    describe('parallel groups', () => {
+      // Handler that resolves only once release() is called, to prove members overlap
+      const deferredHandler = () => {
+        let release;
+        const started = [];
+        const gate = new Promise((resolve) => { release = resolve; });
+        const handler = async (input) => {
+          started.push(input);
+          await gate;
+          return { value: input.value * 10 };
+        };
+        return { handler, started, release };
+      };
+
+      it('runs members concurrently and exposes them by name', async () => {
+        const slow = deferredHandler();
+        registerHandler('slow', slow.handler, null, null);
+        registerHandler('merge', async (input) => ({ total: input.a + input.b }), null, null);
+
+        const endpoint = {
+          name: 'test-parallel',
+          chainHandler: {
+            steps: [
+              {
+                name: 'fanout',
+                parallel: [
+                  { name: 'first', endpoint: 'slow', input: { value: '{{input.a}}' } },
+                  { name: 'second', endpoint: 'slow', input: { value: '{{input.b}}' } }
+                ]
+              },
+              {
+                name: 'merged',
+                endpoint: 'merge',
+                input: { a: '{{first.value}}', b: '{{fanout.second.value}}' }
+              }
+            ],
+            output: { total: '{{merged.total}}', group: '{{steps[0]}}' }
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        const pending = handler({ a: 1, b: 2 });
+
+        // Both members start before either finishes
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(slow.started.length, 2);
+        slow.release();
+
+        const result = await pending;
+        assert.deepEqual(result, { total: 30, group: { first: { value: 10 }, second: { value: 20 } } });
+      });
+
+      it('validates each member against its target endpoint', async () => {
+        const validateOutput = (output) => {
+          validateOutput.errors = [{ message: 'must have ok' }];
+          return Boolean(output.ok);
+        };
+        registerHandler('good', async () => ({ ok: true }), null, validateOutput);
+        registerHandler('bad', async () => ({ nope: true }), null, validateOutput);
+
+        const endpoint = {
+          name: 'test-parallel-validation',
+          chainHandler: {
+            steps: [{
+              parallel: [
+                { name: 'one', endpoint: 'good', input: {} },
+                { name: 'two', endpoint: 'bad', input: {} }
+              ]
+            }]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        await assert.rejects(
+          () => handler({}),
+          (err) => {
+            assert(err instanceof ChainExecutionError);
+            assert.equal(err.stepName, 'two');
+            assert.match(err.message, /output validation failed for endpoint "bad"/);
+            return true;
+          }
+        );
+      });
+
+      it('fails fast by default without waiting for other members', async () => {
+        const slow = deferredHandler();
+        registerHandler('slow', slow.handler, null, null);
+        registerHandler('failing', async () => { throw new Error('boom'); }, null, null);
+
+        const endpoint = {
+          name: 'test-fail-fast',
+          chainHandler: {
+            steps: [{
+              parallel: [
+                { name: 'waiting', endpoint: 'slow', input: { value: 1 } },
+                { name: 'broken', endpoint: 'failing', input: {} }
+              ]
+            }]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        try {
+          await assert.rejects(() => handler({}), /Step 0 execution failed for endpoint "failing": boom/);
+        } finally {
+          slow.release();
+        }
+      });
+
+      it('collects every member failure with onError: collectAll', async () => {
+        const ran = [];
+        registerHandler('ok', async () => { ran.push('ok'); return { ok: true }; }, null, null);
+        registerHandler('fail-a', async () => { throw new Error('a broke'); }, null, null);
+        registerHandler('fail-b', async () => { throw new Error('b broke'); }, null, null);
+
+        const endpoint = {
+          name: 'test-collect-all',
+          chainHandler: {
+            steps: [{
+              name: 'group',
+              onError: 'collectAll',
+              parallel: [
+                { name: 'a', endpoint: 'fail-a', input: {} },
+                { name: 'fine', endpoint: 'ok', input: {} },
+                { name: 'b', endpoint: 'fail-b', input: {} }
+              ]
+            }]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        await assert.rejects(
+          () => handler({}),
+          (err) => {
+            assert(err instanceof ChainExecutionError);
+            assert.equal(err.stepName, 'group');
+            assert.match(err.message, /2 of 3 members failed/);
+            assert.deepEqual(err.errors.map(e => e.stepName), ['a', 'b']);
+            return true;
+          }
+        );
+        assert.deepEqual(ran, ['ok']);
+      });
+    });
+
+    describe('conditions and branching', () => {
+      beforeEach(() => {
+        registerHandler('label', async (input) => ({ label: input.text.includes('!') ? 'urgent' : 'normal' }), null, null);
+        registerHandler('escalate', async (input) => ({ action: `page on-call about ${input.text}` }), null, null);
+        registerHandler('queue', async (input) => ({ action: `queue ${input.text}` }), null, null);
+      });
+
+      it('skips steps whose when condition does not hold', async () => {
+        const endpoint = {
+          name: 'test-when',
+          chainHandler: {
+            steps: [
+              { name: 'classify', endpoint: 'label', input: { text: '{{input.text}}' } },
+              {
+                name: 'page',
+                when: { value: '{{classify.label}}', equals: 'urgent' },
+                endpoint: 'escalate',
+                input: { text: '{{input.text}}' }
+              }
+            ]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        assert.deepEqual(await handler({ text: 'fire!' }), { action: 'page on-call about fire!' });
+        // Skipped step leaves previousStep pointing at the last step that ran
+        assert.deepEqual(await handler({ text: 'hello' }), { label: 'normal' });
+      });
+
+      it('leaves skipped parallel members out of the named steps', async () => {
+        const endpoint = {
+          name: 'test-when-parallel',
+          chainHandler: {
+            steps: [
+              {
+                name: 'group',
+                parallel: [
+                  { name: 'classify', endpoint: 'label', input: { text: '{{input.text}}' } },
+                  { name: 'page', when: { value: '{{input.urgent}}' }, endpoint: 'escalate', input: { text: '{{input.text}}' } }
+                ]
+              }
+            ],
+            output: { group: '{{group}}', action: '{{page.action}}' }
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        assert.deepEqual(await handler({ text: 'fire!', urgent: true }), {
+          group: { classify: { label: 'urgent' }, page: { action: 'page on-call about fire!' } },
+          action: 'page on-call about fire!'
+        });
+        await assert.rejects(() => handler({ text: 'hello', urgent: false }), /property "page" does not exist/);
+      });
+
+      it('runs the first matching switch case', async () => {
+        const endpoint = {
+          name: 'test-switch',
+          chainHandler: {
+            steps: [
+              { name: 'classify', endpoint: 'label', input: { text: '{{input.text}}' } },
+              {
+                name: 'route',
+                switch: {
+                  cases: [
+                    {
+                      when: { value: '{{previousStep.label}}', equals: 'urgent' },
+                      steps: [{ name: 'paged', endpoint: 'escalate', input: { text: '{{input.text}}' } }]
+                    }
+                  ],
+                  default: [{ name: 'queued', endpoint: 'queue', input: { text: '{{input.text}}' } }]
+                }
+              }
+            ],
+            output: { label: '{{classify.label}}', action: '{{route.action}}' }
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        assert.deepEqual(await handler({ text: 'fire!' }), { label: 'urgent', action: 'page on-call about fire!' });
+        assert.deepEqual(await handler({ text: 'hello' }), { label: 'normal', action: 'queue hello' });
+      });
+
+      it('returns early with the given output', async () => {
+        const endpoint = {
+          name: 'test-return',
+          chainHandler: {
+            steps: [
+              { name: 'classify', endpoint: 'label', input: { text: '{{input.text}}' } },
+              {
+                switch: {
+                  cases: [{
+                    when: { value: '{{classify.label}}', equals: 'normal' },
+                    steps: [{ return: { action: 'ignored', label: '{{classify.label}}' } }]
+                  }]
+                }
+              },
+              { name: 'paged', endpoint: 'escalate', input: { text: '{{input.text}}' } }
+            ],
+            output: { action: '{{paged.action}}' }
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        assert.deepEqual(await handler({ text: 'hello' }), { action: 'ignored', label: 'normal' });
+        assert.deepEqual(await handler({ text: 'fire!' }), { action: 'page on-call about fire!' });
+      });
+
+      it('wraps condition errors in ChainExecutionError', async () => {
+        const endpoint = {
+          name: 'test-bad-condition',
+          chainHandler: {
+            steps: [{ when: { value: '{{nope.field}}', equals: 1 }, endpoint: 'queue', input: {} }]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        await assert.rejects(
+          () => handler({}),
+          (err) => {
+            assert(err instanceof ChainExecutionError);
+            assert.match(err.message, /Failed to evaluate condition for step 0/);
+            return true;
+          }
+        );
+      });
+    });
+
+    describe('retry and timeout', () => {
+      it('retries a failing step according to its policy', async () => {
+        let calls = 0;
+        registerHandler('flaky', async () => {
+          calls++;
+          if (calls < 3) throw Object.assign(new Error('service unavailable'), { status: 503 });
+          return { ok: true };
+        }, null, null);
+
+        const endpoint = {
+          name: 'test-step-retry',
+          chainHandler: {
+            steps: [{
+              endpoint: 'flaky',
+              input: {},
+              retry: { maxAttempts: 3, initialDelayMs: 1 }
+            }]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        assert.deepEqual(await handler({}), { ok: true });
+        assert.equal(calls, 3);
+      });
+
+      it('reports the attempt count when a step gives up', async () => {
+        registerHandler('down', async () => {
+          throw Object.assign(new Error('bad gateway'), { status: 502 });
+        }, null, null);
+
+        const endpoint = {
+          name: 'test-step-give-up',
+          chainHandler: {
+            steps: [{ name: 'call', endpoint: 'down', input: {}, retry: { maxAttempts: 2, initialDelayMs: 1 } }]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        await assert.rejects(
+          () => handler({}),
+          (err) => {
+            assert(err instanceof ChainExecutionError);
+            assert.equal(err.attempts, 2);
+            assert.match(err.message, /bad gateway \(after 2 attempts\)/);
+            return true;
+          }
+        );
+      });
+
+      it('times out slow steps', async () => {
+        registerHandler('slow', () => new Promise(resolve => setTimeout(() => resolve({}), 200)), null, null);
+
+        const endpoint = {
+          name: 'test-step-timeout',
+          chainHandler: {
+            steps: [{ endpoint: 'slow', input: {}, timeoutMs: 10 }]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        await assert.rejects(
+          () => handler({}),
+          (err) => {
+            assert(err instanceof ChainExecutionError);
+            assert.equal(err.cause.name, 'TimeoutError');
+            assert.match(err.message, /timed out after 10ms/);
+            return true;
+          }
+        );
+      });
+
+      it('retries output validation failures when enabled', async () => {
+        const outputs = [{ bad: true }, { ok: true }];
+        const validateOutput = (output) => {
+          validateOutput.errors = [{ message: 'must have ok' }];
+          return Boolean(output.ok);
+        };
+        registerHandler('unreliable', async () => outputs.shift(), null, validateOutput);
+
+        const endpoint = {
+          name: 'test-step-validation-retry',
+          chainHandler: {
+            steps: [{
+              endpoint: 'unreliable',
+              input: {},
+              retry: { maxAttempts: 2, initialDelayMs: 1, retryOnOutputValidation: true }
+            }]
+          }
+        };
+
+        const handler = await createHandler(endpoint, __dirname, noopLogger);
+        assert.deepEqual(await handler({}), { ok: true });
+      });
+    });
+
     it('returns last step output when no output mapping specified', async () => {
       const step1 = async () => ({ a: 1 });
       const step2 = async () => ({ b: 2 });
@@ -558,5 +1243,67 @@ describe('engine', () => {
         throw err;
       }
     });
+
+    describe('with a configured binary', () => {
+      const workiq = { binary: 'fixtures/workiq/fake-workiq.js' };
+      const workiqEndpoint = (workiqQuery) => ({ name: 'test-workiq', workiqQuery });
+
+      it('runs the CLI without a shell and renders the query with the template engine', async () => {
+        const endpoint = workiqEndpoint({ query: "Notes from {{who}}'s {{input.topic | upper}} sync", transport: 'cli' });
+        const handler = await createHandler(endpoint, __dirname, noopLogger, { workiq });
+
+        const result = await handler({ who: "O'Brien $& co", topic: 'q3' });
+
+        assert.equal(result, "cli: Notes from O'Brien $& co's Q3 sync");
+      });
+
+      it('renders placeholders for optional fields that are left out as empty text', async () => {
+        const handler = await createHandler(workiqEndpoint({ query: 'Meetings on {{day}} {{timeOfDay}}', transport: 'cli' }), __dirname, noopLogger, { workiq });
+
+        assert.equal(await handler({ day: 'Monday' }), 'cli: Meetings on Monday');
+      });
+
+      it('appends the input as context when the query has no placeholders', async () => {
+        const handler = await createHandler(workiqEndpoint({ query: 'Summarize', transport: 'cli' }), __dirname, noopLogger, { workiq });
+
+        assert.equal(await handler({ day: 'Monday' }), 'cli: Summarize Context: {"day":"Monday"}');
+      });
+
+      it('lets endpoints override the top-level settings', async () => {
+        const config = { workiq: { ...workiq, transport: 'cli', askArgs: ['--from-config'] } };
+        const handler = await createHandler(workiqEndpoint({ query: 'Hi', askArgs: ['--from-endpoint'] }), __dirname, noopLogger, config);
+
+        assert.equal(await handler({}), 'cli: Hi --from-endpoint');
+      });
+
+      it('asks through the MCP server and accepts the EULA by default', async () => {
+        const handler = await createHandler(workiqEndpoint({ query: 'Hi {{name}}', transport: 'mcp' }), __dirname, noopLogger, { workiq });
+
+        assert.equal(await handler({ name: 'Ada' }), 'mcp: Hi Ada (eula accepted)');
+      });
+
+      it('leaves the EULA alone when eulaAutoAccept is off', async () => {
+        const config = { workiq: { ...workiq, eulaAutoAccept: false } };
+        const handler = await createHandler(workiqEndpoint({ query: 'Hi', transport: 'mcp' }), __dirname, noopLogger, config);
+
+        assert.equal(await handler({}), 'mcp: Hi (eula pending)');
+      });
+
+      it('falls back to the CLI in auto mode when MCP times out', async () => {
+        const config = { workiq: { ...workiq, mcpArgs: ['--silent'], mcpTimeoutMs: 200 } };
+        const handler = await createHandler(workiqEndpoint({ query: 'Hi' }), __dirname, noopLogger, config);
+
+        assert.equal(await handler({}), 'cli: Hi');
+      });
+
+      it('fails handler creation in mcp mode when the server does not answer', async () => {
+        const config = { workiq: { ...workiq, mcpArgs: ['--silent'], mcpTimeoutMs: 200, transport: 'mcp' } };
+
+        await assert.rejects(
+          createHandler(workiqEndpoint({ query: 'Hi' }), __dirname, noopLogger, config),
+          /MCP request initialize to workiq timed out after 200ms/
+        );
+      });
+    });
   });
 });
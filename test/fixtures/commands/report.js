@@ -0,0 +1,29 @@
+// Prints what it was started with: `report.js [mode] [args...]`
+const [mode, ...args] = process.argv.slice(2);
+
+let stdin = '';
+process.stdin.on('data', (chunk) => { stdin += chunk; });
+process.stdin.on('end', () => {
+  if (mode === 'fail') {
+    process.stderr.write('something broke\n');
+    process.exit(2);
+  }
+  if (mode === 'hang') {
+    setTimeout(() => {}, 10000);
+    return;
+  }
+  if (mode === 'flood') {
+    process.stdout.write('x'.repeat(10000));
+    return;
+  }
+  if (mode === 'text') {
+    process.stdout.write(`${args.join(' ')}\n`);
+    return;
+  }
+  process.stdout.write(JSON.stringify({
+    args,
+    stdin,
+    cwd: process.cwd(),
+    env: { SECRET: process.env.SECRET, GREETING: process.env.GREETING, HAS_PATH: 'PATH' in process.env }
+  }));
+});
@@ -0,0 +1 @@
+module.exports = async (input) => ({ input });
@@ -0,0 +1 @@
+module.exports = () => new Promise((resolve) => setTimeout(() => resolve({ done: true }), 50));
@@ -0,0 +1 @@
+module.exports = async (_input, req) => ({ auth: req?.auth ?? null });
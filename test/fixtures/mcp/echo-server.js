@@ -0,0 +1,25 @@
+// Minimal stdio MCP server used by the mcpTool tests
+const readline = require('node:readline');
+const { TOOLS, callTool } = require('./tools');
+
+const send = (message) => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const message = JSON.parse(line);
+  if (message.id === undefined) return;
+
+  switch (message.method) {
+    case 'initialize':
+      send({ id: message.id, result: { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'echo-server', version: '1.0.0' } } });
+      break;
+    case 'tools/list':
+      send({ id: message.id, result: { tools: TOOLS } });
+      break;
+    case 'tools/call':
+      if (message.params.name === 'crash') process.exit(3);
+      send({ id: message.id, result: callTool(message.params.name, message.params.arguments, process.env) });
+      break;
+    default:
+      send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+  }
+});
@@ -0,0 +1,25 @@
+// Tools shared by the stdio and HTTP MCP test servers
+const TOOLS = [
+  { name: 'echo', description: 'Echo the arguments as text.', inputSchema: { type: 'object' } },
+  { name: 'add', description: 'Add two numbers.', inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } } },
+  { name: 'greet', description: 'Greet using GREETING from the environment.', inputSchema: { type: 'object' } },
+  { name: 'fail', description: 'Always fails.', inputSchema: { type: 'object' } },
+  { name: 'crash', description: 'Exits the server.', inputSchema: { type: 'object' } }
+];
+
+function callTool(name, args = {}, env = {}) {
+  switch (name) {
+    case 'echo':
+      return { content: [{ type: 'text', text: JSON.stringify(args) }] };
+    case 'add': {
+      const sum = args.a + args.b;
+      return { content: [{ type: 'text', text: String(sum) }], structuredContent: { sum } };
+    }
+    case 'greet':
+      return { content: [{ type: 'text', text: `${env.GREETING || 'Hello'}, ${args.name}!` }] };
+    default:
+      return { content: [{ type: 'text', text: `${name} went wrong` }], isError: true };
+  }
+}
+
+module.exports = { TOOLS, callTool };
@@ -0,0 +1,19 @@
+// Rate limit store allowing `allow` requests per key, recording every key it was asked about
+module.exports = ({ allow }) => {
+  const counts = new Map();
+  const store = {
+    keys: [],
+    closed: false,
+    async take(key) {
+      store.keys.push(key);
+      const count = (counts.get(key) || 0) + 1;
+      counts.set(key, count);
+      return { allowed: count <= allow, remaining: Math.max(0, allow - count), retryAfterMs: 2500, resetMs: 10000 };
+    },
+    async close() {
+      store.closed = true;
+    }
+  };
+  module.exports.last = store;
+  return store;
+};
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Stand-in for the workiq binary: `ask -q <query> [args]` prints the query, `mcp` serves
+// ask_work_iq over stdio (and never answers with --silent)
+const readline = require('node:readline');
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === 'ask') {
+  const [, query, ...extra] = args;
+  process.stdout.write(`cli: ${query}${extra.length ? ` ${extra.join(' ')}` : ''}\n`);
+  process.exit(0);
+}
+
+if (command !== 'mcp') {
+  process.stderr.write(`Unknown command: ${command}\n`);
+  process.exit(1);
+}
+
+const silent = args.includes('--silent');
+let eulaAccepted = false;
+const send = (message) => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+const tools = [
+  { name: 'accept_eula', inputSchema: { type: 'object', properties: { eulaUrl: { type: 'string' } } } },
+  { name: 'ask_work_iq', inputSchema: { type: 'object', properties: { question: { type: 'string' } } } }
+];
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const message = JSON.parse(line);
+  if (silent || message.id === undefined) return;
+
+  if (message.method === 'initialize') {
+    send({ id: message.id, result: { protocolVersion: message.params.protocolVersion, capabilities: {}, serverInfo: { name: 'fake-workiq' } } });
+  } else if (message.method === 'tools/list') {
+    send({ id: message.id, result: { tools } });
+  } else if (message.params.name === 'accept_eula') {
+    eulaAccepted = true;
+    send({ id: message.id, result: { content: [{ type: 'text', text: 'accepted' }] } });
+  } else {
+    const text = `mcp: ${message.params.arguments.question} (eula ${eulaAccepted ? 'accepted' : 'pending'})`;
+    send({ id: message.id, result: { content: [{ type: 'text', text }] } });
+  }
+});
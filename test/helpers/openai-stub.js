@@ -0,0 +1,81 @@
+const express = require('express');
+
+/**
+ * Starts a local stand-in for an OpenAI-compatible chat completions server.
+ * `reply` receives the parsed request body and returns the assistant content, or
+ * `{ toolCalls: [{ name, arguments }] }` to answer with tool calls.
+ * Streaming requests receive the content split into small SSE chunks.
+ *
+ * @param {object} options
+ * @param {(body: object) => string | { toolCalls: object[] }} options.reply - Produces the completion
+ * @returns {Promise<{ baseUrl: string, requests: object[], close: () => Promise<void> }>}
+ */
+async function startOpenAiStub({ reply }) {
+  const requests = [];
+  const app = express();
+  app.use(express.json());
+
+  app.post('/v1/chat/completions', (req, res) => {
+    requests.push(req.body);
+    const content = reply(req.body);
+    const base = { id: 'chatcmpl-stub', created: 0, model: req.body.model };
+
+    if (typeof content === 'object') {
+      return res.json({
+        ...base,
+        object: 'chat.completion',
+        choices: [{
+          index: 0,
+          finish_reason: 'tool_calls',
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: content.toolCalls.map((call, i) => ({
+              id: `call_${requests.length}_${i}`,
+              type: 'function',
+              function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+            }))
+          }
+        }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      });
+    }
+
+    if (!req.body.stream) {
+      return res.json({
+        ...base,
+        object: 'chat.completion',
+        choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      });
+    }
+
+    res.set('Content-Type', 'text/event-stream');
+    for (let i = 0; i < content.length; i += 4) {
+      const chunk = {
+        ...base,
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta: { content: content.slice(i, i + 4) }, finish_reason: null }]
+      };
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+    if (req.body.stream_options?.include_usage) {
+      const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+      res.write(`data: ${JSON.stringify({ ...base, object: 'chat.completion.chunk', choices: [], usage })}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+    return res.end();
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise((resolve) => server.close(() => resolve()))
+  };
+}
+
+module.exports = { startOpenAiStub };
@@ -0,0 +1,182 @@
+const express = require('express');
+const { TOOLS, callTool } = require('../fixtures/mcp/tools');
+
+async function listen(app) {
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(() => resolve()))
+  };
+}
+
+// Splits text into 4-character pieces, like the OpenAI stub's stream
+function pieces(content) {
+  const result = [];
+  for (let i = 0; i < content.length; i += 4) {
+    result.push(content.slice(i, i + 4));
+  }
+  return result;
+}
+
+/**
+ * Starts a local stand-in for the Anthropic Messages API (`POST /v1/messages`).
+ * `reply` receives the parsed request body and returns the assistant text; returning
+ * `{ status, error }` responds with that HTTP error instead, and `{ toolCalls: [{ name, arguments }] }`
+ * answers with tool_use blocks.
+ *
+ * @param {object} options
+ * @param {(body: object) => string | { status: number, error: string } | { toolCalls: object[] }} options.reply
+ * @returns {Promise<{ baseUrl: string, requests: object[], headers: object[], close: () => Promise<void> }>}
+ */
+async function startAnthropicStub({ reply }) {
+  const requests = [];
+  const headers = [];
+  const app = express();
+  app.use(express.json());
+
+  app.post('/v1/messages', (req, res) => {
+    requests.push(req.body);
+    headers.push(req.headers);
+    const content = reply(req.body);
+    if (content.status) {
+      return res.status(content.status).json({ type: 'error', error: { type: 'api_error', message: content.error } });
+    }
+
+    const usage = { input_tokens: 12, output_tokens: 7 };
+    if (!req.body.stream) {
+      return res.json({
+        id: 'msg_stub',
+        type: 'message',
+        role: 'assistant',
+        model: req.body.model,
+        content: content.toolCalls
+          ? content.toolCalls.map((call, i) => ({ type: 'tool_use', id: `toolu_${requests.length}_${i}`, name: call.name, input: call.arguments }))
+          : [{ type: 'text', text: content }],
+        stop_reason: content.toolCalls ? 'tool_use' : 'end_turn',
+        usage
+      });
+    }
+
+    res.set('Content-Type', 'text/event-stream');
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+    send('message_start', { message: { id: 'msg_stub', role: 'assistant', content: [], usage: { input_tokens: usage.input_tokens, output_tokens: 1 } } });
+    send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+    for (const text of pieces(content)) {
+      send('content_block_delta', { index: 0, delta: { type: 'text_delta', text } });
+    }
+    send('content_block_stop', { index: 0 });
+    send('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.output_tokens } });
+    send('message_stop', {});
+    return res.end();
+  });
+
+  return { ...(await listen(app)), requests, headers };
+}
+
+/**
+ * Starts a local stand-in for Ollama's native chat API (`POST /api/chat`).
+ * Streaming requests receive newline-delimited JSON chunks followed by a final `done` chunk.
+ *
+ * @param {object} options
+ * @param {(body: object) => string | { toolCalls: object[] }} options.reply - Produces the assistant
+ *   text, or tool calls
+ * @returns {Promise<{ baseUrl: string, requests: object[], headers: object[], close: () => Promise<void> }>}
+ */
+async function startOllamaStub({ reply }) {
+  const requests = [];
+  const headers = [];
+  const app = express();
+  app.use(express.json());
+
+  app.post('/api/chat', (req, res) => {
+    requests.push(req.body);
+    headers.push(req.headers);
+    const content = reply(req.body);
+    const base = { model: req.body.model, created_at: '2024-01-01T00:00:00Z' };
+    const totals = { prompt_eval_count: 20, eval_count: 9 };
+
+    if (req.body.stream === false) {
+      const message = content.toolCalls
+        ? { role: 'assistant', content: '', tool_calls: content.toolCalls.map(call => ({ function: call })) }
+        : { role: 'assistant', content };
+      return res.json({ ...base, message, done: true, ...totals });
+    }
+
+    res.set('Content-Type', 'application/x-ndjson');
+    for (const text of pieces(content)) {
+      res.write(`${JSON.stringify({ ...base, message: { role: 'assistant', content: text }, done: false })}\n`);
+    }
+    res.write(`${JSON.stringify({ ...base, message: { role: 'assistant', content: '' }, done: true, ...totals })}\n`);
+    return res.end();
+  });
+
+  return { ...(await listen(app)), requests, headers };
+}
+
+/**
+ * Starts a Streamable HTTP MCP server (`POST /mcp`) serving the tools in fixtures/mcp/tools.js.
+ * Requests outside the session it handed out are answered with 404, like a restarted server.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.sse] - Answer with an SSE stream instead of a JSON body
+ * @returns {Promise<{ baseUrl: string, requests: object[], headers: object[], sessions: Set<string>, close: () => Promise<void> }>}
+ */
+async function startMcpHttpStub({ sse = false } = {}) {
+  const requests = [];
+  const headers = [];
+  const sessions = new Set();
+  let nextSession = 0;
+  const app = express();
+  app.use(express.json());
+
+  app.post('/mcp', (req, res) => {
+    requests.push(req.body);
+    headers.push(req.headers);
+    const message = req.body;
+    const session = req.get('mcp-session-id');
+
+    if (message.method === 'initialize') {
+      const id = `session-${++nextSession}`;
+      sessions.add(id);
+      res.set('mcp-session-id', id);
+    } else if (!sessions.has(session)) {
+      res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' } });
+      return;
+    }
+
+    if (message.id === undefined) {
+      res.status(202).end();
+      return;
+    }
+
+    let reply;
+    if (message.method === 'initialize') {
+      reply = { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'http-stub', version: '1.0.0' } };
+    } else if (message.method === 'tools/list') {
+      reply = { tools: TOOLS };
+    } else {
+      reply = callTool(message.params.name, message.params.arguments);
+    }
+
+    const body = { jsonrpc: '2.0', id: message.id, result: reply };
+    if (sse) {
+      res.set('content-type', 'text/event-stream');
+      res.write(`event: message\ndata: ${JSON.stringify(body)}\n\n`);
+      res.end();
+    } else {
+      res.json(body);
+    }
+  });
+
+  app.delete('/mcp', (req, res) => {
+    sessions.delete(req.get('mcp-session-id'));
+    res.status(204).end();
+  });
+
+  const server = await listen(app);
+  return { ...server, requests, headers, sessions };
+}
+
+module.exports = { startAnthropicStub, startOllamaStub, startMcpHttpStub };
@@ -0,0 +1,225 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const express = require('express');
+const request = require('supertest');
+const { createHandler, setRecorder } = require('../src/engine');
+const { createRecorder } = require('../src/recorder');
+const { startServer, stopServer } = require('../src/server');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+// Upstream REST service that records what it receives
+async function startUpstream() {
+  const requests = [];
+  const app = express();
+  app.use(express.json());
+  app.use(express.text());
+
+  app.get('/users/:id', (req, res) => {
+    requests.push({ method: req.method, url: req.originalUrl, headers: req.headers });
+    res.json({ data: { user: { id: req.params.id, name: 'Ada' }, roles: ['admin'] } });
+  });
+  app.all('/echo', (req, res) => {
+    requests.push({ method: req.method, url: req.originalUrl, headers: req.headers, body: req.body });
+    res.json({ received: req.body });
+  });
+  app.get('/text', (_req, res) => res.type('text/plain').send('{"ok":true}'));
+  app.get('/fail', (_req, res) => res.status(503).send('maintenance'));
+  app.get('/slow', (_req, res) => setTimeout(() => res.json({}), 500));
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(() => resolve()))
+  };
+}
+
+describe('httpHandler', () => {
+  let upstream;
+
+  const httpEndpoint = (httpHandler, extra = {}) => ({ name: 'upstream', httpHandler, ...extra });
+
+  beforeEach(async () => {
+    upstream = await startUpstream();
+    process.env.AI_LAMBDA_TEST_TOKEN = 'secret-token';
+  });
+
+  afterEach(async () => {
+    delete process.env.AI_LAMBDA_TEST_TOKEN;
+    await stopServer();
+    await upstream.close();
+  });
+
+  it('builds the URL, query and headers from templates and extracts the response path', async () => {
+    const handler = await createHandler(httpEndpoint({
+      url: `${upstream.baseUrl}/users/{{id}}`,
+      query: { expand: '{{expand}}', tags: ['a', 'b'], skip: '{{input.missing | default: null}}' },
+      headers: { Authorization: 'Bearer {{env.AI_LAMBDA_TEST_TOKEN}}' },
+      responsePath: 'data.user'
+    }), __dirname, noopLogger);
+
+    const output = await handler({ id: 42, expand: true });
+
+    assert.deepEqual(output, { id: '42', name: 'Ada' });
+    assert.equal(upstream.requests[0].url, '/users/42?expand=true&tags=a&tags=b');
+    assert.equal(upstream.requests[0].headers.authorization, 'Bearer secret-token');
+  });
+
+  it('sends the input as the JSON body when no body template is set', async () => {
+    const handler = await createHandler(httpEndpoint({ url: `${upstream.baseUrl}/echo`, method: 'POST' }), __dirname, noopLogger);
+
+    assert.deepEqual(await handler({ a: 1 }), { received: { a: 1 } });
+    assert.equal(upstream.requests[0].headers['content-type'], 'application/json');
+  });
+
+  it('renders a body template, keeping value types', async () => {
+    const handler = await createHandler(httpEndpoint({
+      url: `${upstream.baseUrl}/echo`,
+      method: 'PUT',
+      body: { user: { name: '{{name | upper}}', age: '{{age}}' }, source: 'ai-lambda' },
+      responsePath: 'received.user'
+    }), __dirname, noopLogger);
+
+    assert.deepEqual(await handler({ name: 'ada', age: 36 }), { name: 'ADA', age: 36 });
+    assert.equal(upstream.requests[0].method, 'PUT');
+  });
+
+  it('sends string bodies as text', async () => {
+    const handler = await createHandler(httpEndpoint({ url: `${upstream.baseUrl}/echo`, method: 'POST', body: 'Hello {{name}}' }), __dirname, noopLogger);
+
+    assert.deepEqual(await handler({ name: 'Ada' }), { received: 'Hello Ada' });
+    assert.match(upstream.requests[0].headers['content-type'], /^text\/plain/);
+  });
+
+  it('parses a text response when the endpoint has an outputSchema', async () => {
+    const handler = await createHandler(httpEndpoint({ url: `${upstream.baseUrl}/text` }, { outputSchema: { type: 'object' } }), __dirname, noopLogger);
+
+    assert.deepEqual(await handler({}), { ok: true });
+  });
+
+  it('fails on non-2xx responses', async () => {
+    const handler = await createHandler(httpEndpoint({ url: `${upstream.baseUrl}/fail` }), __dirname, noopLogger);
+
+    await assert.rejects(handler({}), (err) => {
+      assert.equal(err.status, 503);
+      assert.match(err.message, /^GET http:\/\/127\.0\.0\.1:\d+\/fail responded with status 503: maintenance$/);
+      return true;
+    });
+  });
+
+  it('fails when the upstream takes longer than timeoutMs', async () => {
+    const handler = await createHandler(httpEndpoint({ url: `${upstream.baseUrl}/slow`, timeoutMs: 50 }), __dirname, noopLogger);
+
+    await assert.rejects(handler({}), { name: 'TimeoutError', message: /\/slow timed out after 50ms/ });
+  });
+
+  it('encodes interpolated values so they stay inside their part of the URL', async () => {
+    const handler = await createHandler(httpEndpoint({ url: `${upstream.baseUrl}/users/{{id}}`, responsePath: 'data.user' }), __dirname, noopLogger);
+
+    assert.deepEqual(await handler({ id: '../admin?x=1#' }), { id: '../admin?x=1#', name: 'Ada' });
+    assert.equal(upstream.requests[0].url, '/users/..%2Fadmin%3Fx%3D1%23');
+  });
+
+  it('inserts environment values into the URL as written and keeps them out of recordings', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-recordings-'));
+    process.env.AI_LAMBDA_TEST_BASE = upstream.baseUrl;
+    try {
+      setRecorder(createRecorder({ mode: 'record', dir, logger: noopLogger }));
+      const handler = await createHandler(httpEndpoint({
+        url: '{{env.AI_LAMBDA_TEST_BASE}}/users/{{id}}',
+        query: { key: '{{env.AI_LAMBDA_TEST_TOKEN}}' },
+        responsePath: 'data.user'
+      }), __dirname, noopLogger);
+
+      assert.deepEqual(await handler({ id: 'a/b' }), { id: 'a/b', name: 'Ada' });
+      assert.equal(upstream.requests[0].url, '/users/a%2Fb?key=secret-token');
+
+      const [file] = fs.readdirSync(dir);
+      const { request: recorded } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      assert.equal(recorded.url, '{{env.AI_LAMBDA_TEST_BASE}}/users/a%2Fb?key={{env.AI_LAMBDA_TEST_TOKEN}}');
+    } finally {
+      setRecorder(null);
+      delete process.env.AI_LAMBDA_TEST_BASE;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('exposes only the environment variables the templates reference', async () => {
+    const handler = await createHandler(httpEndpoint({
+      url: `${upstream.baseUrl}/echo`,
+      headers: { Authorization: 'Bearer {{env.AI_LAMBDA_TEST_TOKEN}}', 'X-Other': '{{env.AI_LAMBDA_MISSING}}' }
+    }), __dirname, noopLogger);
+
+    await assert.rejects(handler({}), (err) => {
+      assert.match(err.message, /property "AI_LAMBDA_MISSING" does not exist in "env"\. Available properties: AI_LAMBDA_TEST_TOKEN$/);
+      return true;
+    });
+  });
+
+  it('answers 504 when the upstream times out behind a route', async () => {
+    const config = {
+      baseDir: __dirname,
+      endpoints: [{
+        name: 'slow',
+        description: 'Call a slow upstream.',
+        path: '/slow',
+        method: 'GET',
+        httpHandler: { url: `${upstream.baseUrl}/slow`, timeoutMs: 50 }
+      }]
+    };
+    const server = await startServer({ config, port: 0, logger: noopLogger });
+
+    await request(server).get('/slow').expect(504)
+      .expect(({ body }) => assert.equal(body.error, 'Handler timed out'));
+  });
+
+  it('fails when a template cannot be resolved', async () => {
+    const handler = await createHandler(httpEndpoint({ url: `${upstream.baseUrl}/users/{{id}}` }), __dirname, noopLogger);
+
+    await assert.rejects(handler({}), /Failed to build HTTP request for upstream: Cannot resolve template path "id"/);
+  });
+
+  it('composes with chains and output validation behind a route', async () => {
+    const config = {
+      baseDir: __dirname,
+      endpoints: [
+        {
+          name: 'get-user',
+          description: 'Fetch a user.',
+          path: '/user',
+          method: 'GET',
+          outputSchema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+          httpHandler: { url: `${upstream.baseUrl}/users/{{id}}`, responsePath: 'data.user' }
+        },
+        {
+          name: 'get-roles',
+          description: 'Fetch a user with the wrong path.',
+          path: '/roles',
+          method: 'GET',
+          outputSchema: { type: 'object' },
+          httpHandler: { url: `${upstream.baseUrl}/users/{{id}}`, responsePath: 'data.roles' }
+        },
+        {
+          name: 'greet-user',
+          description: 'Greet a fetched user.',
+          path: '/greet',
+          method: 'POST',
+          chainHandler: {
+            steps: [{ name: 'user', endpoint: 'get-user', input: { id: '{{input.id}}' } }],
+            output: { greeting: 'Hello {{user.name}}' }
+          }
+        }
+      ]
+    };
+    const server = await startServer({ config, port: 0, logger: noopLogger });
+
+    await request(server).post('/greet').send({ id: 7 }).expect(200, { greeting: 'Hello Ada' });
+    await request(server).get('/roles?id=7').expect(500)
+      .expect(({ body }) => assert.equal(body.error, 'Handler output failed validation'));
+  });
+});
@@ -0,0 +1,209 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { PassThrough } = require('node:stream');
+const { strict: assert } = require('node:assert');
+const request = require('supertest');
+const { loadConfig } = require('../src/config');
+const { buildHandlers } = require('../src/server');
+const { replaceHandlerRegistry, clearHandlerRegistry } = require('../src/engine');
+const { createMcpServer, createMcpHttpApp, createToolAuthorizer, serveStdio } = require('../src/mcp-server');
+const { createAuthenticator } = require('../src/auth');
+const { McpClient } = require('../src/mcp-client');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+async function mcpServerFor(fixture) {
+  const config = await loadConfig(path.join(__dirname, 'fixtures', fixture), noopLogger);
+  const handlers = await buildHandlers(config, noopLogger);
+  replaceHandlerRegistry(handlers);
+  return createMcpServer({ handlers, logger: noopLogger });
+}
+
+const call = (mcp, name, args) => mcp.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+
+describe('mcp server', () => {
+  afterEach(() => {
+    clearHandlerRegistry();
+  });
+
+  it('negotiates the protocol version on initialize', async () => {
+    const mcp = await mcpServerFor('js-only-config.json');
+
+    const current = await mcp.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+    const future = await mcp.handleMessage({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '2099-01-01' } });
+
+    assert.equal(current.result.protocolVersion, '2025-03-26');
+    assert.equal(future.result.protocolVersion, '2025-06-18');
+    assert.deepEqual(current.result.capabilities, { tools: { listChanged: false } });
+    assert.equal(current.result.serverInfo.name, 'ai-lambda-service');
+  });
+
+  it('lists every endpoint as a tool with its schemas', async () => {
+    const mcp = await mcpServerFor('js-only-config.json');
+
+    const { result } = await mcp.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+    assert.equal(result.tools.length, 1);
+    assert.equal(result.tools[0].name, 'test-sum');
+    assert.equal(result.tools[0].description, 'Sum two numbers for tests.');
+    assert.deepEqual(result.tools[0].inputSchema.required, ['a', 'b']);
+    assert.deepEqual(result.tools[0].outputSchema.required, ['sum']);
+  });
+
+  it('calls the endpoint handler and returns text and structured content', async () => {
+    const mcp = await mcpServerFor('js-only-config.json');
+
+    const { result } = await call(mcp, 'test-sum', { a: 2, b: 3 });
+
+    assert.deepEqual(result, { content: [{ type: 'text', text: '{"sum":5}' }], structuredContent: { sum: 5 } });
+  });
+
+  it('dispatches chains through the handler registry', async () => {
+    const mcp = await mcpServerFor('chain-config.json');
+
+    const { result } = await call(mcp, 'add-then-double', { value: 4 });
+
+    assert.deepEqual(result.structuredContent, { final: 10 });
+  });
+
+  it('reports invalid arguments as a tool error', async () => {
+    const mcp = await mcpServerFor('js-only-config.json');
+
+    const { result } = await call(mcp, 'test-sum', { a: 2 });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /^Invalid arguments: .*must have required property 'b'/);
+  });
+
+  it('answers unknown tools and methods with JSON-RPC errors', async () => {
+    const mcp = await mcpServerFor('js-only-config.json');
+
+    const unknownTool = await call(mcp, 'nope', {});
+    const unknownMethod = await mcp.handleMessage({ jsonrpc: '2.0', id: 2, method: 'resources/list' });
+
+    assert.deepEqual(unknownTool.error, { code: -32602, message: 'Unknown tool: nope' });
+    assert.equal(unknownMethod.error.code, -32601);
+  });
+
+  it('does not answer notifications', async () => {
+    const mcp = await mcpServerFor('js-only-config.json');
+
+    assert.equal(await mcp.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  });
+
+  it('serves newline-delimited messages over stdio', async () => {
+    const mcp = await mcpServerFor('js-only-config.json');
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const serving = serveStdio(mcp, { input, output });
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write('not json\n');
+    input.end('{"jsonrpc":"2.0","id":2,"method":"tools/call","params":{"name":"test-sum","arguments":{"a":1,"b":1}}}\n');
+    await serving;
+
+    const responses = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(responses.find(r => r.id === 1), { jsonrpc: '2.0', id: 1, result: {} });
+    assert.equal(responses.find(r => r.id === null).error.code, -32700);
+    assert.deepEqual(responses.find(r => r.id === 2).result.structuredContent, { sum: 2 });
+  });
+
+  it('serves Streamable HTTP requests with JSON responses', async () => {
+    const app = createMcpHttpApp(await mcpServerFor('js-only-config.json'));
+
+    const res = await request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'test-sum', arguments: { a: 4, b: 5 } } })
+      .expect(200);
+    assert.deepEqual(res.body.result.structuredContent, { sum: 9 });
+
+    await request(app).post('/mcp').send({ jsonrpc: '2.0', method: 'notifications/initialized' }).expect(202);
+    await request(app).get('/mcp').expect(405);
+  });
+
+  it('authenticates Streamable HTTP tool calls with their endpoints\' strategies', async () => {
+    const whoami = (name, extra = {}) => ({
+      name,
+      description: 'Return the authenticated principal.',
+      path: `/${name}`,
+      method: 'GET',
+      jsHandler: { file: 'fixtures/handlers/whoami.js' },
+      ...extra
+    });
+    const config = {
+      baseDir: __dirname,
+      auth: {
+        strategies: {
+          keys: { type: 'apiKey', keys: { ci: 'key-123' } },
+          tokens: { type: 'bearer', tokens: { ops: 'token-789' } }
+        },
+        default: ['keys']
+      },
+      endpoints: [whoami('whoami'), whoami('open', { public: true }), whoami('ops', { auth: ['tokens'] })]
+    };
+    const handlers = await buildHandlers(config, noopLogger);
+    const authenticator = await createAuthenticator(config);
+    const mcp = createMcpServer({ handlers, logger: noopLogger, authorize: createToolAuthorizer(config, authenticator) });
+    const app = createMcpHttpApp(mcp, authenticator.require(config.auth.default));
+    const callOver = (name, key) => request(app)
+      .post('/mcp')
+      .set('X-Api-Key', key)
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: {} } });
+
+    await request(app).post('/mcp').send({ jsonrpc: '2.0', id: 1, method: 'tools/list' }).expect(401);
+
+    const { body } = await callOver('whoami', 'key-123').expect(200);
+    assert.deepEqual(JSON.parse(body.result.content[0].text), { auth: { strategy: 'keys', type: 'apiKey', subject: 'ci' } });
+    assert.equal(JSON.parse((await callOver('open', 'key-123')).body.result.content[0].text).auth.subject, 'ci');
+
+    const refused = (await callOver('ops', 'key-123').expect(200)).body.result;
+    assert.equal(refused.isError, true);
+    assert.equal(refused.content[0].text, 'Not authorized to call ops: Authentication required');
+
+    const allowed = await request(app)
+      .post('/mcp')
+      .set('X-Api-Key', 'key-123')
+      .set('Authorization', 'Bearer token-789')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'ops', arguments: {} } })
+      .expect(200);
+    assert.equal(JSON.parse(allowed.body.result.content[0].text).auth.subject, 'ops');
+  });
+
+  it('saves the budget counters when a stdio session ends', async function() {
+    this.timeout(10000);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-mcp-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+        budget: { day: { tokens: 100000 } },
+        endpoints: [{ name: 'draft', description: 'Draft a reply.', path: '/draft', method: 'POST', aiPrompt: { provider: 'mock', prompt: 'Answer.' } }]
+      }));
+      const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'ai-lambda-service.js'), 'mcp', '-c', 'config.json'], { cwd: dir });
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.stdin.end(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'draft', arguments: {} } })}\n`);
+
+      assert.equal(await exited, 0);
+      const counters = JSON.parse(fs.readFileSync(path.join(dir, '.ai-lambda-usage', 'budget.json'), 'utf8'));
+      assert.ok(Object.values(counters['*']).some(spent => spent.tokens > 0));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('runs as a stdio server from the CLI', async function() {
+    this.timeout(10000);
+    const client = new McpClient('self', {
+      command: process.execPath,
+      args: [path.join(__dirname, '..', 'bin', 'ai-lambda-service.js'), 'mcp', '-c', 'fixtures/js-only-config.json'],
+      timeoutMs: 8000
+    }, { baseDir: __dirname, logger: noopLogger });
+
+    try {
+      const result = await client.callTool('test-sum', { a: 20, b: 22 });
+      assert.deepEqual(result.structuredContent, { sum: 42 });
+    } finally {
+      await client.close();
+    }
+  });
+});
@@ -0,0 +1,240 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const { createHandler, setRecorder } = require('../src/engine');
+const { getMcpClient, mcpClientStatus, closeMcpClients } = require('../src/mcp-client');
+const { createRecorder } = require('../src/recorder');
+const { startMcpHttpStub } = require('./helpers/provider-stubs');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+const stdioServer = { command: process.execPath, args: ['fixtures/mcp/echo-server.js'], timeoutMs: 5000, restartDelayMs: 20 };
+
+// Polls until the client reaches `state`
+async function waitForState(client, state) {
+  for (let i = 0; i < 100 && client.status().state !== state; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(client.status().state, state);
+}
+
+const mcpEndpoint = (mcpTool, extra = {}) => ({ name: 'mcp-endpoint', mcpTool: { server: 'echo', ...mcpTool }, ...extra });
+
+async function mcpHandler(endpoint, server = stdioServer) {
+  const config = { mcpServers: { echo: server }, endpoints: [endpoint] };
+  return createHandler(endpoint, __dirname, noopLogger, config);
+}
+
+describe('mcpTool handler', () => {
+  afterEach(async () => {
+    setRecorder(null);
+    await closeMcpClients();
+  });
+
+  describe('stdio transport', () => {
+    it('passes the input as tool arguments and returns the text content', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo' }));
+
+      assert.equal(await handler({ message: 'hi' }), '{"message":"hi"}');
+    });
+
+    it('maps input to arguments through templates', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo', arguments: { text: 'Hello {{name}}', count: '{{n}}', all: '{{input}}' } }));
+
+      assert.equal(await handler({ name: 'Ada', n: 2 }), '{"text":"Hello Ada","count":2,"all":{"name":"Ada","n":2}}');
+    });
+
+    it('returns structuredContent when the endpoint has an outputSchema', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'add' }, { outputSchema: { type: 'object' } }));
+
+      assert.deepEqual(await handler({ a: 2, b: 3 }), { sum: 5 });
+    });
+
+    it('parses JSON text content when the endpoint has an outputSchema', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo' }, { outputSchema: { type: 'object' } }));
+
+      assert.deepEqual(await handler({ a: 1 }), { a: 1 });
+    });
+
+    it('passes env and resolves cwd against the config directory', async () => {
+      const server = { command: process.execPath, args: ['echo-server.js'], cwd: 'fixtures/mcp', env: { GREETING: 'Howdy' } };
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'greet' }), server);
+
+      assert.equal(await handler({ name: 'Ada' }), 'Howdy, Ada!');
+    });
+
+    it('throws when the tool reports an error', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'fail' }));
+
+      await assert.rejects(handler({}), /MCP tool fail failed: fail went wrong/);
+    });
+
+    it('throws for a tool the server does not offer', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'missing' }));
+
+      await assert.rejects(handler({}), /Tool "missing" not found on MCP server echo\. Available tools: echo, add/);
+    });
+
+    it('fails in-flight calls when the server exits and restarts it with backoff', async () => {
+      const crash = await mcpHandler(mcpEndpoint({ tool: 'crash' }));
+      await assert.rejects(crash({}), /MCP server echo exited with code 3/);
+
+      const client = getMcpClient('echo', stdioServer, { baseDir: __dirname, logger: noopLogger });
+      assert.equal(client.status().state, 'restarting');
+      const echo = await mcpHandler(mcpEndpoint({ tool: 'echo' }));
+      await assert.rejects(echo({}), /MCP server echo is restarting after: MCP server echo exited with code 3/);
+
+      await waitForState(client, 'ready');
+      assert.equal(await echo({ again: true }), '{"again":true}');
+      assert.deepEqual(mcpClientStatus(), { echo: { state: 'ready', transport: 'stdio', restarts: 1 } });
+    });
+
+    it('backs off further when a restart fails', async () => {
+      const crash = await mcpHandler(mcpEndpoint({ tool: 'crash' }));
+      await assert.rejects(crash({}));
+      const client = getMcpClient('echo', stdioServer, { baseDir: __dirname, logger: noopLogger });
+
+      // The restart runs into a timeout, so the next one waits twice as long
+      client.timeoutMs = 1;
+      for (let i = 0; i < 100 && client.failures < 2; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      assert.equal(client.status().state, 'restarting');
+      assert.match(client.status().lastError, /timed out after 1ms/);
+
+      client.timeoutMs = 5000;
+      await waitForState(client, 'ready');
+      assert.equal(client.failures, 0);
+    });
+
+    it('does not restart a server that was closed', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo' }));
+      await handler({});
+      const client = getMcpClient('echo', stdioServer, { baseDir: __dirname, logger: noopLogger });
+
+      await closeMcpClients();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.equal(client.status().state, 'closed');
+      assert.deepEqual(mcpClientStatus(), {});
+    });
+
+    it('refuses calls from handlers whose client was replaced', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo' }));
+      await handler({});
+      const client = getMcpClient('echo', stdioServer, { baseDir: __dirname, logger: noopLogger });
+
+      getMcpClient('echo', { ...stdioServer, env: { A: '1' } }, { baseDir: __dirname, logger: noopLogger });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      await assert.rejects(handler({}), /MCP server echo was closed/);
+      assert.equal(client.status().state, 'closed');
+      assert.equal(client.transport.connected, false);
+    });
+
+    it('fails when the command cannot be started, without restarting it', async () => {
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo' }), { command: 'ai-lambda-no-such-command' });
+
+      await assert.rejects(handler({}), /MCP server echo failed: spawn ai-lambda-no-such-command ENOENT/);
+      assert.equal(mcpClientStatus().echo.state, 'failed');
+      await assert.rejects(handler({}), /ENOENT/);
+    });
+
+    it('shares one client per server and replaces it when the config changes', () => {
+      const options = { baseDir: __dirname, logger: noopLogger };
+      const first = getMcpClient('echo', stdioServer, options);
+
+      assert.equal(getMcpClient('echo', { ...stdioServer }, options), first);
+      assert.notEqual(getMcpClient('echo', { ...stdioServer, env: { A: '1' } }, options), first);
+    });
+
+    it('rejects an endpoint naming an unknown server', async () => {
+      const endpoint = mcpEndpoint({ server: 'nope', tool: 'echo' });
+
+      await assert.rejects(
+        createHandler(endpoint, __dirname, noopLogger, { mcpServers: {}, endpoints: [endpoint] }),
+        /Endpoint mcp-endpoint references unknown MCP server "nope"/
+      );
+    });
+  });
+
+  describe('Streamable HTTP transport', () => {
+    let stub;
+
+    afterEach(async () => {
+      await closeMcpClients();
+      await stub?.close();
+      stub = null;
+    });
+
+    it('initializes a session and calls tools with JSON replies', async () => {
+      stub = await startMcpHttpStub();
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'add' }, { outputSchema: { type: 'object' } }), {
+        url: `${stub.baseUrl}/mcp`,
+        headers: { authorization: 'Bearer token' }
+      });
+
+      assert.deepEqual(await handler({ a: 1, b: 2 }), { sum: 3 });
+      assert.deepEqual(stub.requests.map(r => r.method), ['initialize', 'notifications/initialized', 'tools/list', 'tools/call']);
+      assert.equal(stub.headers[0]['mcp-session-id'], undefined);
+      assert.equal(stub.headers[3]['mcp-session-id'], 'session-1');
+      assert.equal(stub.headers[3].authorization, 'Bearer token');
+      assert.match(stub.headers[3].accept, /text\/event-stream/);
+    });
+
+    it('reads replies sent as an SSE stream', async () => {
+      stub = await startMcpHttpStub({ sse: true });
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo' }), { url: `${stub.baseUrl}/mcp` });
+
+      assert.equal(await handler({ x: 1 }), '{"x":1}');
+    });
+
+    it('starts a new session after the server forgets the old one', async () => {
+      stub = await startMcpHttpStub();
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo' }), { url: `${stub.baseUrl}/mcp` });
+
+      await handler({ n: 1 });
+      stub.sessions.clear();
+      await assert.rejects(handler({ n: 2 }), /responded with status 404/);
+
+      assert.equal(await handler({ n: 3 }), '{"n":3}');
+      assert.ok(stub.sessions.has('session-2'));
+    });
+
+    it('ends the session on close', async () => {
+      stub = await startMcpHttpStub();
+      const handler = await mcpHandler(mcpEndpoint({ tool: 'echo' }), { url: `${stub.baseUrl}/mcp` });
+      await handler({});
+
+      await closeMcpClients();
+
+      assert.equal(stub.sessions.size, 0);
+    });
+  });
+
+  describe('record and replay', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-mcp-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('replays recorded tool calls without starting the server', async () => {
+      setRecorder(createRecorder({ mode: 'record', dir, logger: noopLogger }));
+      const recording = await mcpHandler(mcpEndpoint({ tool: 'echo' }));
+      assert.equal(await recording({ q: 1 }), '{"q":1}');
+      await closeMcpClients();
+
+      setRecorder(createRecorder({ mode: 'replay', dir, logger: noopLogger }));
+      const replaying = await mcpHandler(mcpEndpoint({ tool: 'echo' }), { command: 'ai-lambda-no-such-command' });
+
+      assert.equal(await replaying({ q: 1 }), '{"q":1}');
+      assert.match(fs.readdirSync(dir)[0], /^mcp-tools-call-/);
+    });
+  });
+});
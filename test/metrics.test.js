@@ -0,0 +1,148 @@
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const request = require('supertest');
+const { Counter, Histogram, ServiceMetrics } = require('../src/metrics');
+const { startServer, stopServer } = require('../src/server');
+const { startOpenAiStub } = require('./helpers/openai-stub');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+const fixturesDir = path.join(__dirname, 'fixtures');
+
+describe('metrics', () => {
+  describe('exposition format', () => {
+    it('renders counters with escaped label values', () => {
+      const counter = new Counter('jobs_total', 'Jobs run.', ['name']);
+      counter.inc({ name: 'say "hi"\\now' });
+      counter.inc({ name: 'say "hi"\\now' }, 2);
+
+      assert.equal(counter.render(), [
+        '# HELP jobs_total Jobs run.',
+        '# TYPE jobs_total counter',
+        'jobs_total{name="say \\"hi\\"\\\\now"} 3'
+      ].join('\n'));
+    });
+
+    it('renders cumulative histogram buckets', () => {
+      const histogram = new Histogram('latency_seconds', 'Latency.', ['route'], [0.1, 1]);
+      histogram.observe({ route: 'a' }, 0.05);
+      histogram.observe({ route: 'a' }, 0.5);
+      histogram.observe({ route: 'a' }, 2);
+
+      assert.deepEqual(histogram.render().split('\n').slice(2), [
+        'latency_seconds_bucket{route="a",le="0.1"} 1',
+        'latency_seconds_bucket{route="a",le="1"} 2',
+        'latency_seconds_bucket{route="a",le="+Inf"} 3',
+        'latency_seconds_sum{route="a"} 2.55',
+        'latency_seconds_count{route="a"} 3'
+      ]);
+    });
+
+    it('reports MCP client states as gauges and restarts as a counter', () => {
+      const text = new ServiceMetrics().render({ files: { state: 'restarting', transport: 'stdio', restarts: 2 } });
+
+      assert.match(text, /^ai_lambda_mcp_client_state\{server="files",state="restarting"\} 1$/m);
+      assert.match(text, /^ai_lambda_mcp_client_state\{server="files",state="ready"\} 0$/m);
+      assert.match(text, /^# TYPE ai_lambda_mcp_client_restarts_total counter$/m);
+      assert.match(text, /^ai_lambda_mcp_client_restarts_total\{server="files"\} 2$/m);
+    });
+  });
+
+  describe('server', () => {
+    afterEach(async () => {
+      await stopServer();
+    });
+
+    const config = () => ({
+      baseDir: fixturesDir,
+      endpoints: [
+        {
+          name: 'sum',
+          description: 'Sum two numbers.',
+          path: '/sum',
+          method: 'POST',
+          inputSchema: { type: 'object', required: ['a', 'b'], properties: { a: { type: 'number' }, b: { type: 'number' } } },
+          jsHandler: { file: 'handlers/sum.js' }
+        },
+        {
+          name: 'sum-twice',
+          description: 'Sum, then sum again.',
+          path: '/sum-twice',
+          method: 'POST',
+          chainHandler: {
+            steps: [
+              { name: 'first', endpoint: 'sum', input: { a: '{{input.a}}', b: 1 } },
+              { name: 'second', endpoint: 'sum', input: { a: '{{steps[0].sum}}', b: 1 } }
+            ]
+          }
+        }
+      ]
+    });
+
+    const scrape = async (server) => {
+      const res = await request(server).get('/__metrics').expect(200).expect('Content-Type', /^text\/plain;.*version=0\.0\.4/);
+      return res.text;
+    };
+
+    it('counts requests and errors by endpoint, handler type and status', async () => {
+      const server = await startServer({ config: config(), port: 0, logger: noopLogger });
+      await request(server).post('/sum').send({ a: 1, b: 2 }).expect(200);
+      await request(server).post('/sum').send({ a: 1, b: 2 }).expect(200);
+      await request(server).post('/sum').send({ a: 1 }).expect(400);
+
+      const text = await scrape(server);
+      assert.match(text, /^ai_lambda_requests_total\{endpoint="sum",handler_type="JS Handler",status="200"\} 2$/m);
+      assert.match(text, /^ai_lambda_requests_total\{endpoint="sum",handler_type="JS Handler",status="400"\} 1$/m);
+      assert.match(text, /^ai_lambda_request_errors_total\{endpoint="sum",handler_type="JS Handler",status="400"\} 1$/m);
+      assert.doesNotMatch(text, /^ai_lambda_request_errors_total\{[^}]*status="200"/m);
+      assert.match(text, /^ai_lambda_request_duration_seconds_count\{endpoint="sum",handler_type="JS Handler",status="200"\} 2$/m);
+      assert.match(text, /^ai_lambda_validation_failures_total\{endpoint="sum",kind="input"\} 1$/m);
+    });
+
+    it('times chain steps by step name', async () => {
+      const server = await startServer({ config: config(), port: 0, logger: noopLogger });
+      await request(server).post('/sum-twice').send({ a: 1 }).expect(200, { sum: 3 });
+
+      const text = await scrape(server);
+      assert.match(text, /^ai_lambda_requests_total\{endpoint="sum-twice",handler_type="Chain",status="200"\} 1$/m);
+      assert.match(text, /^ai_lambda_chain_step_duration_seconds_count\{chain="sum-twice",step="first",endpoint="sum",outcome="success"\} 1$/m);
+      assert.match(text, /^ai_lambda_chain_step_duration_seconds_count\{chain="sum-twice",step="second",endpoint="sum",outcome="success"\} 1$/m);
+    });
+
+    it('counts streamed responses that end with an error event as errors', async () => {
+      const stub = await startOpenAiStub({ reply: () => '{"wrong":true}' });
+      try {
+        const server = await startServer({
+          config: {
+            baseDir: fixturesDir,
+            endpoints: [{
+              name: 'greet',
+              description: 'Greet someone.',
+              path: '/greet',
+              method: 'POST',
+              outputSchema: { type: 'object', required: ['greeting'] },
+              aiPrompt: { prompt: 'Greet.', baseUrl: stub.baseUrl, model: 'test-model' }
+            }]
+          },
+          port: 0,
+          logger: noopLogger
+        });
+        await request(server).post('/greet').set('Accept', 'text/event-stream').send({}).expect(200);
+
+        const text = await scrape(server);
+        assert.match(text, /^ai_lambda_requests_total\{endpoint="greet",handler_type="AI Prompt",status="500"\} 1$/m);
+        assert.match(text, /^ai_lambda_request_errors_total\{endpoint="greet",handler_type="AI Prompt",status="500"\} 1$/m);
+      } finally {
+        await stub.close();
+      }
+    });
+
+    it('starts from zero after a restart', async () => {
+      let server = await startServer({ config: config(), port: 0, logger: noopLogger });
+      await request(server).post('/sum').send({ a: 1, b: 2 }).expect(200);
+      await stopServer();
+
+      server = await startServer({ config: config(), port: 0, logger: noopLogger });
+      assert.doesNotMatch(await scrape(server), /^ai_lambda_requests_total\{/m);
+    });
+  });
+});
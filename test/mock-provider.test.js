@@ -0,0 +1,143 @@
+const { strict: assert } = require('node:assert');
+const Ajv = require('ajv');
+const request = require('supertest');
+const { createHandler } = require('../src/engine');
+const { generateFromSchema } = require('../src/mock-provider');
+const { startServer, stopServer } = require('../src/server');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+describe('mock provider', () => {
+  describe('generateFromSchema', () => {
+    it('produces values that satisfy the schema', () => {
+      const schema = {
+        type: 'object',
+        required: ['id', 'status', 'tags', 'score', 'count', 'email'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          status: { type: 'string', enum: ['draft', 'published'] },
+          tags: { type: 'array', items: { type: 'string', minLength: 12 }, minItems: 2, maxItems: 3 },
+          score: { type: 'number', minimum: 1, maximum: 5 },
+          count: { type: 'integer', exclusiveMinimum: 10, multipleOf: 5 },
+          email: { type: 'string', format: 'email' },
+          nested: { type: 'object', properties: { ok: { type: 'boolean' }, note: { type: ['null', 'string'], maxLength: 3 } } },
+          choice: { oneOf: [{ type: 'integer' }, { type: 'string' }] }
+        }
+      };
+      const value = generateFromSchema(schema);
+      const validate = new Ajv({ strict: false, allErrors: true, logger: false }).compile(schema);
+
+      assert.ok(validate(value), JSON.stringify(validate.errors));
+      assert.equal(value.status, 'draft');
+      assert.equal(value.tags.length, 2);
+      assert.equal(value.count, 15);
+      assert.deepEqual(value.nested, { ok: true, note: 'moc' });
+    });
+
+    it('is deterministic', () => {
+      const schema = { type: 'object', properties: { summary: { type: 'string' } } };
+      assert.deepEqual(generateFromSchema(schema), generateFromSchema(schema));
+      assert.deepEqual(generateFromSchema(schema), { summary: 'mock summary' });
+    });
+  });
+
+  describe('aiPrompt handlers', () => {
+    const endpoint = (aiPrompt, extra = {}) => ({
+      name: 'greet',
+      description: 'Greet someone.',
+      aiPrompt: { prompt: 'Greet {{name}}.', ...aiPrompt },
+      ...extra
+    });
+
+    it('returns schema-conformant output with provider "mock"', async () => {
+      const handler = await createHandler(endpoint({ provider: 'mock' }, {
+        outputSchema: { type: 'object', required: ['greeting'], properties: { greeting: { type: 'string' } } }
+      }), __dirname, noopLogger);
+
+      assert.deepEqual(await handler({ name: 'Ada' }), { greeting: 'mock greeting' });
+    });
+
+    it('is selected by a mock:// defaultBaseUrl and returns text without an outputSchema', async () => {
+      const handler = await createHandler(endpoint({}), __dirname, noopLogger, { defaultBaseUrl: 'mock://' });
+
+      assert.equal(await handler({ name: 'Ada' }), 'Mock response for greet');
+    });
+
+    it('serves the first canned response whose condition matches the input', async () => {
+      const handler = await createHandler(endpoint({
+        provider: 'mock',
+        mockResponses: [
+          { when: { value: '{{input.name}}', equals: 'Ada' }, output: { greeting: 'Hello, {{input.name}}!' } },
+          { output: 'fallback' }
+        ]
+      }), __dirname, noopLogger);
+
+      assert.equal(await handler({ name: 'Ada' }), '{"greeting":"Hello, Ada!"}');
+      assert.equal(await handler({ name: 'Grace' }), 'fallback');
+    });
+
+    it('streams the reply in chunks', async () => {
+      const handler = await createHandler(endpoint({
+        provider: 'mock',
+        mockResponses: [{ output: 'Hello there, Ada' }]
+      }), __dirname, noopLogger);
+
+      const deltas = [];
+      const output = await handler.stream({ name: 'Ada' }, {}, (delta) => deltas.push(delta));
+      assert.equal(output, 'Hello there, Ada');
+      assert.deepEqual(deltas, ['Hello ', 'there, ', 'Ada']);
+    });
+  });
+
+  describe('through the server', () => {
+    afterEach(async () => {
+      await stopServer();
+    });
+
+    it('runs chains and output validation against mock replies', async () => {
+      const config = {
+        baseDir: __dirname,
+        defaultBaseUrl: 'mock://',
+        endpoints: [
+          {
+            name: 'classify',
+            description: 'Classify text.',
+            path: '/classify',
+            method: 'POST',
+            outputSchema: {
+              type: 'object',
+              required: ['label', 'confidence'],
+              properties: { label: { enum: ['positive', 'negative'] }, confidence: { type: 'number', minimum: 0, maximum: 1 } }
+            },
+            aiPrompt: { prompt: 'Classify {{text}}.' }
+          },
+          {
+            name: 'broken',
+            description: 'Returns output that fails its schema.',
+            path: '/broken',
+            method: 'POST',
+            outputSchema: { type: 'object', required: ['label'] },
+            aiPrompt: { prompt: 'Nothing.', mockResponses: [{ output: { wrong: true } }] }
+          },
+          {
+            name: 'pipeline',
+            description: 'Chain over the classifier.',
+            path: '/pipeline',
+            method: 'POST',
+            chainHandler: {
+              steps: [{ name: 'classified', endpoint: 'classify', input: { text: '{{input.text}}' } }],
+              output: { label: '{{classified.label}}' }
+            }
+          }
+        ]
+      };
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server).post('/pipeline').send({ text: 'great' })
+        .expect(200, { label: 'positive' });
+      await request(server).post('/broken').send({})
+        .expect(500)
+        .expect(({ body }) => assert.equal(body.error, 'Handler output failed validation'));
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const request = require('supertest');
+const { loadConfig } = require('../src/config');
+const { startServer, stopServer } = require('../src/server');
+const { generateOpenApiDocument } = require('../src/openapi');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+describe('openapi', () => {
+  const config = {
+    endpoints: [
+      {
+        name: 'countries',
+        description: 'List countries on a continent.',
+        path: '/countries',
+        method: 'GET',
+        inputSchema: {
+          type: 'object',
+          required: ['continent'],
+          properties: {
+            continent: { type: 'string', description: 'Continent name' },
+            limit: { type: 'integer' }
+          }
+        },
+        outputSchema: { type: 'object', properties: { countries: { type: 'array' } } },
+        aiPrompt: { prompt: 'List countries.' }
+      },
+      {
+        name: 'sum',
+        description: 'Sum two numbers.',
+        path: '/sum',
+        method: 'POST',
+        inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } },
+        jsHandler: { file: 'handlers/sum.js' }
+      }
+    ]
+  };
+
+  it('translates GET inputSchema into query parameters', () => {
+    const doc = generateOpenApiDocument(config);
+    const operation = doc.paths['/countries'].get;
+
+    assert.equal(doc.openapi, '3.1.0');
+    assert.equal(operation.operationId, 'countries');
+    assert.deepEqual(operation.parameters, [
+      { name: 'continent', in: 'query', required: true, description: 'Continent name', schema: { type: 'string', description: 'Continent name' } },
+      { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } }
+    ]);
+    assert.equal(operation.requestBody, undefined);
+  });
+
+  it('translates POST inputSchema into a request body', () => {
+    const operation = generateOpenApiDocument(config).paths['/sum'].post;
+
+    assert.deepEqual(operation.requestBody.content['application/json'].schema, config.endpoints[1].inputSchema);
+    assert.equal(operation.parameters, undefined);
+  });
+
+  it('documents outputSchema and error responses', () => {
+    const doc = generateOpenApiDocument(config);
+    const countries = doc.paths['/countries'].get.responses;
+    const sum = doc.paths['/sum'].post.responses;
+
+    assert.deepEqual(countries[200].content['application/json'].schema, config.endpoints[0].outputSchema);
+    assert.ok(countries[200].content['text/event-stream']);
+    assert.deepEqual(sum[200].content['text/plain'].schema, { type: 'string' });
+    assert.equal(sum[400].content['application/json'].schema.$ref, '#/components/schemas/ValidationError');
+    assert.equal(sum[500].content['application/json'].schema.$ref, '#/components/schemas/HandlerError');
+    assert.ok(doc.components.schemas.ValidationError);
+    assert.ok(doc.components.schemas.HandlerError);
+  });
+
+  it('converts Express path parameters', () => {
+    const doc = generateOpenApiDocument({
+      endpoints: [{ name: 'user', description: 'Get a user.', path: '/users/:id', method: 'GET', jsHandler: { file: 'x.js' } }]
+    });
+
+    assert.deepEqual(doc.paths['/users/{id}'].get.parameters, [
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+    ]);
+  });
+
+  it('documents path parameters and header mappings outside the body', () => {
+    const inputSchema = {
+      type: 'object',
+      required: ['id', 'tenant', 'name'],
+      properties: { id: { type: 'integer' }, tenant: { type: 'string' }, name: { type: 'string' } }
+    };
+    const doc = generateOpenApiDocument({
+      endpoints: [
+        { name: 'update-user', description: 'Update a user.', path: '/users/:id', method: 'PUT', inputSchema, inputMapping: { tenant: 'headers.x-tenant' }, jsHandler: { file: 'x.js' } },
+        { name: 'delete-user', description: 'Delete a user.', path: '/users/:id', method: 'DELETE', inputSchema, jsHandler: { file: 'x.js' } }
+      ]
+    });
+    const update = doc.paths['/users/{id}'].put;
+    const remove = doc.paths['/users/{id}'].delete;
+
+    assert.deepEqual(update.parameters, [
+      { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+      { name: 'x-tenant', in: 'header', required: true, schema: { type: 'string' } }
+    ]);
+    assert.deepEqual(update.requestBody.content['application/json'].schema, {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string' } }
+    });
+    assert.deepEqual(remove.parameters.map(p => `${p.in}:${p.name}`), ['path:id', 'query:tenant', 'query:name']);
+    assert.equal(remove.requestBody, undefined);
+  });
+
+  it('describes auth strategies as security schemes', () => {
+    const doc = generateOpenApiDocument({
+      auth: {
+        strategies: {
+          keys: { type: 'apiKey', query: 'api_key', keys: { ci: 'secret' } },
+          sso: { type: 'jwt', algorithm: 'RS256', keyFile: 'public.pem' }
+        },
+        default: ['keys']
+      },
+      endpoints: [
+        { name: 'private', description: 'Needs a key.', path: '/private', method: 'GET', jsHandler: { file: 'x.js' } },
+        { name: 'admin', description: 'Needs a JWT.', path: '/admin', method: 'GET', auth: ['sso', 'keys'], jsHandler: { file: 'x.js' } },
+        { name: 'open', description: 'Public.', path: '/open', method: 'GET', public: true, jsHandler: { file: 'x.js' } }
+      ]
+    });
+
+    assert.deepEqual(doc.components.securitySchemes, {
+      keys: { type: 'apiKey', in: 'query', name: 'api_key' },
+      sso: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    });
+    assert.deepEqual(doc.paths['/private'].get.security, [{ keys: [] }]);
+    assert.deepEqual(doc.paths['/admin'].get.security, [{ sso: [] }, { keys: [] }]);
+    assert.deepEqual(doc.paths['/open'].get.security, []);
+    assert.equal(doc.paths['/private'].get.responses[401].content['application/json'].schema.$ref, '#/components/schemas/AuthError');
+    assert.equal(doc.paths['/open'].get.responses[401], undefined);
+  });
+
+  it('documents rate and concurrency limit responses', () => {
+    const doc = generateOpenApiDocument({
+      rateLimit: { requests: 60, windowMs: 60000 },
+      endpoints: [
+        { name: 'limited', description: 'Rate limited.', path: '/limited', method: 'POST', concurrency: { max: 2, queue: 4 }, jsHandler: { file: 'x.js' } },
+        { name: 'unlimited', description: 'Not limited.', path: '/unlimited', method: 'POST', rateLimit: false, jsHandler: { file: 'x.js' } }
+      ]
+    });
+    const limited = doc.paths['/limited'].post.responses;
+    const unlimited = doc.paths['/unlimited'].post.responses;
+
+    assert.equal(limited[429].content['application/json'].schema.$ref, '#/components/schemas/LimitError');
+    assert.equal(limited[503].description, 'More than 2 requests running and 4 queued');
+    assert.equal(unlimited[429], undefined);
+    assert.equal(unlimited[503], undefined);
+  });
+
+  it('documents budget responses', () => {
+    const doc = generateOpenApiDocument({
+      budget: { day: { cost: 5 } },
+      rateLimit: { requests: 60, windowMs: 60000 },
+      endpoints: [
+        { name: 'spend', description: 'Budgeted.', path: '/spend', method: 'POST', budget: { hour: { tokens: 1000 } }, aiPrompt: { prompt: 'Hi' } },
+        { name: 'free', description: 'Not rate limited.', path: '/free', method: 'POST', rateLimit: false, aiPrompt: { prompt: 'Hi' } }
+      ]
+    });
+    const spend = doc.paths['/spend'].post.responses;
+    const free = doc.paths['/free'].post.responses;
+    const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+    assert.deepEqual(spend[402].content['application/json'].schema, ref('BudgetError'));
+    assert.equal(spend[429].description, 'Rate limit exceeded or token budget used up; see the Retry-After header');
+    assert.deepEqual(spend[429].content['application/json'].schema, { oneOf: [ref('LimitError'), ref('BudgetError')] });
+    assert.ok(free[402]);
+    assert.equal(free[429], undefined);
+    assert.equal(doc.components.schemas.BudgetError.properties.error.const, 'Budget exceeded');
+  });
+
+  it('serves the document at /__openapi.json', async () => {
+    const loaded = await loadConfig(path.join(__dirname, 'fixtures', 'js-only-config.json'), noopLogger);
+    const server = await startServer({ config: loaded, port: 0, logger: noopLogger });
+
+    try {
+      await request(server)
+        .get('/__openapi.json')
+        .expect(200)
+        .expect(({ body }) => {
+          assert.equal(body.openapi, '3.1.0');
+          assert.match(body.servers[0].url, /^http:\/\/127\.0\.0\.1:\d+$/);
+          assert.ok(body.paths['/sum'].post);
+        });
+    } finally {
+      await stopServer();
+    }
+  });
+});
@@ -0,0 +1,228 @@
+const { strict: assert } = require('node:assert');
+const { createProvider, resolveProvider, ProviderError } = require('../src/providers');
+const { createHandler } = require('../src/engine');
+const { startOpenAiStub } = require('./helpers/openai-stub');
+const { startAnthropicStub, startOllamaStub } = require('./helpers/provider-stubs');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+const passthrough = (_kind, _request, perform) => perform();
+
+const request = {
+  model: 'test-model',
+  messages: [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Say hi.' }
+  ],
+  temperature: 0.5,
+  json: true
+};
+
+describe('providers', () => {
+  describe('resolveProvider', () => {
+    const config = {
+      defaultModel: 'fallback-model',
+      providers: {
+        claude: { type: 'anthropic', apiKeyEnv: 'TEST_CLAUDE_KEY', model: 'claude-test', headers: { 'x-team': 'ai' } },
+        local: { type: 'ollama', baseUrl: 'http://gpu-box:11434' }
+      }
+    };
+
+    it('merges endpoint overrides over the named provider', () => {
+      process.env.TEST_CLAUDE_KEY = 'secret';
+      try {
+        const spec = resolveProvider({ name: 'e', aiPrompt: { provider: 'claude', prompt: 'x' } }, config);
+        assert.deepEqual(spec, {
+          name: 'claude',
+          type: 'anthropic',
+          baseUrl: undefined,
+          apiKey: 'secret',
+          apiKeyEnv: 'TEST_CLAUDE_KEY',
+          headers: { 'x-team': 'ai' },
+          model: 'claude-test'
+        });
+      } finally {
+        delete process.env.TEST_CLAUDE_KEY;
+      }
+
+      const local = resolveProvider({ name: 'e', aiPrompt: { provider: 'local', model: 'llama3', prompt: 'x' } }, config);
+      assert.equal(local.baseUrl, 'http://gpu-box:11434');
+      assert.equal(local.model, 'llama3');
+    });
+
+    it('keeps the OpenAI-compatible defaults when no provider is named', () => {
+      const spec = resolveProvider({ name: 'e', aiPrompt: { prompt: 'x' } }, { defaultBaseUrl: 'http://localhost:1234/v1' });
+      assert.equal(spec.type, 'openai');
+      assert.equal(spec.baseUrl, 'http://localhost:1234/v1');
+      assert.equal(spec.model, 'gpt-4o-mini');
+    });
+
+    it('rejects unknown providers and missing credentials', async () => {
+      assert.throws(() => resolveProvider({ name: 'e', aiPrompt: { provider: 'nope', prompt: 'x' } }, config), /Unknown provider "nope"/);
+      await assert.rejects(
+        () => createProvider({ name: 'e', aiPrompt: { provider: 'claude', prompt: 'x' } }, config, { record: passthrough }),
+        /TEST_CLAUDE_KEY is required for provider "claude"/
+      );
+    });
+  });
+
+  describe('openai adapter', () => {
+    it('reports usage from a named OpenAI-compatible provider', async () => {
+      const stub = await startOpenAiStub({ reply: () => 'hi' });
+      try {
+        const provider = await createProvider(
+          { name: 'e', aiPrompt: { provider: 'compat', prompt: 'x' } },
+          { providers: { compat: { type: 'openai', baseUrl: stub.baseUrl, model: 'm', headers: { 'x-team': 'ai' } } } },
+          { record: passthrough }
+        );
+        const result = await provider.complete(request);
+
+        assert.deepEqual(result, { content: 'hi', toolCalls: [], usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } });
+        // Custom base URLs don't get response_format
+        assert.equal(stub.requests[0].response_format, undefined);
+      } finally {
+        await stub.close();
+      }
+    });
+
+    it('asks only OpenAI for stream usage, leaving it out of the recorded request', async () => {
+      const stub = await startOpenAiStub({ reply: () => 'hi' });
+      const recorded = [];
+      const record = (_kind, body, perform) => {
+        recorded.push(body);
+        return perform();
+      };
+      // The SDK falls back to OPENAI_BASE_URL, so the stub stands in for api.openai.com
+      process.env.OPENAI_BASE_URL = stub.baseUrl;
+      try {
+        const openai = await createProvider({ name: 'e', aiPrompt: { prompt: 'x', apiKey: 'k' } }, {}, { record });
+        const compat = await createProvider({ name: 'e', aiPrompt: { prompt: 'x', baseUrl: stub.baseUrl } }, {}, { record });
+
+        const result = await openai.stream(request, {}, () => {});
+        await compat.stream(request, {}, () => {});
+
+        assert.deepEqual(result.usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+        assert.deepEqual(stub.requests[0].stream_options, { include_usage: true });
+        assert.equal(stub.requests[1].stream_options, undefined);
+        assert.ok(recorded.every(body => body.stream && !('stream_options' in body)));
+      } finally {
+        delete process.env.OPENAI_BASE_URL;
+        await stub.close();
+      }
+    });
+  });
+
+  describe('anthropic adapter', () => {
+    let stub;
+    let provider;
+
+    beforeEach(async () => {
+      stub = await startAnthropicStub({ reply: (body) => (body.model === 'overloaded' ? { status: 529, error: 'Overloaded' } : 'Hello from Claude') });
+      provider = await createProvider(
+        { name: 'e', aiPrompt: { provider: 'claude', prompt: 'x', apiKey: 'sk-test' } },
+        { providers: { claude: { type: 'anthropic', baseUrl: stub.baseUrl, model: 'claude-test' } } },
+        { record: passthrough }
+      );
+    });
+
+    afterEach(async () => {
+      await stub.close();
+    });
+
+    it('translates to the Messages wire format', async () => {
+      const result = await provider.complete(request);
+
+      assert.deepEqual(result, { content: 'Hello from Claude', toolCalls: [], usage: { promptTokens: 12, completionTokens: 7, totalTokens: 19 } });
+      assert.deepEqual(stub.requests[0], {
+        model: 'test-model',
+        max_tokens: 4096,
+        system: 'Be brief.',
+        messages: [{ role: 'user', content: 'Say hi.' }],
+        temperature: 0.5
+      });
+      assert.equal(stub.headers[0]['x-api-key'], 'sk-test');
+      assert.equal(stub.headers[0]['anthropic-version'], '2023-06-01');
+    });
+
+    it('uses the request maxTokens as max_tokens', async () => {
+      await provider.complete({ ...request, maxTokens: 256 });
+      assert.equal(stub.requests[0].max_tokens, 256);
+    });
+
+    it('streams text deltas', async () => {
+      const deltas = [];
+      const result = await provider.stream(request, {}, (delta) => deltas.push(delta));
+
+      assert.equal(deltas.join(''), 'Hello from Claude');
+      assert.ok(deltas.length > 1);
+      assert.deepEqual(result.usage, { promptTokens: 12, completionTokens: 7, totalTokens: 19 });
+      assert.equal(stub.requests[0].stream, true);
+    });
+
+    it('surfaces HTTP errors with their status', async () => {
+      await assert.rejects(
+        () => provider.complete({ ...request, model: 'overloaded' }),
+        (err) => err instanceof ProviderError && err.status === 529 && /Overloaded/.test(err.message)
+      );
+    });
+  });
+
+  describe('ollama adapter', () => {
+    let stub;
+    let provider;
+
+    beforeEach(async () => {
+      stub = await startOllamaStub({ reply: () => '{"ok":true}' });
+      provider = await createProvider(
+        { name: 'e', aiPrompt: { provider: 'local', prompt: 'x' } },
+        { providers: { local: { type: 'ollama', baseUrl: stub.baseUrl, model: 'llama3' } } },
+        { record: passthrough }
+      );
+    });
+
+    afterEach(async () => {
+      await stub.close();
+    });
+
+    it('translates to /api/chat with JSON format and options', async () => {
+      const result = await provider.complete(request);
+
+      assert.deepEqual(result, { content: '{"ok":true}', toolCalls: [], usage: { promptTokens: 20, completionTokens: 9, totalTokens: 29 } });
+      assert.deepEqual(stub.requests[0], {
+        model: 'test-model',
+        messages: request.messages,
+        stream: false,
+        options: { temperature: 0.5 },
+        format: 'json'
+      });
+    });
+
+    it('sends maxTokens as num_predict', async () => {
+      await provider.complete({ ...request, maxTokens: 256 });
+      assert.deepEqual(stub.requests[0].options, { temperature: 0.5, num_predict: 256 });
+    });
+
+    it('streams newline-delimited chunks', async () => {
+      const deltas = [];
+      const result = await provider.stream(request, {}, (delta) => deltas.push(delta));
+
+      assert.equal(result.content, '{"ok":true}');
+      assert.equal(deltas.join(''), '{"ok":true}');
+      assert.equal(result.usage.totalTokens, 29);
+    });
+
+    it('backs aiPrompt endpoints that reference it by name', async () => {
+      const endpoint = {
+        name: 'check',
+        description: 'Check something.',
+        outputSchema: { type: 'object' },
+        aiPrompt: { provider: 'local', prompt: 'Check {{thing}}.' }
+      };
+      const config = { providers: { local: { type: 'ollama', baseUrl: stub.baseUrl, model: 'llama3' } } };
+      const handler = await createHandler(endpoint, __dirname, noopLogger, config);
+
+      assert.deepEqual(await handler({ thing: 'x' }), { ok: true });
+      assert.equal(stub.requests[0].model, 'llama3');
+      assert.match(stub.requests[0].messages[1].content, /^Check x\./);
+    });
+  });
+});
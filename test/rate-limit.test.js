@@ -0,0 +1,211 @@
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+const { strict: assert } = require('node:assert');
+const request = require('supertest');
+const { MemoryRateLimitStore, getConcurrencyLimiter, clearConcurrencyLimiters } = require('../src/rate-limit');
+const { startServer, stopServer, reloadServer } = require('../src/server');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+function endpoint(name, extra = {}) {
+  return {
+    name,
+    description: 'Echo the handler input.',
+    path: `/${name}`,
+    method: 'POST',
+    jsHandler: { file: 'fixtures/handlers/echo-input.js' },
+    ...extra
+  };
+}
+
+describe('rate limiting', () => {
+  describe('MemoryRateLimitStore', () => {
+    it('allows a burst, then refills at the configured rate', async () => {
+      let now = 0;
+      const store = new MemoryRateLimitStore({ now: () => now });
+      const policy = { capacity: 2, refillPerMs: 1 / 1000 };
+
+      assert.deepEqual(await store.take('a', policy), { allowed: true, remaining: 1, retryAfterMs: 0, resetMs: 1000 });
+      assert.equal((await store.take('a', policy)).allowed, true);
+      assert.deepEqual(await store.take('a', policy), { allowed: false, remaining: 0, retryAfterMs: 1000, resetMs: 2000 });
+      assert.equal((await store.take('b', policy)).allowed, true);
+
+      now = 1500;
+      assert.deepEqual(await store.take('a', policy), { allowed: true, remaining: 0, retryAfterMs: 0, resetMs: 1500 });
+      assert.deepEqual(await store.take('a', policy), { allowed: false, remaining: 0, retryAfterMs: 500, resetMs: 1500 });
+    });
+
+    it('drops buckets that have refilled', async () => {
+      let now = 0;
+      const store = new MemoryRateLimitStore({ now: () => now });
+      await store.take('a', { capacity: 5, refillPerMs: 1 });
+
+      now = 60000;
+      await store.take('b', { capacity: 5, refillPerMs: 1 });
+      assert.deepEqual(Array.from(store.buckets.keys()), ['b']);
+    });
+  });
+
+  describe('server', () => {
+    afterEach(async () => {
+      await stopServer();
+    });
+
+    const start = (config) => startServer({ config: { baseDir: __dirname, ...config }, port: 0, logger: noopLogger });
+
+    it('returns 429 with Retry-After and RateLimit headers once the bucket is empty', async () => {
+      const server = await start({
+        rateLimit: { requests: 2, windowMs: 60000 },
+        endpoints: [endpoint('limited'), endpoint('other')]
+      });
+
+      await request(server).post('/limited').send({}).expect(200)
+        .expect('RateLimit-Limit', '2')
+        .expect('RateLimit-Remaining', '1')
+        .expect('RateLimit-Policy', '2;w=60;burst=2');
+      await request(server).post('/limited').send({}).expect(200).expect('RateLimit-Remaining', '0');
+      await request(server).post('/limited').send({}).expect(429, { error: 'Too many requests', retryAfterSeconds: 30 })
+        .expect('Retry-After', '30');
+      // Every endpoint has its own bucket
+      await request(server).post('/other').send({}).expect(200);
+    });
+
+    it('limits before validating input', async () => {
+      const server = await start({
+        endpoints: [endpoint('strict', {
+          rateLimit: { requests: 1, windowMs: 1000 },
+          inputSchema: { type: 'object', required: ['name'] }
+        })]
+      });
+
+      await request(server).post('/strict').send({}).expect(400);
+      await request(server).post('/strict').send({}).expect(429);
+    });
+
+    it('keys buckets by header, falling back to the client IP', async () => {
+      const server = await start({
+        rateLimit: { requests: 1, windowMs: 60000, keyBy: 'header', header: 'x-client-id' },
+        endpoints: [endpoint('limited'), endpoint('unlimited', { rateLimit: false })]
+      });
+
+      await request(server).post('/limited').set('X-Client-Id', 'a').send({}).expect(200);
+      await request(server).post('/limited').set('X-Client-Id', 'a').send({}).expect(429);
+      await request(server).post('/limited').set('X-Client-Id', 'b').send({}).expect(200);
+      await request(server).post('/limited').send({}).expect(200);
+      await request(server).post('/limited').send({}).expect(429);
+
+      const res = await request(server).post('/unlimited').send({}).expect(200);
+      assert.equal(res.headers['ratelimit-limit'], undefined);
+    });
+
+    it('keys buckets by the authenticated principal', async () => {
+      const server = await start({
+        auth: { strategies: { keys: { type: 'apiKey', keys: { alice: 'key-a', bob: 'key-b' } } }, default: ['keys'] },
+        rateLimit: { requests: 1, windowMs: 60000, keyBy: 'auth' },
+        endpoints: [endpoint('limited')]
+      });
+
+      await request(server).post('/limited').set('X-Api-Key', 'key-a').send({}).expect(200);
+      await request(server).post('/limited').set('X-Api-Key', 'key-a').send({}).expect(429);
+      await request(server).post('/limited').set('X-Api-Key', 'key-b').send({}).expect(200);
+      // Unauthenticated requests are refused before they touch a bucket
+      await request(server).post('/limited').send({}).expect(401);
+    });
+
+    it('keeps buckets across hot reloads', async () => {
+      const config = { baseDir: __dirname, rateLimit: { requests: 1, windowMs: 60000 }, endpoints: [endpoint('limited')] };
+      const server = await start(config);
+
+      await request(server).post('/limited').send({}).expect(200);
+      await reloadServer({ ...config, endpoints: [endpoint('limited'), endpoint('added')] }, noopLogger);
+      await request(server).post('/limited').send({}).expect(429);
+    });
+
+    it('uses a custom store module', async () => {
+      const server = await start({
+        rateLimit: { requests: 10, windowMs: 1000, store: { file: 'fixtures/rate-limit/fixed-store.js', allow: 1 } },
+        endpoints: [endpoint('limited')]
+      });
+      const store = require('./fixtures/rate-limit/fixed-store').last;
+
+      await request(server).post('/limited').send({}).expect(200).expect('RateLimit-Reset', '10');
+      await request(server).post('/limited').send({}).expect(429).expect('Retry-After', '3');
+      assert.match(store.keys[0], /^limited:ip:/);
+
+      await stopServer();
+      assert.equal(store.closed, true);
+    });
+
+    it('keeps the live store when a reload fails', async () => {
+      const rateLimit = (allow) => ({ requests: 10, windowMs: 1000, store: { file: 'fixtures/rate-limit/fixed-store.js', allow } });
+      const server = await start({ rateLimit: rateLimit(1), endpoints: [endpoint('limited')] });
+      const live = require('./fixtures/rate-limit/fixed-store').last;
+
+      const broken = { baseDir: __dirname, rateLimit: rateLimit(5), endpoints: [endpoint('limited', { jsHandler: { file: 'fixtures/handlers/missing.js' } })] };
+      await assert.rejects(reloadServer(broken, noopLogger));
+      assert.equal(require('./fixtures/rate-limit/fixed-store').last.closed, true);
+
+      assert.equal(live.closed, false);
+      await request(server).post('/limited').send({}).expect(200);
+      await request(server).post('/limited').send({}).expect(429);
+    });
+
+    it('fails to start when the store module cannot be loaded', async () => {
+      await assert.rejects(
+        () => start({ rateLimit: { store: { file: 'fixtures/rate-limit/missing.js' } }, endpoints: [endpoint('limited')] }),
+        /Failed to load rate limit store/
+      );
+    });
+  });
+
+  describe('concurrency limits', () => {
+    afterEach(async () => {
+      await stopServer();
+    });
+
+    const slowEndpoint = (concurrency) => ({
+      ...endpoint('slow', { concurrency }),
+      jsHandler: { file: 'fixtures/handlers/slow.js' }
+    });
+
+    it('rejects requests beyond max running and queued with 503', async () => {
+      const server = await startServer({ config: { baseDir: __dirname, endpoints: [slowEndpoint({ max: 1, queue: 1 })] }, port: 0, logger: noopLogger });
+
+      const statuses = await Promise.all([1, 2, 3].map(() => request(server).post('/slow').send({}).then(res => res.status)));
+      assert.deepEqual(statuses.sort(), [200, 200, 503]);
+
+      const res = await request(server).post('/slow').send({}).expect(200);
+      assert.deepEqual(res.body, { done: true });
+    });
+
+    it('runs queued requests one at a time', async () => {
+      const server = await startServer({ config: { baseDir: __dirname, endpoints: [slowEndpoint({ max: 1, queue: 5 })] }, port: 0, logger: noopLogger });
+
+      const started = Date.now();
+      const statuses = await Promise.all([1, 2, 3].map(() => request(server).post('/slow').send({}).then(res => res.status)));
+      assert.deepEqual(statuses, [200, 200, 200]);
+      // Each request takes about 50ms, so three in a row take at least 150ms
+      assert.ok(Date.now() - started >= 140);
+    });
+
+    it('keeps running and queued requests when the config is reloaded', async () => {
+      const res = new EventEmitter();
+      const limiter = getConcurrencyLimiter(slowEndpoint({ max: 1, queue: 1 }));
+      const release = await limiter.acquire(res);
+      const queued = limiter.acquire(res);
+
+      // A reload gets the same limiter, so the running request still holds the only slot
+      const reloaded = getConcurrencyLimiter(slowEndpoint({ max: 1, queue: 1 }));
+      assert.equal(reloaded, limiter);
+      assert.equal(await reloaded.acquire(res), null);
+
+      // Raising max lets the queued request start
+      getConcurrencyLimiter(slowEndpoint({ max: 2, queue: 1 }));
+      assert.equal(typeof await queued, 'function');
+      release();
+
+      clearConcurrencyLimiters();
+      assert.notEqual(getConcurrencyLimiter(slowEndpoint({ max: 1 })), limiter);
+    });
+  });
+});
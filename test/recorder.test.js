@@ -0,0 +1,100 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const { createHandler, setRecorder } = require('../src/engine');
+const { createRecorder, RecordingMissError } = require('../src/recorder');
+const { startOpenAiStub } = require('./helpers/openai-stub');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+describe('recorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-recordings-'));
+  });
+
+  afterEach(() => {
+    setRecorder(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records a call once and replays it without performing it', async () => {
+    let calls = 0;
+    const perform = async () => ({ answer: ++calls });
+
+    const recording = await createRecorder({ mode: 'record', dir, logger: noopLogger })
+      .call('chat.completions', { b: 1, a: 2 }, perform);
+    const replayed = await createRecorder({ mode: 'replay', dir, logger: noopLogger })
+      .call('chat.completions', { a: 2, b: 1 }, perform);
+
+    assert.deepEqual(recording, { answer: 1 });
+    assert.deepEqual(replayed, { answer: 1 });
+    assert.equal(calls, 1);
+    assert.equal(fs.readdirSync(dir).length, 1);
+    assert.match(fs.readdirSync(dir)[0], /^chat-completions-[0-9a-f]{16}\.json$/);
+  });
+
+  it('fails loudly on a replay miss', async () => {
+    const recorder = createRecorder({ mode: 'replay', dir, logger: noopLogger });
+
+    await assert.rejects(
+      () => recorder.call('workiq.cli', { query: 'unknown' }, async () => 'live'),
+      (err) => err instanceof RecordingMissError && /No recording for workiq\.cli request/.test(err.message)
+    );
+  });
+
+  describe('aiPrompt handlers', () => {
+    const endpoint = (baseUrl) => ({
+      name: 'greet',
+      description: 'Greet someone.',
+      outputSchema: { type: 'object', properties: { greeting: { type: 'string' } } },
+      aiPrompt: { prompt: 'Greet {{name}}.', ...(baseUrl ? { baseUrl } : {}) }
+    });
+
+    it('replays recorded completions offline, including streams', async () => {
+      const stub = await startOpenAiStub({ reply: () => '{"greeting":"Hello, Ada!"}' });
+      setRecorder(createRecorder({ mode: 'record', dir, logger: noopLogger }));
+      try {
+        const handler = await createHandler(endpoint(stub.baseUrl), __dirname, noopLogger);
+        await handler({ name: 'Ada' });
+        await handler.stream({ name: 'Ada' }, {}, () => {});
+      } finally {
+        await stub.close();
+      }
+
+      const savedKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+      setRecorder(createRecorder({ mode: 'replay', dir, logger: noopLogger }));
+      try {
+        const handler = await createHandler(endpoint(stub.baseUrl), __dirname, noopLogger);
+        assert.deepEqual(await handler({ name: 'Ada' }), { greeting: 'Hello, Ada!' });
+
+        const deltas = [];
+        const streamed = await handler.stream({ name: 'Ada' }, {}, (delta) => deltas.push(delta));
+        assert.deepEqual(streamed, { greeting: 'Hello, Ada!' });
+        assert.equal(deltas.join(''), '{"greeting":"Hello, Ada!"}');
+
+        await assert.rejects(() => handler({ name: 'Grace' }), RecordingMissError);
+
+        // No API key or baseUrl is needed when replaying
+        await createHandler(endpoint(), __dirname, noopLogger);
+      } finally {
+        if (savedKey !== undefined) process.env.OPENAI_API_KEY = savedKey;
+      }
+    });
+  });
+
+  it('replays workiq queries without starting workiq', async () => {
+    const endpoint = { name: 'ask', workiqQuery: { query: 'Who is {{name}}?' } };
+    const recorder = createRecorder({ mode: 'record', dir, logger: noopLogger });
+    await recorder.call('mcp.tools/call', { server: 'workiq', tool: 'ask_work_iq', query: 'Who is Ada?' }, async () => 'A mathematician.');
+
+    setRecorder(createRecorder({ mode: 'replay', dir, logger: noopLogger }));
+    const handler = await createHandler(endpoint, __dirname, noopLogger);
+
+    assert.equal(await handler({ name: 'Ada' }), 'A mathematician.');
+    await assert.rejects(() => handler({ name: 'Grace' }), /MCP: No recording.*CLI: No recording/s);
+  });
+});
@@ -0,0 +1,169 @@
+const { strict: assert } = require('node:assert');
+const {
+  TimeoutError,
+  OutputValidationError,
+  withTimeout,
+  runWithRetry,
+  isRetryable,
+  computeDelay,
+  withEndpointPolicies
+} = require('../src/retry');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+// Fails with the given errors in order, then succeeds
+function flaky(errors, result = 'ok') {
+  const calls = [];
+  const fn = async (attempt) => {
+    calls.push(attempt);
+    if (calls.length <= errors.length) throw errors[calls.length - 1];
+    return result;
+  };
+  return { fn, calls };
+}
+
+const statusError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('retry', () => {
+  const fast = { initialDelayMs: 1, jitter: false };
+
+  describe('runWithRetry', () => {
+    it('retries retryable errors until an attempt succeeds', async () => {
+      const { fn, calls } = flaky([statusError(503), new TimeoutError('slow', 5)]);
+      const result = await runWithRetry(fn, { maxAttempts: 3, ...fast }, { logger: noopLogger, label: 'test' });
+
+      assert.equal(result, 'ok');
+      assert.deepEqual(calls, [1, 2, 3]);
+    });
+
+    it('gives up after maxAttempts and records the attempt count', async () => {
+      const warnings = [];
+      const logger = { ...noopLogger, warn: (msg) => warnings.push(msg) };
+      const { fn } = flaky([statusError(503), statusError(503), statusError(503)]);
+
+      await assert.rejects(
+        () => runWithRetry(fn, { maxAttempts: 2, ...fast }, { logger, label: 'test' }),
+        (err) => err.status === 503 && err.attempts === 2
+      );
+      assert.equal(warnings.length, 1);
+      assert.match(warnings[0], /test: attempt 1\/2 failed \(HTTP 503\), retrying in 1ms/);
+    });
+
+    it('does not retry errors outside the policy', async () => {
+      const { fn, calls } = flaky([statusError(400)]);
+
+      await assert.rejects(
+        () => runWithRetry(fn, { maxAttempts: 3, ...fast }, { logger: noopLogger, label: 'test' }),
+        (err) => err.attempts === 1
+      );
+      assert.deepEqual(calls, [1]);
+    });
+
+    it('makes a single attempt without a policy', async () => {
+      const { fn, calls } = flaky([statusError(503)]);
+      await assert.rejects(() => runWithRetry(fn, undefined, { logger: noopLogger, label: 'test' }));
+      assert.deepEqual(calls, [1]);
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('matches error names, codes and statuses from the policy', () => {
+      const policy = { maxAttempts: 2, retryOn: { errors: ['ECONNRESET', 'FlakyError'], statuses: [418] } };
+      assert.equal(isRetryable(Object.assign(new Error('x'), { code: 'ECONNRESET' }), policy), true);
+      assert.equal(isRetryable(Object.assign(new Error('x'), { name: 'FlakyError' }), policy), true);
+      assert.equal(isRetryable(statusError(418), policy), true);
+      assert.equal(isRetryable(statusError(503), policy), false);
+    });
+
+    it('looks through error causes', () => {
+      const wrapped = new Error('step failed');
+      wrapped.cause = new TimeoutError('slow', 10);
+      assert.equal(isRetryable(wrapped, { maxAttempts: 2 }), true);
+    });
+
+    it('retries output validation failures only when enabled', () => {
+      const err = new OutputValidationError('bad output', []);
+      assert.equal(isRetryable(err, { maxAttempts: 2 }), false);
+      assert.equal(isRetryable(err, { maxAttempts: 2, retryOnOutputValidation: true }), true);
+    });
+  });
+
+  describe('computeDelay', () => {
+    it('backs off exponentially up to maxDelayMs', () => {
+      const policy = { initialDelayMs: 100, factor: 3, maxDelayMs: 500, jitter: false };
+      assert.deepEqual([1, 2, 3].map(a => computeDelay(policy, a)), [100, 300, 500]);
+    });
+
+    it('applies full jitter by default', () => {
+      for (let i = 0; i < 20; i++) {
+        const delay = computeDelay({ initialDelayMs: 100 }, 2);
+        assert.ok(delay >= 0 && delay <= 200);
+      }
+    });
+  });
+
+  describe('withTimeout', () => {
+    it('rejects with a TimeoutError when the work takes too long', async () => {
+      await assert.rejects(
+        () => withTimeout(() => new Promise(resolve => setTimeout(resolve, 100)), 10, 'slow thing'),
+        (err) => err instanceof TimeoutError && /slow thing timed out after 10ms/.test(err.message)
+      );
+    });
+
+    it('resolves normally within the limit', async () => {
+      assert.equal(await withTimeout(async () => 'done', 50, 'quick'), 'done');
+    });
+  });
+
+  describe('withEndpointPolicies', () => {
+    it('returns the handler unchanged without a policy', () => {
+      const handler = async () => 'x';
+      assert.equal(withEndpointPolicies(handler, { name: 'plain' }, null, noopLogger), handler);
+    });
+
+    it('retries output validation failures inside the loop', async () => {
+      const outputs = [{ wrong: true }, { ok: true }];
+      const handler = async () => outputs.shift();
+      const validateOutput = (output) => {
+        validateOutput.errors = [{ message: 'must have ok' }];
+        return Boolean(output.ok);
+      };
+      const endpoint = { name: 'validated', retry: { maxAttempts: 2, retryOnOutputValidation: true, ...fast } };
+
+      const wrapped = withEndpointPolicies(handler, endpoint, validateOutput, noopLogger);
+      assert.deepEqual(await wrapped({}), { ok: true });
+    });
+
+    it('keeps the streaming variant', async () => {
+      const handler = async () => 'x';
+      handler.stream = async (_input, _req, onDelta) => {
+        onDelta('str');
+        return 'streamed';
+      };
+      const wrapped = withEndpointPolicies(handler, { name: 'streaming', timeoutMs: 10 }, null, noopLogger);
+
+      const deltas = [];
+      assert.equal(await wrapped.stream({}, undefined, delta => deltas.push(delta)), 'streamed');
+      assert.deepEqual(deltas, ['str']);
+    });
+
+    it('times out streams without retrying them', async () => {
+      let calls = 0;
+      let late;
+      const handler = async () => 'x';
+      handler.stream = (_input, _req, onDelta) => {
+        calls++;
+        late = () => onDelta('late');
+        return new Promise(() => {});
+      };
+      const endpoint = { name: 'streaming', timeoutMs: 10, retry: { maxAttempts: 3, ...fast } };
+      const wrapped = withEndpointPolicies(handler, endpoint, null, noopLogger);
+
+      const deltas = [];
+      await assert.rejects(wrapped.stream({}, undefined, delta => deltas.push(delta)), TimeoutError);
+      late();
+      assert.equal(calls, 1);
+      assert.deepEqual(deltas, []);
+    });
+  });
+});
@@ -1,7 +1,11 @@
+const http = require('node:http');
 const path = require('node:path');
+const { strict: assert } = require('node:assert');
 const request = require('supertest');
 const { loadConfig } = require('../src/config');
-const { startServer, stopServer } = require('../src/server');
+const { startServer, stopServer, reloadServer } = require('../src/server');
+const { getMcpClient } = require('../src/mcp-client');
+const { startOpenAiStub } = require('./helpers/openai-stub');
 
 const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
 
@@ -37,4 +41,416 @@ describe('server', () => {
         if (!body.error) throw new Error('Expected validation error response');
       });
   });
+
+  describe('timeouts and retries', () => {
+    const handlersDir = path.join(__dirname, 'fixtures', 'handlers');
+    const endpointConfig = (overrides) => ({
+      baseDir: path.join(__dirname, 'fixtures'),
+      endpoints: [{
+        name: 'sum',
+        description: 'Sum two numbers.',
+        path: '/sum',
+        method: 'POST',
+        jsHandler: { file: path.join(handlersDir, 'sum.js') },
+        ...overrides
+      }]
+    });
+
+    it('returns 504 when an endpoint exceeds timeoutMs', async () => {
+      const config = endpointConfig({ timeoutMs: 1, jsHandler: { file: path.join(handlersDir, 'slow.js') } });
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server)
+        .post('/sum')
+        .send({})
+        .expect(504)
+        .expect(({ body }) => {
+          assert.equal(body.error, 'Handler timed out');
+          assert.match(body.detail, /timed out after 1ms/);
+        });
+    });
+
+    it('includes the attempt count when retries are exhausted', async () => {
+      const config = endpointConfig({
+        timeoutMs: 1,
+        retry: { maxAttempts: 2, initialDelayMs: 1 },
+        jsHandler: { file: path.join(handlersDir, 'slow.js') }
+      });
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server)
+        .post('/sum')
+        .send({})
+        .expect(504)
+        .expect(({ body }) => assert.equal(body.attempts, 2));
+    });
+
+    it('returns 504 when a chain step exceeds its timeoutMs', async () => {
+      const config = endpointConfig({ jsHandler: { file: path.join(handlersDir, 'slow.js') } });
+      config.endpoints.push({
+        name: 'wait',
+        description: 'Call the slow endpoint.',
+        path: '/wait',
+        method: 'POST',
+        chainHandler: { steps: [{ name: 'wait', endpoint: 'sum', input: {}, timeoutMs: 1 }] }
+      });
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await request(server)
+        .post('/wait')
+        .send({})
+        .expect(504)
+        .expect(({ body }) => {
+          assert.equal(body.error, 'Handler timed out');
+          assert.match(body.detail, /timed out after 1ms/);
+        });
+    });
+  });
+
+  describe('reloadServer', () => {
+    const sumEndpoint = (overrides) => ({
+      name: 'test-sum',
+      description: 'Sum two numbers for tests.',
+      path: '/sum',
+      method: 'POST',
+      jsHandler: { file: 'handlers/sum.js' },
+      ...overrides
+    });
+
+    it('swaps routes in place', async () => {
+      const configPath = path.join(__dirname, 'fixtures', 'js-only-config.json');
+      const config = await loadConfig(configPath, noopLogger);
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      await reloadServer({ ...config, endpoints: [sumEndpoint({ path: '/add' })] }, noopLogger);
+
+      await request(server).post('/sum').send({ a: 1, b: 2 }).expect(404);
+      await request(server)
+        .post('/add')
+        .send({ a: 1, b: 2 })
+        .expect(200)
+        .expect(({ body }) => assert.deepEqual(body, { sum: 3 }));
+      await request(server)
+        .get('/__endpoints')
+        .expect(({ body }) => assert.equal(body[0].path, '/add'));
+    });
+
+    it('keeps the previous routes when the new config fails to build', async () => {
+      const configPath = path.join(__dirname, 'fixtures', 'js-only-config.json');
+      const config = await loadConfig(configPath, noopLogger);
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      const broken = { ...config, endpoints: [sumEndpoint({ jsHandler: { file: 'handlers/missing.js' } })] };
+      await assert.rejects(() => reloadServer(broken, noopLogger), /Failed to load JS handler/);
+
+      await request(server).post('/sum').send({ a: 2, b: 3 }).expect(200);
+    });
+  });
+
+  describe('streaming', () => {
+    let stub;
+
+    const promptConfig = (baseUrl, aiPrompt = {}) => ({
+      baseDir: __dirname,
+      endpoints: [
+        {
+          name: 'greet',
+          description: 'Greet someone.',
+          path: '/greet',
+          method: 'POST',
+          outputSchema: {
+            type: 'object',
+            required: ['greeting'],
+            properties: { greeting: { type: 'string' } }
+          },
+          aiPrompt: { prompt: 'Greet the user.', baseUrl, ...aiPrompt }
+        }
+      ]
+    });
+
+    const parseEvents = (text) => text.trim().split('\n\n').map((raw) => {
+      const [eventLine, dataLine] = raw.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+    beforeEach(async () => {
+      stub = await startOpenAiStub({ reply: () => '{"greeting":"Hello there, Ada!"}' });
+    });
+
+    afterEach(async () => {
+      await stub.close();
+    });
+
+    it('ends a stream with an error event when the endpoint times out', async () => {
+      // An upstream that accepts the request and never answers
+      const hanging = http.createServer(() => {});
+      await new Promise(resolve => hanging.listen(0, resolve));
+      try {
+        const config = promptConfig(`http://127.0.0.1:${hanging.address().port}/v1`);
+        config.endpoints[0].timeoutMs = 200;
+        const server = await startServer({ config, port: 0, logger: noopLogger });
+
+        const response = await request(server)
+          .post('/greet')
+          .set('Accept', 'text/event-stream')
+          .send({ name: 'Ada' })
+          .timeout(3000)
+          .expect(200);
+
+        const events = parseEvents(response.text);
+        assert.equal(events[events.length - 1].event, 'error');
+        assert.equal(events[events.length - 1].data.error, 'Handler timed out');
+      } finally {
+        hanging.closeAllConnections();
+        await new Promise(resolve => hanging.close(resolve));
+      }
+    });
+
+    it('streams tokens and a final parsed output when the client accepts text/event-stream', async () => {
+      const server = await startServer({ config: promptConfig(stub.baseUrl), port: 0, logger: noopLogger });
+
+      const response = await request(server)
+        .post('/greet')
+        .set('Accept', 'text/event-stream')
+        .send({ name: 'Ada' })
+        .expect(200)
+        .expect('Content-Type', /text\/event-stream/);
+
+      const events = parseEvents(response.text);
+      const tokens = events.filter(e => e.event === 'token').map(e => e.data.delta).join('');
+      assert.equal(tokens, '{"greeting":"Hello there, Ada!"}');
+      assert.deepEqual(events[events.length - 1], {
+        event: 'done',
+        data: {
+          output: { greeting: 'Hello there, Ada!' },
+          // The stub stands in for an OpenAI-compatible server, which isn't asked for stream usage
+          usage: { calls: 1, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: null }
+        }
+      });
+      assert.equal(stub.requests[0].stream, true);
+    });
+
+    it('streams by default when the endpoint sets aiPrompt.stream', async () => {
+      const config = promptConfig(stub.baseUrl, { stream: true });
+      const server = await startServer({ config, port: 0, logger: noopLogger });
+
+      const response = await request(server).post('/greet').send({}).expect(200);
+
+      assert.equal(parseEvents(response.text).pop().event, 'done');
+    });
+
+    it('sends an error event when the streamed output fails validation', async () => {
+      await stub.close();
+      stub = await startOpenAiStub({ reply: () => '{"wrong":true}' });
+      const server = await startServer({ config: promptConfig(stub.baseUrl), port: 0, logger: noopLogger });
+
+      const response = await request(server)
+        .post('/greet')
+        .set('Accept', 'text/event-stream')
+        .send({})
+        .expect(200);
+
+      const last = parseEvents(response.text).pop();
+      assert.equal(last.event, 'error');
+      assert.equal(last.data.error, 'Handler output failed validation');
+    });
+
+    it('returns a regular JSON response without the Accept header', async () => {
+      const server = await startServer({ config: promptConfig(stub.baseUrl), port: 0, logger: noopLogger });
+
+      await request(server)
+        .post('/greet')
+        .send({})
+        .expect(200)
+        .expect(({ body }) => {
+          assert.deepEqual(body, { greeting: 'Hello there, Ada!' });
+        });
+      assert.equal(stub.requests[0].stream, undefined);
+    });
+  });
+
+  describe('response caching', () => {
+    let stub;
+
+    const cachedConfig = (baseUrl) => ({
+      baseDir: __dirname,
+      endpoints: [
+        {
+          name: 'greet',
+          description: 'Greet someone.',
+          path: '/greet',
+          method: 'POST',
+          inputSchema: { type: 'object', properties: { name: { type: 'string' } } },
+          cache: { ttlSeconds: 60 },
+          aiPrompt: { prompt: 'Greet {{name}}.', baseUrl }
+        }
+      ]
+    });
+
+    beforeEach(async () => {
+      stub = await startOpenAiStub({ reply: () => 'Hello!' });
+    });
+
+    afterEach(async () => {
+      await stub.close();
+    });
+
+    it('serves repeated requests from the cache', async () => {
+      const server = await startServer({ config: cachedConfig(stub.baseUrl), port: 0, logger: noopLogger });
+
+      await request(server).post('/greet').send({ name: 'Ada' })
+        .expect(200)
+        .expect('X-Cache', 'MISS')
+        .expect('Cache-Control', 'max-age=60');
+      const hit = await request(server).post('/greet').send({ name: 'Ada' })
+        .expect(200)
+        .expect('X-Cache', 'HIT')
+        .expect('Cache-Control', /^max-age=\d+$/);
+
+      assert.equal(hit.text, 'Hello!');
+      assert.equal(stub.requests.length, 1);
+
+      await request(server).post('/greet').send({ name: 'Grace' }).expect('X-Cache', 'MISS');
+      assert.equal(stub.requests.length, 2);
+    });
+
+    it('skips the lookup when the client sends the bypass header', async () => {
+      const server = await startServer({ config: cachedConfig(stub.baseUrl), port: 0, logger: noopLogger });
+
+      await request(server).post('/greet').send({ name: 'Ada' }).expect('X-Cache', 'MISS');
+      await request(server).post('/greet').set('X-Cache-Bypass', '1').send({ name: 'Ada' }).expect('X-Cache', 'MISS');
+      await request(server).post('/greet').set('Cache-Control', 'no-cache').send({ name: 'Ada' }).expect('X-Cache', 'MISS');
+
+      assert.equal(stub.requests.length, 3);
+    });
+
+    it('purges an endpoint cache through the admin route', async () => {
+      const server = await startServer({ config: cachedConfig(stub.baseUrl), port: 0, logger: noopLogger });
+
+      await request(server).post('/greet').send({ name: 'Ada' });
+      await request(server)
+        .delete('/__cache/greet')
+        .expect(200)
+        .expect(({ body }) => assert.deepEqual(body, { purged: { greet: 1 } }));
+      await request(server).post('/greet').send({ name: 'Ada' }).expect('X-Cache', 'MISS');
+      await request(server).delete('/__cache/missing').expect(404);
+
+      assert.equal(stub.requests.length, 2);
+    });
+  });
+
+  describe('HTTP methods and path parameters', () => {
+    const echoEndpoint = (overrides) => ({
+      name: 'echo',
+      description: 'Echo the handler input.',
+      jsHandler: { file: 'fixtures/handlers/echo-input.js' },
+      ...overrides
+    });
+    const startWith = (...endpoints) => startServer({ config: { baseDir: __dirname, endpoints }, port: 0, logger: noopLogger });
+
+    it('serves PUT, PATCH and DELETE routes', async () => {
+      const server = await startWith(
+        echoEndpoint({ name: 'put', path: '/items', method: 'PUT' }),
+        echoEndpoint({ name: 'patch', path: '/items', method: 'PATCH' }),
+        echoEndpoint({ name: 'delete', path: '/items', method: 'DELETE' })
+      );
+
+      await request(server).put('/items').send({ a: 1 }).expect(200, { input: { a: 1 } });
+      await request(server).patch('/items').send({ b: 2 }).expect(200, { input: { b: 2 } });
+      await request(server).delete('/items?c=3').expect(200, { input: { c: '3' } });
+    });
+
+    it('merges path parameters into the input and validates them', async () => {
+      const server = await startWith(echoEndpoint({
+        path: '/users/:id/notes',
+        method: 'POST',
+        inputSchema: { type: 'object', required: ['id', 'text'], properties: { id: { type: 'integer' }, text: { type: 'string' } } }
+      }));
+
+      await request(server).post('/users/42/notes').send({ text: 'hi', id: 1 }).expect(200, { input: { text: 'hi', id: 42 } });
+      await request(server).post('/users/abc/notes').send({ text: 'hi' }).expect(400)
+        .expect(({ body }) => assert.equal(body.details[0].instancePath, '/id'));
+    });
+
+    it('maps headers, query, body and params into the input', async () => {
+      const server = await startWith(echoEndpoint({
+        path: '/orgs/:org/users',
+        method: 'POST',
+        inputMapping: {
+          tenant: 'headers.x-tenant-id',
+          page: 'query.page',
+          userId: 'body.user.id',
+          organization: 'params.org',
+          missing: 'headers.x-missing'
+        }
+      }));
+
+      await request(server)
+        .post('/orgs/acme/users?page=2')
+        .set('X-Tenant-Id', 't-1')
+        .send({ user: { id: 7 } })
+        .expect(200, { input: { user: { id: 7 }, org: 'acme', tenant: 't-1', page: '2', userId: 7, organization: 'acme' } });
+    });
+
+    it('lists path parameters in /__endpoints and on the dashboard', async () => {
+      const server = await startWith(echoEndpoint({ path: '/users/:id', method: 'DELETE', inputMapping: { tenant: 'headers.x-tenant' } }));
+
+      const { body } = await request(server).get('/__endpoints').expect(200);
+      assert.deepEqual(body[0].pathParams, ['id']);
+      assert.deepEqual(body[0].inputMapping, { tenant: 'headers.x-tenant' });
+
+      const page = await request(server).get('/').expect(200);
+      assert.match(page.text, /method-delete/);
+      assert.match(page.text, /data-param="id"/);
+    });
+  });
+
+  describe('MCP server health', () => {
+    const mcpConfig = () => ({
+      baseDir: __dirname,
+      mcpServers: {
+        echo: { command: process.execPath, args: ['fixtures/mcp/echo-server.js'], restartDelayMs: 60000 }
+      },
+      endpoints: ['echo', 'crash'].map(tool => ({
+        name: tool,
+        description: `Call ${tool}.`,
+        path: `/${tool}`,
+        method: 'POST',
+        mcpTool: { server: 'echo', tool }
+      }))
+    });
+
+    it('reports servers as idle until first used', async () => {
+      const server = await startServer({ config: mcpConfig(), port: 0, logger: noopLogger });
+
+      await request(server).get('/__health')
+        .expect(200, { status: 'ok', mcpServers: { echo: { state: 'idle', transport: 'stdio', restarts: 0 } } });
+    });
+
+    it('reports connection state and degrades while a server restarts', async () => {
+      const server = await startServer({ config: mcpConfig(), port: 0, logger: noopLogger });
+
+      await request(server).post('/echo').send({ a: 1 }).expect(200, '{"a":1}');
+      await request(server).get('/__health')
+        .expect(200, { status: 'ok', mcpServers: { echo: { state: 'ready', transport: 'stdio', restarts: 0 } } });
+
+      await request(server).post('/crash').send({}).expect(500);
+      const { body } = await request(server).get('/__health').expect(200);
+      assert.equal(body.status, 'degraded');
+      assert.equal(body.mcpServers.echo.state, 'restarting');
+      assert.equal(body.mcpServers.echo.lastError, 'MCP server echo exited with code 3');
+    });
+
+    it('stops MCP server processes on shutdown', async () => {
+      const server = await startServer({ config: mcpConfig(), port: 0, logger: noopLogger });
+      await request(server).post('/echo').send({}).expect(200);
+      const client = getMcpClient('echo', mcpConfig().mcpServers.echo, { baseDir: __dirname, logger: noopLogger });
+      assert.equal(client.status().state, 'ready');
+
+      await stopServer();
+
+      assert.equal(client.status().state, 'closed');
+      assert.equal(client.transport.connected, false);
+    });
+  });
 });
@@ -0,0 +1,127 @@
+const { strict: assert } = require('node:assert');
+const Ajv = require('ajv');
+const { createHandler, registerHandler, clearHandlerRegistry, detectCircularDependencies } = require('../src/engine');
+const { startOpenAiStub } = require('./helpers/openai-stub');
+const { startAnthropicStub } = require('./helpers/provider-stubs');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+const sumEndpoint = {
+  name: 'sum-js',
+  description: 'Add two numbers.',
+  inputSchema: {
+    type: 'object',
+    required: ['a', 'b'],
+    properties: { a: { type: 'number' }, b: { type: 'number' } }
+  },
+  outputSchema: { type: 'object', required: ['sum'], properties: { sum: { type: 'number' } } },
+  jsHandler: { file: 'fixtures/handlers/sum.js' }
+};
+
+const assistantEndpoint = (baseUrl, aiPrompt = {}) => ({
+  name: 'assistant',
+  description: 'Answer with the help of tools.',
+  aiPrompt: { prompt: 'What is {{a}} plus {{b}}?', baseUrl, tools: ['sum-js'], includeInput: false, ...aiPrompt }
+});
+
+// Registers sum-js the way the server does, with compiled validators
+async function registerSum() {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const handler = await createHandler(sumEndpoint, __dirname, noopLogger);
+  registerHandler('sum-js', handler, ajv.compile(sumEndpoint.inputSchema), ajv.compile(sumEndpoint.outputSchema));
+}
+
+describe('aiPrompt tools', () => {
+  let stub;
+
+  beforeEach(registerSum);
+
+  afterEach(async () => {
+    clearHandlerRegistry();
+    await stub?.close();
+    stub = null;
+  });
+
+  it('runs requested tools and returns the final answer', async () => {
+    stub = await startOpenAiStub({
+      reply: (body) => {
+        const toolMessage = body.messages.find(m => m.role === 'tool');
+        return toolMessage ? `The answer is ${JSON.parse(toolMessage.content).sum}.` : { toolCalls: [{ name: 'sum-js', arguments: { a: 2, b: 3 } }] };
+      }
+    });
+    const debug = [];
+    const logger = { ...noopLogger, debug: (msg) => debug.push(msg) };
+    const config = { endpoints: [sumEndpoint, assistantEndpoint(stub.baseUrl)] };
+    const handler = await createHandler(config.endpoints[1], __dirname, logger, config);
+
+    assert.equal(await handler({ a: 2, b: 3 }), 'The answer is 5.');
+
+    assert.deepEqual(stub.requests[0].tools, [{
+      type: 'function',
+      function: { name: 'sum-js', description: 'Add two numbers.', parameters: sumEndpoint.inputSchema }
+    }]);
+    const [, , assistant, tool] = stub.requests[1].messages;
+    assert.equal(assistant.tool_calls[0].function.name, 'sum-js');
+    assert.deepEqual(tool, { role: 'tool', tool_call_id: assistant.tool_calls[0].id, content: '{"sum":5}' });
+    assert.ok(debug.some(msg => /tool call 1 \(round 1\): sum-js\(\{"a":2,"b":3\}\) -> \{"sum":5\}/.test(msg)));
+  });
+
+  it('reports invalid arguments back to the model', async () => {
+    stub = await startOpenAiStub({
+      reply: (body) => (body.messages.some(m => m.role === 'tool') ? 'Sorry.' : { toolCalls: [{ name: 'sum-js', arguments: { a: 'two' } }] })
+    });
+    const config = { endpoints: [sumEndpoint, assistantEndpoint(stub.baseUrl)] };
+    const handler = await createHandler(config.endpoints[1], __dirname, noopLogger, config);
+
+    assert.equal(await handler({ a: 2, b: 3 }), 'Sorry.');
+    const result = JSON.parse(stub.requests[1].messages.find(m => m.role === 'tool').content);
+    assert.equal(result.error, 'Invalid tool arguments');
+    assert.ok(result.details.length > 0);
+  });
+
+  it('fails when the model keeps calling tools past maxToolIterations', async () => {
+    stub = await startOpenAiStub({ reply: () => ({ toolCalls: [{ name: 'sum-js', arguments: { a: 1, b: 1 } }] }) });
+    const config = { endpoints: [sumEndpoint, assistantEndpoint(stub.baseUrl, { maxToolIterations: 2 })] };
+    const handler = await createHandler(config.endpoints[1], __dirname, noopLogger, config);
+
+    await assert.rejects(() => handler({ a: 1, b: 1 }), /reached maxToolIterations \(2\) without a final answer\. Tool calls: sum-js, sum-js/);
+    assert.equal(stub.requests.length, 3);
+  });
+
+  it('speaks the Anthropic tool_use format', async () => {
+    stub = await startAnthropicStub({
+      reply: (body) => (body.messages.length > 1 ? 'Five.' : { toolCalls: [{ name: 'sum-js', arguments: { a: 2, b: 3 } }] })
+    });
+    const endpoint = {
+      ...assistantEndpoint(undefined),
+      aiPrompt: { prompt: 'Add.', provider: 'claude', tools: ['sum-js'] }
+    };
+    const config = {
+      providers: { claude: { type: 'anthropic', baseUrl: stub.baseUrl, model: 'claude-test' } },
+      endpoints: [sumEndpoint, endpoint]
+    };
+    const handler = await createHandler(endpoint, __dirname, noopLogger, config);
+
+    assert.equal(await handler({}), 'Five.');
+    assert.deepEqual(stub.requests[0].tools, [{ name: 'sum-js', description: 'Add two numbers.', input_schema: sumEndpoint.inputSchema }]);
+    const [, assistant, toolResult] = stub.requests[1].messages;
+    assert.equal(assistant.content[0].type, 'tool_use');
+    assert.deepEqual(toolResult, {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: assistant.content[0].id, content: '{"sum":5}' }]
+    });
+  });
+
+  it('includes tools in circular dependency detection', () => {
+    assert.throws(() => detectCircularDependencies({
+      endpoints: [
+        { name: 'agent', aiPrompt: { prompt: 'x', tools: ['pipeline'] } },
+        { name: 'pipeline', chainHandler: { steps: [{ endpoint: 'agent' }] } }
+      ]
+    }), /Circular dependency detected: agent -> pipeline -> agent/);
+
+    assert.throws(() => detectCircularDependencies({
+      endpoints: [{ name: 'agent', aiPrompt: { prompt: 'x', tools: ['missing'] } }]
+    }), /Endpoint "agent" references unknown endpoint "missing"/);
+  });
+});
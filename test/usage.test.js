@@ -0,0 +1,154 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const request = require('supertest');
+const { UsageTracker, USAGE_DIR } = require('../src/usage');
+const { startServer, stopServer } = require('../src/server');
+const { startOpenAiStub } = require('./helpers/openai-stub');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+describe('usage accounting', () => {
+  describe('UsageTracker', () => {
+    const usage = (promptTokens, completionTokens) => ({ promptTokens, completionTokens, totalTokens: promptTokens + completionTokens });
+
+    it('totals calls per endpoint and model, with cost from the price table', () => {
+      const tracker = new UsageTracker({ now: () => Date.parse('2026-03-01T12:00:00Z') });
+      tracker.configure({ usage: { prices: { 'gpt-4o-mini': { prompt: 0.15, completion: 0.6 } } } }, noopLogger);
+
+      const entry = tracker.record({ endpoint: 'a', provider: 'openai', model: 'gpt-4o-mini', usage: usage(1000, 500) });
+      tracker.record({ endpoint: 'b', provider: 'openai', model: 'gpt-4o-mini', usage: usage(2000, 0) });
+      tracker.record({ endpoint: 'b', provider: 'local', model: 'llama3', usage: usage(100, 100) });
+
+      assert.deepEqual(entry, {
+        timestamp: '2026-03-01T12:00:00.000Z',
+        route: null,
+        endpoint: 'a',
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        promptTokens: 1000,
+        completionTokens: 500,
+        totalTokens: 1500,
+        cost: 0.00045
+      });
+      const summary = tracker.summary();
+      assert.deepEqual(summary.total, { calls: 3, promptTokens: 3100, completionTokens: 600, totalTokens: 3700, cost: 0.00075 });
+      assert.deepEqual(summary.endpoints.b, { calls: 2, promptTokens: 2100, completionTokens: 100, totalTokens: 2200, cost: 0.0003 });
+      assert.deepEqual(summary.models.llama3, { calls: 1, promptTokens: 100, completionTokens: 100, totalTokens: 200, cost: 0 });
+    });
+
+    it('counts calls whose provider reported no usage', () => {
+      const tracker = new UsageTracker();
+      const entry = tracker.record({ endpoint: 'a', provider: 'ollama', model: 'llama3', usage: null });
+
+      assert.equal(entry.totalTokens, 0);
+      assert.equal(entry.unreported, true);
+      assert.equal(tracker.summary().total.calls, 1);
+    });
+
+    it('appends entries to a monthly JSONL ledger', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-usage-'));
+      try {
+        const tracker = new UsageTracker({ now: () => Date.parse('2026-03-31T23:59:59Z') });
+        tracker.configure({ baseDir: dir, usage: { ledger: true } }, noopLogger);
+        tracker.record({ endpoint: 'a', provider: 'openai', model: 'm', usage: usage(1, 2) });
+        tracker.record({ endpoint: 'b', provider: 'openai', model: 'm', usage: usage(3, 4) });
+        await tracker.flush();
+
+        const lines = fs.readFileSync(path.join(dir, USAGE_DIR, 'usage-2026-03.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+        assert.deepEqual(lines.map(line => [line.endpoint, line.totalTokens, line.cost]), [['a', 3, null], ['b', 7, null]]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('server', () => {
+    let stub;
+    let dir;
+
+    beforeEach(async () => {
+      stub = await startOpenAiStub({ reply: () => '{"text":"ok"}' });
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-lambda-usage-'));
+    });
+
+    afterEach(async () => {
+      await stopServer();
+      await stub.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const promptEndpoint = (name, model) => ({
+      name,
+      description: `Prompt ${name}.`,
+      path: `/${name}`,
+      method: 'POST',
+      outputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+      aiPrompt: { prompt: 'Answer.', baseUrl: stub.baseUrl, model }
+    });
+
+    const config = () => ({
+      baseDir: dir,
+      usage: { ledger: true, prices: { 'gpt-4o-mini': { prompt: 1, completion: 2 } } },
+      endpoints: [
+        promptEndpoint('draft', 'gpt-4o-mini'),
+        promptEndpoint('review', 'local-model'),
+        {
+          name: 'draft-and-review',
+          description: 'Draft, then review.',
+          path: '/draft-and-review',
+          method: 'POST',
+          chainHandler: {
+            steps: [
+              { name: 'first', endpoint: 'draft', input: {} },
+              { name: 'second', endpoint: 'review', input: {} }
+            ]
+          }
+        }
+      ]
+    });
+
+    it('reports token counts and cost in X-Tokens headers', async () => {
+      const server = await startServer({ config: config(), port: 0, logger: noopLogger });
+
+      await request(server).post('/draft').send({}).expect(200)
+        .expect('X-Tokens-Prompt', '10')
+        .expect('X-Tokens-Completion', '5')
+        .expect('X-Tokens-Total', '15')
+        .expect('X-Tokens-Cost', '0.00002');
+
+      const res = await request(server).post('/review').send({}).expect(200).expect('X-Tokens-Total', '15');
+      assert.equal(res.headers['x-tokens-cost'], undefined);
+    });
+
+    it('adds up chain steps and records each in the ledger', async () => {
+      const server = await startServer({ config: config(), port: 0, logger: noopLogger });
+
+      await request(server).post('/draft-and-review').send({}).expect(200)
+        .expect('X-Tokens-Total', '30')
+        .expect('X-Tokens-Cost', '0.00002');
+
+      await stopServer();
+      const [ledger] = fs.readdirSync(path.join(dir, USAGE_DIR));
+      const lines = fs.readFileSync(path.join(dir, USAGE_DIR, ledger), 'utf8').trim().split('\n').map(JSON.parse);
+      assert.deepEqual(lines.map(line => [line.route, line.endpoint, line.model]), [
+        ['draft-and-review', 'draft', 'gpt-4o-mini'],
+        ['draft-and-review', 'review', 'local-model']
+      ]);
+    });
+
+    it('serves cumulative totals at /__usage', async () => {
+      const server = await startServer({ config: config(), port: 0, logger: noopLogger });
+      await request(server).post('/draft').send({}).expect(200);
+      await request(server).post('/draft-and-review').send({}).expect(200);
+
+      const { body } = await request(server).get('/__usage').expect(200);
+      assert.deepEqual(body.total, { calls: 3, promptTokens: 30, completionTokens: 15, totalTokens: 45, cost: 0.00004 });
+      assert.equal(body.endpoints.draft.calls, 2);
+      assert.equal(body.endpoints.review.calls, 1);
+      assert.equal(body.models['local-model'].totalTokens, 15);
+      assert.ok(body.since);
+    });
+  });
+});
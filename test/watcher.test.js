@@ -0,0 +1,110 @@
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { strict: assert } = require('node:assert');
+const request = require('supertest');
+const { loadConfig } = require('../src/config');
+const { startServer, stopServer, reloadServer } = require('../src/server');
+const { watchConfig, collectWatchedFiles } = require('../src/watcher');
+
+const noopLogger = { info() {}, warn() {}, error() {}, debug() {}, isDebugEnabled: () => false };
+
+// Poll until the assertion passes; fs.watch delivery timing varies between platforms
+async function eventually(assertion, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await assertion();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+}
+
+describe('config watcher', () => {
+  let dir;
+  let configPath;
+  let watcher;
+
+  const writeConfig = (endpointOverrides = {}) => fs.writeFile(configPath, JSON.stringify({
+    endpoints: [
+      {
+        name: 'greet',
+        description: 'Greet someone.',
+        path: '/greet',
+        method: 'POST',
+        jsHandler: { file: 'greet.js' },
+        ...endpointOverrides
+      }
+    ]
+  }));
+
+  const writeHandler = (greeting) => fs.writeFile(
+    path.join(dir, 'greet.js'),
+    `module.exports = async () => ({ greeting: '${greeting}' });`
+  );
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-lambda-watch-'));
+    configPath = path.join(dir, 'config.json');
+    await writeConfig();
+    await writeHandler('hello');
+  });
+
+  afterEach(async () => {
+    if (watcher) watcher.close();
+    await stopServer();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('collects the config file and referenced JS handlers', async () => {
+    const config = await loadConfig(configPath, noopLogger);
+    const files = collectWatchedFiles(configPath, config);
+    assert.deepEqual(Array.from(files), [configPath, path.join(dir, 'greet.js')]);
+  });
+
+  it('reloads routes when the config changes', async function () {
+    this.timeout(5000);
+    const config = await loadConfig(configPath, noopLogger);
+    const server = await startServer({ config, port: 0, logger: noopLogger });
+    watcher = watchConfig({
+      configPath, config, logger: noopLogger, debounceMs: 20, onReload: (next) => reloadServer(next, noopLogger)
+    });
+
+    await writeConfig({ path: '/hello' });
+
+    await eventually(() => request(server).post('/hello').send({}).expect(200));
+    await request(server).post('/greet').send({}).expect(404);
+  });
+
+  it('picks up edits to a JS handler', async function () {
+    this.timeout(5000);
+    const config = await loadConfig(configPath, noopLogger);
+    const server = await startServer({ config, port: 0, logger: noopLogger });
+    await request(server).post('/greet').send({}).expect(200, { greeting: 'hello' });
+    watcher = watchConfig({
+      configPath, config, logger: noopLogger, debounceMs: 20, onReload: (next) => reloadServer(next, noopLogger)
+    });
+
+    await writeHandler('bonjour');
+
+    await eventually(() => request(server).post('/greet').send({}).expect(200, { greeting: 'bonjour' }));
+  });
+
+  it('keeps the previous config live when the new one is invalid', async function () {
+    this.timeout(5000);
+    const errors = [];
+    const logger = { ...noopLogger, error: (msg) => errors.push(msg) };
+    const config = await loadConfig(configPath, logger);
+    const server = await startServer({ config, port: 0, logger });
+    watcher = watchConfig({
+      configPath, config, logger, debounceMs: 20, onReload: (next) => reloadServer(next, logger)
+    });
+
+    await writeConfig({ method: 'TRACE' });
+
+    await eventually(() => assert.match(errors.join('\n'), /Config reload failed, keeping previous config/));
+    await request(server).post('/greet').send({}).expect(200);
+  });
+});